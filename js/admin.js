@@ -1,23 +1,70 @@
 // Admin panel logic
-// Handles category display, unlock/lock controls, and real-time vote updates
-
-import { getAllCategoriesWithVotes, unlockCategory, lockCategory, subscribeToCategories, getVoteCounts } from './categoryService.js';
-import { subscribeToVotes } from './voteService.js';
+// Handles event selection, category display, unlock/lock controls, and real-time vote updates
+
+import { getAllCategoriesWithVotes, unlockCategory, lockCategory, revealCategory, subscribeToCategories, getAllVoteCounts, getNomineeOptions, getSecondsRemaining, formatCountdown, isCategoryFinished, createRunoff, findTopTie, isRunoff } from './categoryService.js';
+import { subscribeToVotes, getTallyChange, applyTallyChange } from './voteService.js';
+import { getEvents, createEvent, setActiveEvent, setAllowVoteChanges, subscribeToEvents } from './eventService.js';
+import { signInAdmin, signOutAdmin, getAdminSession } from './authService.js';
+import { setupCategoryEditor, renderCategoryEditor } from './categoryEditor.js';
+import { setupRunOfShow, renderRunOfShow } from './runOfShow.js';
+import { setupIntegrityDashboard, refreshIntegrityDashboard } from './integrityDashboard.js';
+import { setupCeremonyTimeline, refreshCeremonyTimeline } from './ceremonyTimeline.js';
+import { setupVoterCodePanel, renderVoterCodePanel } from './voterCodePanel.js';
+import { setupRosterPanel, renderRosterPanel } from './rosterPanel.js';
+import { subscribeToPresence, getPresenceTurnout } from './presenceService.js';
+import { loadResultsReport, reportToCSV, reportToJSON, getReportFileName } from './resultsExport.js';
 import { logger } from './logger.js';
 
 // State management
 let categories = [];
+let events = [];
+let viewedEvent = null; // Event whose categories are shown (the active one unless browsing)
 let categorySubscription = null;
 let voteSubscription = null;
-let autoReloadInterval = null; // Auto-reload timer
+let eventSubscription = null;
+let presenceSubscription = null;
+let connectedVoters = []; // Voters connected to the viewed event (see subscribeToPresence)
+let reconcileInterval = null; // Vote count reconciliation timer
+let seenVoteIds = new Set(); // Vote changes applied to the live tally since counts were last loaded (see getTallyChange)
+let voteBaselines = new Set(); // Vote count loads in flight, collecting the realtime changes that arrive meanwhile
+let countdownInterval = null; // Voting window countdown timer
+let autoLockedWindows = new Set(); // Voting windows (category + deadline) already auto-locked
+
+// Interval between reconciliations of the live tally against the server
+const RECONCILE_INTERVAL_MS = 30000;
+
+// Countdowns turn red for the last few seconds of a voting window
+const COUNTDOWN_ENDING_SECONDS = 10;
+
+// Status badge labels for each category lifecycle state
+const STATUS_LABELS = {
+  pending: 'Pending',
+  open: 'Open',
+  closed: 'Closed',
+  revealed: 'Revealed'
+};
 
 // DOM elements
 const categoriesGrid = document.getElementById('categories-grid');
 const connectionStatus = document.getElementById('connection-status');
 const totalVotesCount = document.getElementById('total-votes-count');
+const connectedVotersCount = document.getElementById('connected-voters-count');
+const audienceTurnout = document.getElementById('audience-turnout');
 const lockAllBtn = document.getElementById('lock-all-btn');
+const votingWindowSelect = document.getElementById('voting-window-select');
+const allowVoteChangesToggle = document.getElementById('allow-vote-changes-toggle');
 const refreshBtn = document.getElementById('refresh-btn');
+const signOutBtn = document.getElementById('sign-out-btn');
+const eventSelect = document.getElementById('event-select');
+const eventStatus = document.getElementById('event-status');
+const setActiveEventBtn = document.getElementById('set-active-event-btn');
+const eventForm = document.getElementById('event-form');
+const eventFormError = document.getElementById('event-form-error');
+const inactiveEventBanner = document.getElementById('inactive-event-banner');
+const exportMenu = document.getElementById('export-menu');
 const categoryCardTemplate = document.getElementById('category-card-template');
+const nomineeItemTemplate = document.getElementById('nominee-item-template');
+const voteBarTemplate = document.getElementById('vote-bar-template');
 
 /**
  * Initialize the admin panel
@@ -25,10 +72,10 @@ const categoryCardTemplate = document.getElementById('category-card-template');
  */
 async function init() {
   try {
-    // Check authentication first
-    const isAuthenticated = sessionStorage.getItem('adminAuthenticated') === 'true';
+    // Check authentication first (Supabase Auth session + admins table)
+    const session = await getAdminSession();
 
-    if (!isAuthenticated) {
+    if (!session) {
       showPasswordModal();
     } else {
       revealAdminPanel();
@@ -51,7 +98,8 @@ async function initializeAdminPanel() {
     // Show loading state
     updateConnectionStatus('connecting', 'Connecting...');
 
-    // Load all categories with vote counts
+    // Load events, then the viewed event's categories with vote counts
+    await loadEvents();
     await loadCategories();
 
     // Subscribe to real-time updates
@@ -60,8 +108,11 @@ async function initializeAdminPanel() {
     // Set up event listeners
     setupEventListeners();
 
-    // Set up auto-reload every 30 seconds
-    setupAutoReload();
+    // Reconcile live vote counts with the server every 30 seconds
+    setupReconciliation();
+
+    // Tick voting window countdowns and auto-lock when time is up
+    setupCountdowns();
 
     // Initialize Theme
     initializeTheme();
@@ -75,46 +126,52 @@ async function initializeAdminPanel() {
 }
 
 /**
- * Handle password protection
+ * Handle admin sign-in through Supabase Auth
  */
 function setupPasswordListeners() {
-  const modal = document.getElementById('password-modal');
+  const emailInput = document.getElementById('email-input');
   const input = document.getElementById('password-input');
   const btn = document.getElementById('login-btn');
   const errorMsg = document.getElementById('login-error');
 
   async function attemptLogin() {
-    const password = input.value;
+    btn.disabled = true;
 
-    // Simple direct comparison for internal use - NO HASHING
-    if (password === 'awards4932') {
-      sessionStorage.setItem('adminAuthenticated', 'true');
+    try {
+      await signInAdmin(emailInput.value.trim(), input.value);
+      input.value = '';
       hidePasswordModal();
       revealAdminPanel();
       initializeAdminPanel();
-    } else {
-      errorMsg.textContent = 'Incorrect password';
+    } catch (error) {
+      errorMsg.textContent = error.code === 'NOT_AUTHORIZED'
+        ? 'This account is not an admin'
+        : 'Incorrect email or password';
       errorMsg.classList.add('visible');
       input.classList.add('shake');
       setTimeout(() => input.classList.remove('shake'), 500);
+    } finally {
+      btn.disabled = false;
     }
   }
 
   btn.addEventListener('click', attemptLogin);
-  input.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') attemptLogin();
-  });
-
-  // Clear error on input
-  input.addEventListener('input', () => {
-    errorMsg.classList.remove('visible');
+  [emailInput, input].forEach(field => {
+    field.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') attemptLogin();
+    });
+
+    // Clear error on input
+    field.addEventListener('input', () => {
+      errorMsg.classList.remove('visible');
+    });
   });
 }
 
 function showPasswordModal() {
   const modal = document.getElementById('password-modal');
   modal.classList.add('visible');
-  document.getElementById('password-input').focus();
+  document.getElementById('email-input').focus();
 }
 
 function hidePasswordModal() {
@@ -138,16 +195,84 @@ function revealAdminPanel() {
 }
 
 /**
- * Load all categories with their vote counts
+ * Load all events and refresh the event selector
+ * Keeps the currently viewed event selected, defaulting to the active event
+ */
+async function loadEvents() {
+  events = await getEvents();
+
+  const viewedId = viewedEvent?.id;
+  viewedEvent = events.find(e => e.id === viewedId)
+    || events.find(e => e.is_active)
+    || events[0]
+    || null;
+
+  renderEventSelector();
+}
+
+/**
+ * Render the event selector, status badge and inactive event banner
+ */
+function renderEventSelector() {
+  eventSelect.innerHTML = '';
+  events.forEach(event => {
+    const option = document.createElement('option');
+    option.value = event.id;
+    option.textContent = event.event_date ? `${event.name} (${event.event_date})` : event.name;
+    eventSelect.appendChild(option);
+  });
+
+  if (viewedEvent) {
+    eventSelect.value = viewedEvent.id;
+  }
+
+  const isActive = Boolean(viewedEvent?.is_active);
+  eventStatus.className = `status-badge ${isActive ? 'unlocked' : 'locked'}`;
+  eventStatus.innerHTML = '';
+  const dot = document.createElement('span');
+  dot.textContent = '●';
+  const text = document.createElement('span');
+  text.textContent = isActive ? 'Active' : 'Inactive';
+  eventStatus.appendChild(dot);
+  eventStatus.appendChild(text);
+
+  setActiveEventBtn.disabled = !viewedEvent || isActive;
+  allowVoteChangesToggle.checked = Boolean(viewedEvent?.allow_vote_changes);
+  allowVoteChangesToggle.disabled = !viewedEvent;
+  document.getElementById('edit-categories-btn').disabled = !viewedEvent;
+  inactiveEventBanner.style.display = viewedEvent && !isActive ? 'block' : 'none';
+}
+
+/**
+ * Check whether the viewed event is the active one
+ * Voting controls only apply to the active event
+ * @returns {boolean} True if the viewed event is active
+ */
+function isViewingActiveEvent() {
+  return Boolean(viewedEvent?.is_active);
+}
+
+/**
+ * Load all categories of the viewed event with their vote counts
  */
 async function loadCategories() {
+  const baseline = startVoteBaseline();
   try {
-    categories = await getAllCategoriesWithVotes();
+    categories = viewedEvent ? await getAllCategoriesWithVotes(viewedEvent.id) : [];
+    getMissedVoteChanges(baseline).forEach(change => {
+      applyTallyChange(categories.find(c => c.id === change.categoryId), change);
+    });
     renderCategories();
+    renderCategoryEditor();
+    renderRunOfShow();
     updateTotalVotes();
+    updateAudienceSummary();
+    enableAllButtons();
   } catch (error) {
     console.error('Error loading categories:', error);
     throw error;
+  } finally {
+    voteBaselines.delete(baseline);
   }
 }
 
@@ -158,11 +283,23 @@ function renderCategories() {
   // Clear loading state
   categoriesGrid.innerHTML = '';
 
+  if (categories.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'loading-state';
+    emptyState.textContent = viewedEvent
+      ? 'No categories in this event yet. Use "Edit Categories" to add some.'
+      : 'No events yet. Create one to get started.';
+    categoriesGrid.appendChild(emptyState);
+    return;
+  }
+
   // Render each category
   categories.forEach(category => {
     const card = createCategoryCard(category);
     categoriesGrid.appendChild(card);
   });
+
+  updateCountdowns();
 }
 
 /**
@@ -175,40 +312,41 @@ function createCategoryCard(category) {
   const template = categoryCardTemplate.content.cloneNode(true);
   const card = template.querySelector('.category-card');
 
-  // Set category ID and unlocked state
+  // Set category ID, unlocked state and lifecycle status
   card.dataset.categoryId = category.id;
   card.dataset.unlocked = category.unlocked ? 'true' : 'false';
+  card.dataset.status = category.status;
 
   // Set category number and title
   card.querySelector('.category-number').textContent = `#${category.id}`;
   card.querySelector('.category-title').textContent = category.title;
 
-  // Set status badge with simplified structure
-  const statusBadge = card.querySelector('.status-badge');
-  statusBadge.innerHTML = ''; // Clear existing content
-  statusBadge.className = 'status-badge'; // Reset classes
-
-  const dot = document.createElement('span');
-  dot.textContent = '●';
-
-  const text = document.createElement('span');
-
-  if (category.unlocked) {
-    statusBadge.classList.add('unlocked');
-    text.textContent = 'Unlocked';
-  } else {
-    statusBadge.classList.add('locked');
-    text.textContent = 'Locked';
+  // Label runoffs with the category whose tie they break
+  if (isRunoff(category)) {
+    const runoffLabel = card.querySelector('.runoff-label');
+    runoffLabel.textContent = `Runoff of #${category.parent_category_id}`;
+    runoffLabel.style.display = 'inline-block';
   }
 
-  statusBadge.appendChild(dot);
-  statusBadge.appendChild(text);
+  // Set status badge
+  renderStatusBadge(card.querySelector('.status-badge'), category);
 
-  // Set nominees
+  // Set nominees and one vote bar per nominee
   const nominees = category.nominees;
-  ['A', 'B', 'C', 'D'].forEach(option => {
-    const nomineeItem = card.querySelector(`.nominee-item[data-option="${option}"]`);
+  const nomineesList = card.querySelector('.nominees-list');
+  const voteCountsList = card.querySelector('.vote-counts');
+
+  getNomineeOptions(category).forEach(option => {
+    const nomineeItem = nomineeItemTemplate.content.cloneNode(true).querySelector('.nominee-item');
+    nomineeItem.dataset.option = option;
+    nomineeItem.querySelector('.nominee-label').textContent = `${option}:`;
     nomineeItem.querySelector('.nominee-name').textContent = nominees[option];
+    nomineesList.appendChild(nomineeItem);
+
+    const voteBar = voteBarTemplate.content.cloneNode(true).querySelector('.vote-bar');
+    voteBar.dataset.option = option;
+    voteBar.querySelector('.option-label').textContent = option;
+    voteCountsList.appendChild(voteBar);
   });
 
   // Set vote counts
@@ -218,8 +356,14 @@ function createCategoryCard(category) {
   const unlockBtn = card.querySelector('.unlock-btn');
   const lockBtn = card.querySelector('.lock-btn');
 
+  const revealBtn = card.querySelector('.reveal-btn');
+
   unlockBtn.addEventListener('click', () => handleUnlock(category.id));
   lockBtn.addEventListener('click', () => handleLock(category.id));
+  revealBtn.addEventListener('click', () => handleReveal(category.id));
+  card.querySelector('.runoff-btn').addEventListener('click', () => handleStartRunoff(category.id));
+  updateRevealButton(revealBtn, category);
+  updateUnlockButton(unlockBtn, category);
 
   // Show/hide buttons based on unlock status
   if (category.unlocked) {
@@ -233,21 +377,52 @@ function createCategoryCard(category) {
   return card;
 }
 
+/**
+ * Draw a category's lifecycle status badge (pending, open, closed or revealed)
+ * @param {HTMLElement} statusBadge - The status badge element
+ * @param {Object} category - Category data
+ */
+function renderStatusBadge(statusBadge, category) {
+  const status = STATUS_LABELS[category.status] ? category.status : 'pending';
+
+  statusBadge.className = `status-badge ${status}`;
+  statusBadge.innerHTML = '';
+
+  const dot = document.createElement('span');
+  dot.textContent = '●';
+
+  const text = document.createElement('span');
+  text.textContent = STATUS_LABELS[status];
+
+  statusBadge.appendChild(dot);
+  statusBadge.appendChild(text);
+}
+
+/**
+ * Update the unlock button label for a category
+ * Closed and revealed categories can only be reopened with an explicit override
+ * @param {HTMLElement} unlockBtn - The unlock button element
+ * @param {Object} category - Category data
+ */
+function updateUnlockButton(unlockBtn, category) {
+  unlockBtn.querySelector('span:last-child').textContent = isCategoryFinished(category) ? 'Reopen' : 'Unlock';
+}
+
 /**
  * Update vote counts display in a category card
  * @param {HTMLElement} card - The category card element
- * @param {Object} voteCounts - Vote counts object {A, B, C, D, total}
+ * @param {Object} voteCounts - Vote counts object keyed by option, plus total
  */
 function updateCardVoteCounts(card, voteCounts) {
   const total = voteCounts.total || 0;
+  const voteBars = card.querySelectorAll('.vote-bar');
 
   // Update each option's vote count and bar
-  ['A', 'B', 'C', 'D'].forEach(option => {
-    const voteBar = card.querySelector(`.vote-bar[data-option="${option}"]`);
+  voteBars.forEach(voteBar => {
     const voteCount = voteBar.querySelector('.vote-count');
     const voteBarFill = voteBar.querySelector('.vote-bar-fill');
 
-    const count = voteCounts[option] || 0;
+    const count = voteCounts[voteBar.dataset.option] || 0;
     voteCount.textContent = count;
 
     // Calculate percentage for bar width
@@ -261,19 +436,19 @@ function updateCardVoteCounts(card, voteCounts) {
   // Highlight winner if total > 0
   if (total > 0) {
     // Find max votes
-    const maxVotes = Math.max(...['A', 'B', 'C', 'D'].map(opt => voteCounts[opt] || 0));
+    const maxVotes = Math.max(...Array.from(voteBars, bar => voteCounts[bar.dataset.option] || 0));
 
     if (maxVotes > 0) {
       // Find all options that have maxVotes (handling ties)
-      ['A', 'B', 'C', 'D'].forEach(option => {
+      voteBars.forEach(voteBar => {
+        const option = voteBar.dataset.option;
         const count = voteCounts[option] || 0;
-        const currentVoteBar = card.querySelector(`.vote-bar[data-option="${option}"]`);
 
         if (count === maxVotes) {
-          currentVoteBar.classList.add('winner');
+          voteBar.classList.add('winner');
           logger.info(`Winner: Category ${card.dataset.categoryId} - Option ${option} (${count})`);
         } else {
-          currentVoteBar.classList.remove('winner');
+          voteBar.classList.remove('winner');
         }
       });
     }
@@ -281,6 +456,35 @@ function updateCardVoteCounts(card, voteCounts) {
 
   // Update total votes
   card.querySelector('.total-votes-count').textContent = total;
+
+  updateTieNotice(card, categories.find(c => c.id === Number(card.dataset.categoryId)));
+}
+
+/**
+ * Show or hide a card's tie-for-first notice
+ * Offers a runoff once the category has closed with a tie and has no runoff yet
+ * @param {HTMLElement} card - The category card element
+ * @param {Object} category - Category data with vote counts
+ */
+function updateTieNotice(card, category) {
+  const tieNotice = card.querySelector('.tie-notice');
+  const tied = category && isCategoryFinished(category) ? findTopTie(category) : [];
+
+  if (tied.length === 0) {
+    tieNotice.style.display = 'none';
+    return;
+  }
+
+  const names = tied.map(option => category.nominees[option]).join(', ');
+  const runoff = categories.find(c => c.parent_category_id === category.id);
+  const runoffBtn = tieNotice.querySelector('.runoff-btn');
+
+  tieNotice.querySelector('.tie-text').textContent = runoff
+    ? `Tie for first (${names}), decided by runoff #${runoff.id}`
+    : `Tie for first: ${names}`;
+  runoffBtn.style.display = runoff ? 'none' : 'flex';
+  runoffBtn.disabled = !isViewingActiveEvent();
+  tieNotice.style.display = 'flex';
 }
 
 /**
@@ -288,17 +492,43 @@ function updateCardVoteCounts(card, voteCounts) {
  * @param {number} categoryId - The ID of the category to unlock
  */
 async function handleUnlock(categoryId) {
+  // Reopening a closed or revealed category needs an explicit confirmation
+  const category = categories.find(c => c.id === categoryId);
+  const reopen = isCategoryFinished(category);
+
+  if (reopen && !window.confirm(
+    `#${categoryId} "${category.title}" has already been ${category.status}. Reopen voting? Voters who already voted still can't vote again.`
+  )) {
+    return;
+  }
+
   try {
     // Disable all unlock/lock buttons during operation
     disableAllButtons();
 
-    await unlockCategory(categoryId);
+    const durationSeconds = getVotingWindowSeconds();
+
+    const { opened, closed } = await unlockCategory(categoryId, durationSeconds, { reopen });
 
     // Success feedback
     logger.info(`Category ${categoryId} unlocked successfully`);
+    const windowText = durationSeconds ? ` (${formatCountdown(durationSeconds)} to vote)` : '';
+    showNotice((closed
+      ? `Closed #${closed.id}, opened #${opened.id}`
+      : `Opened #${opened.id}`) + windowText);
   } catch (error) {
     logger.error('Error unlocking category:', error);
-    showError('Failed to unlock category. Please try again.');
+    if (error.code === 'NOT_AUTHORIZED') {
+      showError('You are not authorized to unlock categories. Please sign in again.');
+    } else if (error.code === 'EVENT_NOT_ACTIVE') {
+      showError('Set this event active before opening its categories.');
+    } else if (error.code === 'INVALID_DURATION') {
+      showError(error.message);
+    } else if (error.code === 'CATEGORY_CLOSED') {
+      showError('This category has already been closed. Refresh and click "Reopen" to open it again.');
+    } else {
+      showError('Failed to unlock category. Please try again.');
+    }
   } finally {
     // Re-enable buttons
     enableAllButtons();
@@ -320,13 +550,157 @@ async function handleLock(categoryId) {
     console.log(`Category ${categoryId} locked successfully`);
   } catch (error) {
     console.error('Error locking category:', error);
-    showError('Failed to lock category. Please try again.');
+    showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to lock categories. Please sign in again.'
+      : 'Failed to lock category. Please try again.');
   } finally {
     // Re-enable buttons
     enableAllButtons();
   }
 }
 
+/**
+ * Handle reveal button click
+ * Closes voting and plays the winner reveal on the projector screen
+ * @param {number} categoryId - The ID of the category to reveal
+ */
+async function handleReveal(categoryId) {
+  try {
+    disableAllButtons();
+
+    await revealCategory(categoryId);
+
+    logger.info(`Category ${categoryId} revealed on projector`);
+    showNotice(`Revealing #${categoryId} on the projector`);
+  } catch (error) {
+    logger.error('Error revealing category:', error);
+    showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to reveal results. Please sign in again.'
+      : 'Failed to reveal results. Please try again.');
+  } finally {
+    enableAllButtons();
+  }
+}
+
+/**
+ * Handle "Start Runoff" click
+ * Creates a runoff between the tied nominees and opens it right away
+ * @param {number} categoryId - The ID of the tied category
+ */
+async function handleStartRunoff(categoryId) {
+  const category = categories.find(c => c.id === categoryId);
+  const names = findTopTie(category).map(option => category.nominees[option]);
+
+  if (!window.confirm(`Start a runoff for #${categoryId} "${category.title}" between ${names.join(' and ')}? Everyone can vote again in the runoff.`)) {
+    return;
+  }
+
+  let runoff = null;
+
+  try {
+    disableAllButtons();
+
+    runoff = await createRunoff(categoryId);
+    await unlockCategory(runoff.id, getVotingWindowSeconds());
+
+    logger.info(`Runoff #${runoff.id} opened for category ${categoryId}`);
+    showNotice(`Runoff #${runoff.id} is open: ${names.join(' vs ')}`);
+  } catch (error) {
+    logger.error('Error starting runoff:', error);
+    if (error.code === 'NOT_AUTHORIZED') {
+      showError('You are not authorized to start runoffs. Please sign in again.');
+    } else if (error.code === 'NO_TIE' || error.code === 'RUNOFF_EXISTS' || error.code === 'CATEGORY_NOT_CLOSED') {
+      showError(error.message);
+    } else if (runoff) {
+      showError(`Runoff #${runoff.id} was created but could not be opened. Unlock it from its card.`);
+    } else {
+      showError('Failed to start the runoff. Please try again.');
+    }
+  } finally {
+    // The runoff is a new category; reload to add its card
+    try {
+      await loadCategories();
+    } catch (error) {
+      logger.error('Error reloading categories after runoff:', error);
+    }
+    enableAllButtons();
+  }
+}
+
+/**
+ * Update the reveal button label for a category
+ * @param {HTMLElement} revealBtn - The reveal button element
+ * @param {Object} category - Category data
+ */
+function updateRevealButton(revealBtn, category) {
+  revealBtn.querySelector('span:last-child').textContent = category.revealed_at ? 'Reveal Again' : 'Reveal';
+}
+
+/**
+ * Get the voting window chosen in the controls bar
+ * @returns {number|null} Window in seconds, or null for no time limit
+ */
+function getVotingWindowSeconds() {
+  return votingWindowSelect.value ? Number(votingWindowSelect.value) : null;
+}
+
+/**
+ * Update the voting window countdown on every card
+ * Locks a category once its time is up
+ */
+function updateCountdowns() {
+  const now = Date.now();
+
+  categories.forEach(category => {
+    const card = categoriesGrid.querySelector(`[data-category-id="${category.id}"]`);
+    if (!card) return;
+
+    const countdown = card.querySelector('.voting-countdown');
+    const remaining = category.unlocked ? getSecondsRemaining(category, now) : null;
+
+    if (remaining === null) {
+      countdown.style.display = 'none';
+      return;
+    }
+
+    countdown.style.display = 'flex';
+    countdown.querySelector('.countdown-text').textContent = formatCountdown(remaining);
+    countdown.classList.toggle('ending', remaining <= COUNTDOWN_ENDING_SECONDS);
+
+    if (remaining === 0) {
+      autoLockCategory(category);
+    }
+  });
+}
+
+/**
+ * Lock a category whose voting window has ended
+ * cast_vote() already rejects late votes; this closes the category for voters
+ * @param {Object} category - The category to lock
+ */
+async function autoLockCategory(category) {
+  // Lock each voting window once; a failed lock is left to the admin
+  const windowKey = `${category.id}:${category.closes_at}`;
+  if (autoLockedWindows.has(windowKey) || !isViewingActiveEvent()) return;
+  autoLockedWindows.add(windowKey);
+
+  try {
+    await lockCategory(category.id);
+    logger.info(`Category ${category.id} locked automatically (time is up)`);
+    showNotice(`Time's up: locked #${category.id}`);
+  } catch (error) {
+    logger.error('Error auto-locking category:', error);
+    showError(`Time is up for #${category.id} but it could not be locked. Please lock it manually.`);
+  }
+}
+
+/**
+ * Set up the once-a-second voting window countdown
+ */
+function setupCountdowns() {
+  countdownInterval = setInterval(updateCountdowns, 1000);
+}
+
 /**
  * Handle lock all button click
  */
@@ -343,21 +717,221 @@ async function handleLockAll() {
     logger.info('All categories locked successfully');
   } catch (error) {
     logger.error('Error locking all categories:', error);
-    showError('Failed to lock all categories. Please try again.');
+    showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to lock categories. Please sign in again.'
+      : 'Failed to lock all categories. Please try again.');
   } finally {
     enableAllButtons();
   }
 }
 
 /**
- * Set up real-time subscriptions for categories and votes
+ * Set up real-time subscriptions for events, categories and votes
  */
 function setupRealtimeSubscriptions() {
+  // Subscribe to event changes (e.g. another admin switching the active event)
+  eventSubscription = subscribeToEvents(handleEventChange);
+
+  subscribeToViewedEvent();
+}
+
+/**
+ * Subscribe to category and vote changes of the viewed event
+ * Replaces any subscriptions to a previously viewed event
+ */
+function subscribeToViewedEvent() {
+  if (categorySubscription) {
+    categorySubscription.unsubscribe();
+    categorySubscription = null;
+  }
+  if (voteSubscription) {
+    voteSubscription.unsubscribe();
+    voteSubscription = null;
+  }
+  if (presenceSubscription) {
+    presenceSubscription.unsubscribe();
+    presenceSubscription = null;
+  }
+  connectedVoters = [];
+  updateAudienceSummary();
+
+  if (!viewedEvent) return;
+
   // Subscribe to category changes
-  categorySubscription = subscribeToCategories(handleCategoryChange);
+  categorySubscription = subscribeToCategories(handleCategoryChange, viewedEvent.id);
 
   // Subscribe to vote changes
-  voteSubscription = subscribeToVotes(handleVoteChange);
+  voteSubscription = subscribeToVotes(handleVoteChange, viewedEvent.id);
+
+  // Follow the voters connected to the event
+  presenceSubscription = subscribeToPresence((voters) => {
+    connectedVoters = voters;
+    updateAudienceSummary();
+  }, viewedEvent.id);
+}
+
+/**
+ * Switch the panel to another event
+ * @param {number} eventId - The ID of the event to view
+ */
+async function viewEvent(eventId) {
+  const event = events.find(e => e.id === eventId);
+  if (!event || event.id === viewedEvent?.id) return;
+
+  viewedEvent = event;
+  seenVoteIds = new Set();
+  renderEventSelector();
+  subscribeToViewedEvent();
+
+  try {
+    await loadCategories();
+    refreshIntegrityDashboard();
+    refreshCeremonyTimeline();
+    renderVoterCodePanel();
+    renderRosterPanel();
+  } catch (error) {
+    showError('Failed to load event. Please try again.');
+  }
+}
+
+/**
+ * Merge an event updated from a panel into the loaded events
+ * Re-renders both voter identity panels, since requiring one disables the other
+ * @param {Object} event - The updated event
+ */
+function handleEventUpdated(event) {
+  events = events.map(e => (e.id === event.id ? event : e));
+  if (viewedEvent?.id === event.id) {
+    viewedEvent = event;
+  }
+  renderVoterCodePanel();
+  renderRosterPanel();
+}
+
+/**
+ * Handle real-time event change
+ * Refreshes the selector so the active badge and voting controls stay current
+ * @param {Object} payload - Supabase realtime payload
+ */
+async function handleEventChange(payload) {
+  console.log('Event change detected:', payload);
+
+  try {
+    const wasActive = isViewingActiveEvent();
+    await loadEvents();
+    renderVoterCodePanel();
+    renderRosterPanel();
+
+    if (wasActive !== isViewingActiveEvent()) {
+      // set_active_event() also locks the open category; reload to reflect it
+      await loadCategories();
+    }
+  } catch (error) {
+    logger.error('Error refreshing events:', error);
+  }
+}
+
+/**
+ * Handle "Set Active" button click
+ * Makes the viewed event the one voters and the projector follow
+ */
+async function handleSetActiveEvent() {
+  if (!viewedEvent || viewedEvent.is_active) return;
+
+  const confirmed = window.confirm(
+    `Make "${viewedEvent.name}" the active event? Any open category will be locked and voters will switch to this event.`
+  );
+  if (!confirmed) return;
+
+  setActiveEventBtn.disabled = true;
+
+  try {
+    await setActiveEvent(viewedEvent.id);
+    showNotice(`"${viewedEvent.name}" is now the active event`);
+    await loadEvents();
+    await loadCategories();
+  } catch (error) {
+    logger.error('Error setting active event:', error);
+    showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to change the active event. Please sign in again.'
+      : 'Failed to set the active event. Please try again.');
+    renderEventSelector();
+  }
+}
+
+/**
+ * Handle the "Allow vote changes" checkbox
+ * Voters of the active event follow the change in real time
+ */
+async function handleAllowVoteChangesToggle() {
+  if (!viewedEvent) return;
+
+  const allowed = allowVoteChangesToggle.checked;
+  allowVoteChangesToggle.disabled = true;
+
+  try {
+    const updated = await setAllowVoteChanges(viewedEvent.id, allowed);
+    handleEventUpdated(updated);
+    showNotice(allowed
+      ? 'Voters can now change their vote until a category closes'
+      : 'Votes are final once submitted');
+  } catch (error) {
+    logger.error('Error updating vote change setting:', error);
+    allowVoteChangesToggle.checked = !allowed;
+    showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to change this setting. Please sign in again.'
+      : 'Failed to update the vote change setting. Please try again.');
+  } finally {
+    allowVoteChangesToggle.disabled = !viewedEvent;
+  }
+}
+
+/**
+ * Show or hide the new event form
+ */
+function toggleEventForm() {
+  const isHidden = eventForm.style.display === 'none';
+  eventForm.style.display = isHidden ? 'grid' : 'none';
+  eventFormError.classList.remove('visible');
+
+  if (isHidden) {
+    document.getElementById('event-name-input').focus();
+  }
+}
+
+/**
+ * Handle new event form submit
+ * New events start inactive so their categories can be prepared first
+ * @param {Event} e - Submit event
+ */
+async function handleCreateEvent(e) {
+  e.preventDefault();
+
+  const nameInput = document.getElementById('event-name-input');
+  const dateInput = document.getElementById('event-date-input');
+  const saveBtn = document.getElementById('event-form-save');
+
+  saveBtn.disabled = true;
+
+  try {
+    const created = await createEvent({ name: nameInput.value, eventDate: dateInput.value });
+
+    nameInput.value = '';
+    dateInput.value = '';
+    eventForm.style.display = 'none';
+    showNotice(`Created "${created.name}"`);
+
+    await loadEvents();
+    await viewEvent(created.id);
+  } catch (error) {
+    logger.error('Error creating event:', error);
+    eventFormError.textContent = ['INVALID_EVENT_INPUT', 'NOT_AUTHORIZED'].includes(error.code)
+      ? error.message
+      : 'Failed to create event. Please try again.';
+    eventFormError.classList.add('visible');
+  } finally {
+    saveBtn.disabled = false;
+  }
 }
 
 /**
@@ -373,6 +947,8 @@ async function handleCategoryChange(payload) {
     // Find the category in our local state
     const categoryIndex = categories.findIndex(c => c.id === newRecord.id);
     if (categoryIndex !== -1) {
+      const previousStatus = categories[categoryIndex].status;
+
       // Update local state
       categories[categoryIndex] = {
         ...categories[categoryIndex],
@@ -384,72 +960,170 @@ async function handleCategoryChange(payload) {
       if (card) {
         updateCategoryCard(card, categories[categoryIndex]);
       }
+
+      if (previousStatus === 'open' && newRecord.status === 'closed') {
+        announceTie(categories[categoryIndex]);
+      }
+
+      renderRunOfShow();
+      refreshCeremonyTimeline();
+      updateAudienceSummary();
+    }
+  } else if (eventType === 'INSERT' && !categories.some(c => c.id === newRecord.id)) {
+    // e.g. a runoff started from another admin tab
+    try {
+      await loadCategories();
+    } catch (error) {
+      logger.error('Error loading new category:', error);
     }
   }
 }
 
+/**
+ * Tell the admin when a category has just closed with a tie for first place
+ * @param {Object} category - The category that closed
+ */
+function announceTie(category) {
+  const tied = findTopTie(category);
+  if (tied.length === 0) return;
+
+  const names = tied.map(option => category.nominees[option]).join(', ');
+  showNotice(`Tie for first in #${category.id}: ${names}. Start a runoff from its card.`);
+}
+
 /**
  * Handle real-time vote change
+ * Applies new, changed, voided and restored votes to the in-memory tally instead of re-querying counts
  * @param {Object} payload - Supabase realtime payload
  */
-async function handleVoteChange(payload) {
+function handleVoteChange(payload) {
   console.log('Vote change detected:', payload);
 
-  const { new: newVote } = payload;
-  const categoryId = newVote.category_id;
+  const change = getTallyChange(payload);
 
-  // Fetch updated vote counts for this category
+  // Ignore events we've already counted (e.g. redelivered after a reconnect)
+  if (!change || seenVoteIds.has(change.key)) {
+    return;
+  }
+  seenVoteIds.add(change.key);
+  voteBaselines.forEach(baseline => {
+    baseline.changes.push({ change, committedAt: Date.parse(payload.commit_timestamp) });
+  });
+
+  // Update local state
+  const category = categories.find(c => c.id === change.categoryId);
+  if (!applyTallyChange(category, change)) {
+    return;
+  }
+
+  // Update the card in the DOM
+  const card = categoriesGrid.querySelector(`[data-category-id="${category.id}"]`);
+  if (card) {
+    updateCardVoteCounts(card, category.voteCounts);
+  }
+
+  // Update total votes
+  updateTotalVotes();
+}
+
+/**
+ * Reconcile the live tally with the server
+ * Compares every category's counts against the vote_counts view and
+ * corrects any drift (missed or double-applied realtime events)
+ */
+async function reconcileVoteCounts() {
+  if (!viewedEvent) return;
+
+  const baseline = startVoteBaseline();
   try {
-    const voteCounts = await getVoteCounts(categoryId);
+    const serverCounts = await getAllVoteCounts(viewedEvent.id);
+    let corrected = 0;
+    const missed = getMissedVoteChanges(baseline);
+
+    categories.forEach(category => {
+      const counts = serverCounts[category.id] || { total: 0 };
+      missed
+        .filter(change => change.categoryId === category.id)
+        .forEach(change => applyTallyChange({ nominees: category.nominees, voteCounts: counts }, change));
+
+      if (voteCountsMatch(category.voteCounts, counts)) {
+        return;
+      }
 
-    // Update local state
-    const categoryIndex = categories.findIndex(c => c.id === categoryId);
-    if (categoryIndex !== -1) {
-      categories[categoryIndex].voteCounts = voteCounts;
+      logger.warn(`Vote count drift in category ${category.id}, correcting`, {
+        local: category.voteCounts,
+        server: counts
+      });
+      category.voteCounts = counts;
+      corrected++;
 
-      // Update the card in the DOM
-      const card = categoriesGrid.querySelector(`[data-category-id="${categoryId}"]`);
+      const card = categoriesGrid.querySelector(`[data-category-id="${category.id}"]`);
       if (card) {
-        updateCardVoteCounts(card, voteCounts);
+        updateCardVoteCounts(card, counts);
       }
+    });
 
-      // Update total votes
+    if (corrected > 0) {
       updateTotalVotes();
     }
   } catch (error) {
-    console.error('Error updating vote counts:', error);
+    logger.error('Error reconciling vote counts:', error);
+  } finally {
+    voteBaselines.delete(baseline);
   }
 }
 
+/**
+ * Start collecting realtime vote changes while counts load from the server
+ * @returns {Object} Baseline to pass to getMissedVoteChanges() once the counts are in;
+ *   remove it from voteBaselines when the load is over
+ */
+function startVoteBaseline() {
+  const baseline = { requestedAt: Date.now(), changes: [] };
+  voteBaselines.add(baseline);
+  return baseline;
+}
+
+/**
+ * Make freshly loaded counts the baseline of the live tally
+ * Changes that arrived during the load stay marked as seen, so a redelivery
+ * isn't counted again; the other seen changes are in the loaded counts, which
+ * also keeps the set from growing all night
+ * @param {Object} baseline - From startVoteBaseline()
+ * @returns {Array} Tally changes to apply on top of the loaded counts: those
+ *   committed after the request was sent, which the snapshot may not include
+ */
+function getMissedVoteChanges(baseline) {
+  seenVoteIds = new Set(baseline.changes.map(({ change }) => change.key));
+  return baseline.changes
+    .filter(({ committedAt }) => !(committedAt < baseline.requestedAt))
+    .map(({ change }) => change);
+}
+
+/**
+ * Check whether two vote counts objects are identical
+ * @param {Object} a - Vote counts object keyed by option, plus total
+ * @param {Object} b - Vote counts object keyed by option, plus total
+ * @returns {boolean} True if every option and the total match
+ */
+function voteCountsMatch(a, b) {
+  if (!a || !b) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => (a[key] || 0) === (b[key] || 0));
+}
+
 /**
  * Update a category card with new data
  * @param {HTMLElement} card - The category card element
  * @param {Object} category - Updated category data
  */
 function updateCategoryCard(card, category) {
-  // Update unlocked state attribute
+  // Update unlocked state and lifecycle status attributes
   card.dataset.unlocked = category.unlocked ? 'true' : 'false';
+  card.dataset.status = category.status;
 
-  // Update status badge with simplified structure
-  const statusBadge = card.querySelector('.status-badge');
-  statusBadge.className = 'status-badge'; // Reset classes
-  statusBadge.innerHTML = ''; // Clear existing content
-
-  const dot = document.createElement('span');
-  dot.textContent = '●';
-
-  const text = document.createElement('span');
-
-  if (category.unlocked) {
-    statusBadge.classList.add('unlocked');
-    text.textContent = 'Unlocked';
-  } else {
-    statusBadge.classList.add('locked');
-    text.textContent = 'Locked';
-  }
-
-  statusBadge.appendChild(dot);
-  statusBadge.appendChild(text);
+  // Update status badge
+  renderStatusBadge(card.querySelector('.status-badge'), category);
 
   // Update buttons visibility
   const unlockBtn = card.querySelector('.unlock-btn');
@@ -462,6 +1136,10 @@ function updateCategoryCard(card, category) {
     unlockBtn.style.display = 'flex';
     lockBtn.style.display = 'none';
   }
+  updateRevealButton(card.querySelector('.reveal-btn'), category);
+  updateUnlockButton(unlockBtn, category);
+  updateTieNotice(card, category);
+  updateCountdowns();
 }
 
 /**
@@ -475,6 +1153,20 @@ function updateTotalVotes() {
   totalVotesCount.textContent = total;
 }
 
+/**
+ * Update the connected voters and how many of them voted in the open category
+ */
+function updateAudienceSummary() {
+  const openCategory = categories.find(category => category.unlocked);
+  const { connected, voted, percentage } = getPresenceTurnout(connectedVoters, openCategory?.id ?? null);
+
+  connectedVotersCount.textContent = connected;
+  audienceTurnout.textContent = openCategory ? `${percentage}% (${voted}/${connected})` : '—';
+  audienceTurnout.title = openCategory
+    ? `Connected voters who have voted in "${openCategory.title}"`
+    : 'No category is open';
+}
+
 /**
  * Update connection status indicator
  * @param {string} status - Status type: 'connecting', 'connected', 'error'
@@ -523,10 +1215,38 @@ function showError(message) {
 }
 
 /**
- * Disable all unlock/lock buttons
+ * Show a success notice to the user
+ * Uses the error toast template with the notice style
+ * @param {string} message - Notice message to display
+ */
+function showNotice(message) {
+  const errorTemplate = document.getElementById('error-message-template');
+  const noticeElement = errorTemplate.content.cloneNode(true);
+
+  const noticeContainer = noticeElement.querySelector('.error-message');
+  noticeContainer.classList.add('notice');
+  noticeElement.querySelector('.error-icon').textContent = '✓';
+  noticeElement.querySelector('.error-text').textContent = message;
+
+  noticeElement.querySelector('.error-close').addEventListener('click', () => {
+    noticeContainer.remove();
+  });
+
+  document.body.appendChild(noticeElement);
+
+  // Auto-remove after 3 seconds
+  setTimeout(() => {
+    if (noticeContainer.parentNode) {
+      noticeContainer.remove();
+    }
+  }, 3000);
+}
+
+/**
+ * Disable all unlock/lock/reveal buttons
  */
 function disableAllButtons() {
-  const buttons = categoriesGrid.querySelectorAll('.unlock-btn, .lock-btn');
+  const buttons = categoriesGrid.querySelectorAll('.unlock-btn, .lock-btn, .reveal-btn, .runoff-btn');
   buttons.forEach(btn => {
     btn.disabled = true;
   });
@@ -534,14 +1254,16 @@ function disableAllButtons() {
 }
 
 /**
- * Enable all unlock/lock buttons
+ * Enable all unlock/lock/reveal buttons
+ * Buttons stay disabled while viewing an inactive event
  */
 function enableAllButtons() {
-  const buttons = categoriesGrid.querySelectorAll('.unlock-btn, .lock-btn');
+  const readOnly = !isViewingActiveEvent();
+  const buttons = categoriesGrid.querySelectorAll('.unlock-btn, .lock-btn, .reveal-btn, .runoff-btn');
   buttons.forEach(btn => {
-    btn.disabled = false;
+    btn.disabled = readOnly;
   });
-  lockAllBtn.disabled = false;
+  lockAllBtn.disabled = readOnly;
 }
 
 /**
@@ -553,17 +1275,149 @@ function setupEventListeners() {
   if (refreshBtn) {
     refreshBtn.addEventListener('click', handleRefresh);
   }
+
+  if (signOutBtn) {
+    signOutBtn.addEventListener('click', handleSignOut);
+  }
+
+  eventSelect.addEventListener('change', () => viewEvent(Number(eventSelect.value)));
+  setActiveEventBtn.addEventListener('click', handleSetActiveEvent);
+  allowVoteChangesToggle.addEventListener('change', handleAllowVoteChangesToggle);
+  document.getElementById('new-event-btn').addEventListener('click', toggleEventForm);
+  document.getElementById('event-form-cancel').addEventListener('click', toggleEventForm);
+  eventForm.addEventListener('submit', handleCreateEvent);
+  eventForm.addEventListener('input', () => {
+    eventFormError.classList.remove('visible');
+  });
+
+  exportMenu.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => handleExport(btn.dataset.export));
+  });
+
+  setupRunOfShow({
+    getCategories: () => categories,
+    getEventId: () => viewedEvent?.id,
+    isActiveEvent: isViewingActiveEvent,
+    getVotingWindowSeconds,
+    showError,
+    showNotice
+  });
+
+  setupIntegrityDashboard({
+    getCategories: () => categories,
+    getEventId: () => viewedEvent?.id,
+    showError,
+    showNotice
+  });
+
+  setupVoterCodePanel({
+    getEvent: () => viewedEvent,
+    onEventUpdated: handleEventUpdated,
+    showError,
+    showNotice
+  });
+
+  setupRosterPanel({
+    getEvent: () => viewedEvent,
+    getCategories: () => categories,
+    onEventUpdated: handleEventUpdated,
+    showError,
+    showNotice
+  });
+
+  setupCeremonyTimeline({
+    getCategories: () => categories,
+    getEventId: () => viewedEvent?.id,
+    showError
+  });
+
+  setupCategoryEditor({
+    getCategories: () => categories,
+    getEventId: () => viewedEvent?.id,
+    onCategoriesChanged: loadCategories,
+    showError,
+    showNotice
+  });
+}
+
+/**
+ * Handle an Export menu choice for the viewed event
+ * CSV and JSON are built from fresh data and downloaded; the printable report opens in a new tab
+ * @param {string} format - 'csv', 'json' or 'report'
+ */
+async function handleExport(format) {
+  if (!viewedEvent) return;
+
+  exportMenu.open = false;
+
+  if (format === 'report') {
+    window.open(`/report.html?event=${viewedEvent.id}`, '_blank', 'noopener');
+    return;
+  }
+
+  const buttons = exportMenu.querySelectorAll('[data-export]');
+  buttons.forEach(btn => {
+    btn.disabled = true;
+  });
+
+  try {
+    const report = await loadResultsReport(viewedEvent.id);
+
+    if (format === 'csv') {
+      downloadFile(getReportFileName(report, 'csv'), reportToCSV(report), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(getReportFileName(report, 'json'), reportToJSON(report), 'application/json');
+    }
+
+    showNotice(`Exported results for ${report.event.name}`);
+  } catch (error) {
+    logger.error('Error exporting results:', error);
+    showError('Failed to export results. Please try again.');
+  } finally {
+    buttons.forEach(btn => {
+      btn.disabled = false;
+    });
+  }
 }
 
 /**
- * Set up auto-reload functionality
+ * Save text content as a file download
+ * @param {string} fileName - Name of the downloaded file
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the file
  */
-function setupAutoReload() {
-  // Reload data every 30 seconds
-  autoReloadInterval = setInterval(async () => {
-    console.log('Auto-reloading categories...');
-    await loadCategories();
-  }, 30000); // 30 seconds
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Handle sign out button click
+ */
+async function handleSignOut() {
+  try {
+    await signOutAdmin();
+    window.location.reload();
+  } catch (error) {
+    logger.error('Error signing out:', error);
+    showError('Failed to sign out. Please try again.');
+  }
+}
+
+/**
+ * Set up periodic reconciliation of the live tally
+ */
+function setupReconciliation() {
+  reconcileInterval = setInterval(() => {
+    console.log('Reconciling vote counts...');
+    reconcileVoteCounts();
+  }, RECONCILE_INTERVAL_MS);
 }
 
 /**
@@ -572,7 +1426,12 @@ function setupAutoReload() {
 async function handleRefresh() {
   try {
     console.log('Manual refresh triggered');
+    await loadEvents();
     await loadCategories();
+    refreshIntegrityDashboard();
+    refreshCeremonyTimeline();
+    renderVoterCodePanel();
+    renderRosterPanel();
 
     // Visual feedback - spin the icon
     const icon = refreshBtn.querySelector('.btn-icon');
@@ -633,8 +1492,17 @@ window.addEventListener('beforeunload', () => {
   if (voteSubscription) {
     voteSubscription.unsubscribe();
   }
-  if (autoReloadInterval) {
-    clearInterval(autoReloadInterval);
+  if (eventSubscription) {
+    eventSubscription.unsubscribe();
+  }
+  if (presenceSubscription) {
+    presenceSubscription.unsubscribe();
+  }
+  if (reconcileInterval) {
+    clearInterval(reconcileInterval);
+  }
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
   }
 });
 
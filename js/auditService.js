@@ -0,0 +1,143 @@
+// Admin audit service layer
+// Reads the audit log of admin state changes and the vote arrival times
+// they are lined up against in the ceremony timeline
+
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Default vote arrival bucket size in seconds
+ */
+export const DEFAULT_BUCKET_SECONDS = 10;
+
+/**
+ * Get the audit log of an event in chronological order (admin only)
+ * Entries are written by database triggers on every category or event change
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Array>} Audit log rows: { id, event_id, category_id, action, details, actor_id, actor_email, created_at }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getAuditLog(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('admin_audit_log')
+        .select('*')
+        .eq('event_id', eventId)
+        .order('created_at', { ascending: true }),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching audit log:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch audit log after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the vote arrivals of an event in time buckets (admin only)
+ * Calls the get_vote_arrivals() database function
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {number} bucketSeconds - Bucket size in seconds (1 to 3600)
+ * @returns {Promise<Array>} Buckets: { bucketStart, categoryId, votes, firstVoteAt, lastVoteAt }
+ * @throws {Error} NOT_AUTHORIZED, INVALID_THRESHOLD or connection errors
+ */
+export async function getVoteArrivals(eventId, bucketSeconds = DEFAULT_BUCKET_SECONDS) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('get_vote_arrivals', {
+        p_event_id: eventId,
+        p_bucket_seconds: bucketSeconds
+      }),
+      3
+    );
+
+    if (error) {
+      // get_vote_arrivals() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to view the timeline. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'INVALID_THRESHOLD') {
+        const err = new Error('Bucket size must be between 1 second and 1 hour');
+        err.code = 'INVALID_THRESHOLD';
+        throw err;
+      }
+      console.error('Error fetching vote arrivals:', error);
+      throw error;
+    }
+
+    return (data || []).map(row => ({
+      bucketStart: row.bucket_start,
+      categoryId: row.category_id,
+      votes: row.votes,
+      firstVoteAt: row.first_vote_at,
+      lastVoteAt: row.last_vote_at
+    }));
+  } catch (error) {
+    console.error('Failed to fetch vote arrivals after retries:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Retry an async operation with exponential backoff
+ * Used for handling transient network errors
+ * @param {Function} operation - Async function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} baseDelay - Base delay in milliseconds (default 1000)
+ * @returns {Promise<any>} Result of the operation
+ */
+async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on validation errors or business logic errors
+      if (error.code && ['NOT_AUTHORIZED', 'INVALID_THRESHOLD'].includes(error.code)) {
+        throw error;
+      }
+
+      // Don't retry on permission errors
+      if (error.code && ['42501'].includes(error.code)) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries) {
+        console.error(`Operation failed after ${maxRetries + 1} attempts:`, error);
+        throw error;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
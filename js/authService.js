@@ -0,0 +1,103 @@
+// Auth service layer
+// Handles admin sign-in through Supabase Auth and admin role checks
+
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Sign in an admin with email and password
+ * Signs the user back out if the account is not listed in the admins table
+ * @param {string} email - Admin account email
+ * @param {string} password - Admin account password
+ * @returns {Promise<Object>} The signed-in Supabase session
+ * @throws {Error} If credentials are invalid or the account is not an admin
+ */
+export async function signInAdmin(email, password) {
+  try {
+    // Validate input
+    if (!email || !password) {
+      const error = new Error('Email and password are required');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+
+    if (error) {
+      console.error('Admin sign-in error:', error);
+      const err = new Error('Incorrect email or password');
+      err.code = 'INVALID_CREDENTIALS';
+      throw err;
+    }
+
+    // Signed in, but only accounts in the admins table may control the event
+    if (!(await isCurrentUserAdmin())) {
+      await supabase.auth.signOut();
+      const err = new Error('This account is not authorized to access the admin panel');
+      err.code = 'NOT_AUTHORIZED';
+      throw err;
+    }
+
+    console.log('Admin signed in:', data.user?.email);
+    return data.session;
+  } catch (error) {
+    console.error('Failed to sign in admin:', {
+      code: error.code,
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Sign out the current admin
+ * @returns {Promise<void>}
+ */
+export async function signOutAdmin() {
+  const { error } = await supabase.auth.signOut();
+  if (error) {
+    console.error('Admin sign-out error:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the current session if it belongs to an admin
+ * Used on page load to skip the sign-in modal for returning admins
+ * @returns {Promise<Object|null>} The admin session, or null if not signed in as admin
+ */
+export async function getAdminSession() {
+  try {
+    const { data, error } = await supabase.auth.getSession();
+
+    if (error) {
+      console.error('Error fetching auth session:', error);
+      return null;
+    }
+
+    if (!data.session) {
+      return null;
+    }
+
+    return (await isCurrentUserAdmin()) ? data.session : null;
+  } catch (error) {
+    console.error('Failed to fetch admin session:', error);
+    return null;
+  }
+}
+
+/**
+ * Check whether the signed-in user is an admin
+ * Calls the is_admin() database function so the check matches the RLS policies
+ * @returns {Promise<boolean>} True if the current user is an admin
+ */
+export async function isCurrentUserAdmin() {
+  const { data, error } = await supabase.rpc('is_admin');
+
+  if (error) {
+    console.error('Error checking admin role:', error);
+    return false;
+  }
+
+  return data === true;
+}
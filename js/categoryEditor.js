@@ -0,0 +1,287 @@
+// Category editor for the admin panel
+// Handles creating, editing, reordering and deleting categories and nominees
+
+import { createCategory, updateCategory, deleteCategory, reorderCategories, validateCategoryInput, getNomineeOptions, MIN_NOMINEES, MAX_NOMINEES } from './categoryService.js';
+import { logger } from './logger.js';
+
+// Error codes whose messages are safe to show as-is
+const EDITOR_ERROR_CODES = ['INVALID_CATEGORY_INPUT', 'CATEGORY_HAS_VOTES', 'CATEGORY_HAS_RUNOFF', 'CATEGORY_IN_USE', 'CATEGORY_OPEN', 'CATEGORY_NOT_FOUND', 'NOT_AUTHORIZED'];
+
+// Callbacks and state provided by the admin panel
+let editorOptions = null;
+let editingCategoryId = null; // null while creating a new category
+
+// DOM elements
+const editorSection = document.getElementById('category-editor');
+const editorList = document.getElementById('editor-list');
+const categoryForm = document.getElementById('category-form');
+const formTitle = document.getElementById('category-form-title');
+const titleInput = document.getElementById('category-title-input');
+const nomineeFields = document.getElementById('form-nominees');
+const addNomineeBtn = document.getElementById('add-nominee-btn');
+const formError = document.getElementById('category-form-error');
+const saveBtn = document.getElementById('category-form-save');
+const editorRowTemplate = document.getElementById('editor-row-template');
+const nomineeFieldTemplate = document.getElementById('nominee-field-template');
+
+/**
+ * Set up the category editor
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getCategories - Returns the current categories array
+ * @param {Function} options.getEventId - Returns the ID of the event being edited
+ * @param {Function} options.onCategoriesChanged - Reloads categories after a change
+ * @param {Function} options.showError - Shows an error toast
+ * @param {Function} options.showNotice - Shows a success toast
+ */
+export function setupCategoryEditor(options) {
+  editorOptions = options;
+
+  document.getElementById('edit-categories-btn').addEventListener('click', toggleCategoryEditor);
+  document.getElementById('add-category-btn').addEventListener('click', () => openCategoryForm(null));
+  document.getElementById('category-form-cancel').addEventListener('click', closeCategoryForm);
+  addNomineeBtn.addEventListener('click', () => {
+    addNomineeField('');
+    nomineeFields.lastElementChild.querySelector('.nominee-input').focus();
+  });
+  categoryForm.addEventListener('submit', handleSaveCategory);
+
+  // Clear error on input
+  categoryForm.addEventListener('input', () => {
+    formError.classList.remove('visible');
+  });
+}
+
+/**
+ * Re-render the editor list if the editor is open
+ * Called by the admin panel whenever categories are reloaded
+ */
+export function renderCategoryEditor() {
+  if (!editorOptions || editorSection.style.display === 'none') return;
+
+  const categories = editorOptions.getCategories();
+  editorList.innerHTML = '';
+
+  categories.forEach((category, index) => {
+    editorList.appendChild(createEditorRow(category, index, categories.length));
+  });
+}
+
+/**
+ * Show or hide the editor panel
+ */
+function toggleCategoryEditor() {
+  const isHidden = editorSection.style.display === 'none';
+  editorSection.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    renderCategoryEditor();
+  } else {
+    closeCategoryForm();
+  }
+}
+
+/**
+ * Create an editor row for a category
+ * Edit and delete are disabled once a category has votes or while it is open
+ * @param {Object} category - Category data with vote counts
+ * @param {number} index - Position in the running order
+ * @param {number} count - Number of categories
+ * @returns {HTMLElement} The editor row element
+ */
+function createEditorRow(category, index, count) {
+  const template = editorRowTemplate.content.cloneNode(true);
+  const row = template.querySelector('.editor-row');
+
+  row.dataset.categoryId = category.id;
+  row.querySelector('.category-number').textContent = `#${category.id}`;
+  row.querySelector('.editor-row-title').textContent = category.title;
+  row.querySelector('.editor-row-nominees').textContent = getNomineeOptions(category)
+    .map(option => category.nominees[option])
+    .join(' · ');
+
+  const totalVotes = category.voteCounts?.total || 0;
+  row.querySelector('.editor-row-votes').textContent = `${totalVotes} votes`;
+
+  const moveUpBtn = row.querySelector('.move-up-btn');
+  const moveDownBtn = row.querySelector('.move-down-btn');
+  const editBtn = row.querySelector('.edit-btn');
+  const deleteBtn = row.querySelector('.delete-btn');
+
+  moveUpBtn.disabled = index === 0;
+  moveDownBtn.disabled = index === count - 1;
+  moveUpBtn.addEventListener('click', () => handleMove(category.id, -1));
+  moveDownBtn.addEventListener('click', () => handleMove(category.id, 1));
+
+  // Guard: categories with votes (or open for voting) are read-only
+  const lockedReason = totalVotes > 0
+    ? 'This category already has votes'
+    : category.unlocked ? 'Lock this category before editing it' : '';
+
+  [editBtn, deleteBtn].forEach(btn => {
+    btn.disabled = Boolean(lockedReason);
+    btn.title = lockedReason;
+  });
+
+  editBtn.addEventListener('click', () => openCategoryForm(category));
+  deleteBtn.addEventListener('click', () => handleDelete(category));
+
+  return row;
+}
+
+/**
+ * Open the form to create or edit a category
+ * @param {Object|null} category - Category to edit, or null to create one
+ */
+function openCategoryForm(category) {
+  editingCategoryId = category ? category.id : null;
+  formTitle.textContent = category ? `Edit #${category.id}` : 'New Category';
+  titleInput.value = category ? category.title : '';
+
+  // Existing nominees, or the minimum number of empty slots for a new category
+  nomineeFields.innerHTML = '';
+  const names = category
+    ? getNomineeOptions(category).map(option => category.nominees[option])
+    : Array(MIN_NOMINEES).fill('');
+  names.forEach(name => addNomineeField(name));
+
+  formError.classList.remove('visible');
+  categoryForm.style.display = 'flex';
+  titleInput.focus();
+}
+
+/**
+ * Add a nominee input to the form
+ * @param {string} name - Initial nominee name
+ */
+function addNomineeField(name) {
+  const field = nomineeFieldTemplate.content.cloneNode(true).querySelector('.nominee-field');
+  field.querySelector('.nominee-input').value = name;
+  field.querySelector('.remove-nominee-btn').addEventListener('click', () => {
+    field.remove();
+    updateNomineeFields();
+  });
+
+  nomineeFields.appendChild(field);
+  updateNomineeFields();
+}
+
+/**
+ * Relabel nominee inputs (A, B, C...) and enforce the min/max nominee count
+ */
+function updateNomineeFields() {
+  const fields = nomineeFields.querySelectorAll('.nominee-field');
+
+  fields.forEach((field, index) => {
+    field.querySelector('.nominee-field-label').textContent = `Nominee ${String.fromCharCode(65 + index)}`;
+    field.querySelector('.remove-nominee-btn').disabled = fields.length <= MIN_NOMINEES;
+  });
+
+  addNomineeBtn.disabled = fields.length >= MAX_NOMINEES;
+}
+
+/**
+ * Close the category form
+ */
+function closeCategoryForm() {
+  editingCategoryId = null;
+  categoryForm.style.display = 'none';
+}
+
+/**
+ * Read the form into category input
+ * @returns {Object} { title, nominees: Array<string> of names in order }
+ */
+function readCategoryForm() {
+  const nominees = Array.from(nomineeFields.querySelectorAll('.nominee-input'), input => input.value);
+  return { title: titleInput.value, nominees };
+}
+
+/**
+ * Handle category form submit (create or update)
+ * @param {Event} e - Submit event
+ */
+async function handleSaveCategory(e) {
+  e.preventDefault();
+
+  let input;
+  try {
+    // Validate locally first for instant feedback
+    input = validateCategoryInput(readCategoryForm());
+  } catch (error) {
+    showFormError(error.message);
+    return;
+  }
+
+  saveBtn.disabled = true;
+
+  try {
+    if (editingCategoryId) {
+      await updateCategory(editingCategoryId, input);
+      editorOptions.showNotice(`Saved #${editingCategoryId}`);
+    } else {
+      const created = await createCategory(input, editorOptions.getEventId());
+      editorOptions.showNotice(`Created #${created.id}`);
+    }
+
+    closeCategoryForm();
+    await editorOptions.onCategoriesChanged();
+  } catch (error) {
+    logger.error('Error saving category:', error);
+    showFormError(EDITOR_ERROR_CODES.includes(error.code) ? error.message : 'Failed to save category. Please try again.');
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle delete button click
+ * @param {Object} category - Category to delete
+ */
+async function handleDelete(category) {
+  if (!window.confirm(`Delete #${category.id} "${category.title}"? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await deleteCategory(category.id);
+    editorOptions.showNotice(`Deleted #${category.id}`);
+    await editorOptions.onCategoriesChanged();
+  } catch (error) {
+    logger.error('Error deleting category:', error);
+    editorOptions.showError(EDITOR_ERROR_CODES.includes(error.code) ? error.message : 'Failed to delete category. Please try again.');
+  }
+}
+
+/**
+ * Move a category up or down in the running order
+ * @param {number} categoryId - Category to move
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+async function handleMove(categoryId, direction) {
+  const ids = editorOptions.getCategories().map(c => c.id);
+  const index = ids.indexOf(categoryId);
+  const target = index + direction;
+
+  if (index === -1 || target < 0 || target >= ids.length) return;
+
+  [ids[index], ids[target]] = [ids[target], ids[index]];
+
+  try {
+    await reorderCategories(ids);
+    await editorOptions.onCategoriesChanged();
+  } catch (error) {
+    logger.error('Error reordering categories:', error);
+    editorOptions.showError(EDITOR_ERROR_CODES.includes(error.code)
+      ? error.message
+      : 'Failed to reorder categories. Please try again.');
+  }
+}
+
+/**
+ * Show a validation or save error inside the form
+ * @param {string} message - Error message to display
+ */
+function showFormError(message) {
+  formError.textContent = message;
+  formError.classList.add('visible');
+}
@@ -2,20 +2,23 @@
 // Handles category operations and real-time updates
 
 import { supabase } from './supabaseClient.js';
+import { isCurrentUserAdmin } from './authService.js';
 
 /**
- * Get the single unlocked category (for user interface)
+ * Get the single unlocked category of an event (for user interface)
  * Returns null if no category is unlocked
  * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
  * @returns {Promise<Object|null>} The unlocked category or null
  * @throws {Error} If connection fails after retries
  */
-export async function getUnlockedCategory() {
+export async function getUnlockedCategory(eventId) {
   try {
     const { data, error } = await retryOperation(
       () => supabase
         .from('categories')
         .select('*')
+        .eq('event_id', eventId)
         .eq('unlocked', true)
         .maybeSingle(),
       3
@@ -37,46 +40,112 @@ export async function getUnlockedCategory() {
 }
 
 /**
- * Get all categories with their vote counts (for admin panel)
+ * Get the most recently closed or revealed category of an event (for the voter waiting screen)
+ * Returns null if no category has been closed yet
  * Includes retry logic for connection errors
- * @returns {Promise<Array>} Array of categories with vote counts
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object|null>} The latest closed or revealed category or null
  * @throws {Error} If connection fails after retries
  */
-export async function getAllCategoriesWithVotes() {
+export async function getLatestClosedCategory(eventId) {
   try {
-    // Fetch all categories with retry logic
-    const { data: categories, error: categoriesError } = await retryOperation(
+    const { data, error } = await retryOperation(
       () => supabase
         .from('categories')
         .select('*')
+        .eq('event_id', eventId)
+        .in('status', ['closed', 'revealed'])
+        // Categories closed before closed_at existed have none; they come last
+        .order('closed_at', { ascending: false, nullsFirst: false })
+        .limit(1)
+        .maybeSingle(),
+      3
+    );
+    
+    if (error) {
+      console.error('Error fetching latest closed category:', error);
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch latest closed category after retries:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get all categories of an event in run-of-show order (for the voter's ballot)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Array>} Array of categories
+ * @throws {Error} If connection fails after retries
+ */
+export async function getEventCategories(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('categories')
+        .select('*')
+        .eq('event_id', eventId)
+        .order('sort_order')
         .order('id'),
       3
     );
     
+    if (error) {
+      console.error('Error fetching event categories:', error);
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch event categories after retries:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get all categories of an event with their vote counts (for admin panel)
+ * Vote counts come from the vote_counts view in a single request
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Array>} Array of categories with vote counts
+ * @throws {Error} If connection fails after retries
+ */
+export async function getAllCategoriesWithVotes(eventId) {
+  try {
+    // Fetch the event's categories and vote tallies in parallel (two requests total)
+    const [categoriesResult, voteCountsByCategory] = await Promise.all([
+      retryOperation(
+        () => supabase
+          .from('categories')
+          .select('*')
+          .eq('event_id', eventId)
+          .order('sort_order')
+          .order('id'),
+        3
+      ),
+      getAllVoteCounts(eventId)
+    ]);
+    
+    const { data: categories, error: categoriesError } = categoriesResult;
+    
     if (categoriesError) {
       console.error('Error fetching categories:', categoriesError);
       throw categoriesError;
     }
     
-    // Fetch vote counts for each category
-    const categoriesWithVotes = await Promise.all(
-      categories.map(async (category) => {
-        try {
-          const voteCounts = await getVoteCounts(category.id);
-          return {
-            ...category,
-            voteCounts
-          };
-        } catch (error) {
-          console.error(`Error fetching vote counts for category ${category.id}:`, error);
-          // Return category with zero counts on error
-          return {
-            ...category,
-            voteCounts: { A: 0, B: 0, C: 0, D: 0, total: 0 }
-          };
-        }
-      })
-    );
+    const categoriesWithVotes = categories.map(category => ({
+      ...category,
+      voteCounts: voteCountsByCategory[category.id] || buildVoteCounts([])
+    }));
     
     return categoriesWithVotes;
   } catch (error) {
@@ -88,15 +157,37 @@ export async function getAllCategoriesWithVotes() {
   }
 }
 
+/**
+ * Check whether a category has already been run (closed or revealed)
+ * A category moves pending -> open -> closed -> revealed (see 13-category-lifecycle.sql)
+ * Reopening such a category needs the reopen override
+ * @param {Object} category - Category with a status
+ * @returns {boolean} True if the category is closed or revealed
+ */
+export function isCategoryFinished(category) {
+  return category?.status === 'closed' || category?.status === 'revealed';
+}
+
+/**
+ * Longest voting window an admin can set when unlocking a category (1 hour)
+ * Matches the check in switch_category()
+ */
+export const MAX_VOTING_WINDOW_SECONDS = 3600;
+
 /**
  * Unlock a category with single-unlock enforcement
- * Locks all other categories before unlocking the specified one
+ * Calls the switch_category() database function, which closes the currently
+ * open category and opens this one in a single transaction
+ * With a duration, the category stores a closes_at deadline that cast_vote() enforces
+ * Closed or revealed categories are only reopened with the reopen override
  * Includes retry logic for connection errors
  * @param {number} categoryId - The ID of the category to unlock
- * @returns {Promise<Object>} The unlocked category
- * @throws {Error} If category not found or connection fails
+ * @param {number|null} durationSeconds - Optional voting window in seconds (null = no time limit)
+ * @param {Object} options - { reopen: allow reopening a closed or revealed category }
+ * @returns {Promise<Object>} Object with the opened category and the closed category (or null)
+ * @throws {Error} If category not found, already closed without override (CATEGORY_CLOSED), duration is invalid (INVALID_DURATION), caller is not an admin (NOT_AUTHORIZED), or connection fails
  */
-export async function unlockCategory(categoryId) {
+export async function unlockCategory(categoryId, durationSeconds = null, { reopen = false } = {}) {
   try {
     // Validate input
     if (!categoryId || typeof categoryId !== 'number') {
@@ -106,45 +197,61 @@ export async function unlockCategory(categoryId) {
       throw error;
     }
     
-    // First, lock all categories with retry logic
-    const { error: lockError } = await retryOperation(
-      () => supabase
-        .from('categories')
-        .update({ unlocked: false })
-        .neq('id', 0), // Update all rows
-      3
-    );
-    
-    if (lockError) {
-      console.error('Error locking all categories:', lockError);
-      throw lockError;
+    if (durationSeconds !== null
+      && (!Number.isInteger(durationSeconds) || durationSeconds < 1 || durationSeconds > MAX_VOTING_WINDOW_SECONDS)) {
+      const error = new Error('Voting window must be between 1 second and 1 hour');
+      error.code = 'INVALID_DURATION';
+      console.error('Invalid voting window provided:', durationSeconds);
+      throw error;
     }
     
-    // Then unlock the selected category with retry logic
     const { data, error } = await retryOperation(
-      () => supabase
-        .from('categories')
-        .update({ unlocked: true })
-        .eq('id', categoryId)
-        .select()
-        .single(),
+      () => supabase.rpc('switch_category', {
+        p_category_id: categoryId,
+        p_duration_seconds: durationSeconds,
+        p_reopen: reopen
+      }),
       3
     );
     
     if (error) {
-      // Handle case where category doesn't exist
-      if (error.code === 'PGRST116') {
+      // switch_category() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        throw notAuthorizedError(categoryId);
+      }
+      if (error.message === 'CATEGORY_NOT_FOUND') {
         const err = new Error('Category not found');
         err.code = 'CATEGORY_NOT_FOUND';
         console.error('Category not found:', categoryId);
         throw err;
       }
-      console.error('Error unlocking category:', error);
+      if (error.message === 'EVENT_NOT_ACTIVE') {
+        const err = new Error('This category belongs to an event that is not active');
+        err.code = 'EVENT_NOT_ACTIVE';
+        throw err;
+      }
+      if (error.message === 'CATEGORY_CLOSED') {
+        const err = new Error('This category has already been closed. Confirm to reopen it.');
+        err.code = 'CATEGORY_CLOSED';
+        throw err;
+      }
+      if (error.message === 'INVALID_DURATION') {
+        const err = new Error('Voting window must be between 1 second and 1 hour');
+        err.code = 'INVALID_DURATION';
+        throw err;
+      }
+      console.error('Error switching category:', error);
       throw error;
     }
     
-    console.log('Category unlocked successfully:', { categoryId, title: data.title });
-    return data;
+    const { opened, closed } = data;
+    console.log('Category unlocked successfully:', {
+      categoryId,
+      title: opened.title,
+      closesAt: opened.closes_at,
+      closedCategoryId: closed?.id ?? null
+    });
+    return { opened, closed };
   } catch (error) {
     console.error('Failed to unlock category after retries:', {
       error: error.message,
@@ -161,7 +268,7 @@ export async function unlockCategory(categoryId) {
  * Includes retry logic for connection errors
  * @param {number} categoryId - The ID of the category to lock
  * @returns {Promise<Object>} The locked category
- * @throws {Error} If category not found or connection fails
+ * @throws {Error} If category not found, caller is not an admin (NOT_AUTHORIZED), or connection fails
  */
 export async function lockCategory(categoryId) {
   try {
@@ -176,7 +283,8 @@ export async function lockCategory(categoryId) {
     const { data, error } = await retryOperation(
       () => supabase
         .from('categories')
-        .update({ unlocked: false })
+        // A locked category has no voting window left to count down
+        .update({ unlocked: false, closes_at: null })
         .eq('id', categoryId)
         .select()
         .single(),
@@ -184,21 +292,382 @@ export async function lockCategory(categoryId) {
     );
     
     if (error) {
-      // Handle case where category doesn't exist
+      // No row updated: either the category doesn't exist or RLS hid it from a non-admin
       if (error.code === 'PGRST116') {
+        throw await notFoundOrNotAuthorized(categoryId);
+      }
+      if (error.code === '42501') {
+        throw notAuthorizedError(categoryId);
+      }
+      console.error('Error locking category:', error);
+      throw error;
+    }
+    
+    console.log('Category locked successfully:', { categoryId, title: data.title });
+    return data;
+  } catch (error) {
+    console.error('Failed to lock category after retries:', {
+      error: error.message,
+      code: error.code,
+      categoryId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Reveal a category's results on the projector
+ * Calls the reveal_category() database function, which closes voting and
+ * records revealed_at so the projector can restore the reveal after a refresh
+ * Includes retry logic for connection errors
+ * @param {number} categoryId - The ID of the category to reveal
+ * @returns {Promise<Object>} The revealed category
+ * @throws {Error} If category not found, caller is not an admin (NOT_AUTHORIZED), or connection fails
+ */
+export async function revealCategory(categoryId) {
+  try {
+    // Validate input
+    if (!categoryId || typeof categoryId !== 'number') {
+      const error = new Error('Invalid category ID');
+      error.code = 'INVALID_CATEGORY_ID';
+      console.error('Invalid category ID provided:', categoryId);
+      throw error;
+    }
+    
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('reveal_category', { p_category_id: categoryId }),
+      3
+    );
+    
+    if (error) {
+      // reveal_category() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        throw notAuthorizedError(categoryId);
+      }
+      if (error.message === 'CATEGORY_NOT_FOUND') {
         const err = new Error('Category not found');
         err.code = 'CATEGORY_NOT_FOUND';
         console.error('Category not found:', categoryId);
         throw err;
       }
-      console.error('Error locking category:', error);
+      console.error('Error revealing category:', error);
       throw error;
     }
     
-    console.log('Category locked successfully:', { categoryId, title: data.title });
+    console.log('Category revealed successfully:', { categoryId, title: data.title });
     return data;
   } catch (error) {
-    console.error('Failed to lock category after retries:', {
+    console.error('Failed to reveal category after retries:', {
+      error: error.message,
+      code: error.code,
+      categoryId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Start a runoff between the nominees tied for first place (admin only)
+ * Calls the create_runoff() database function, which creates a pending runoff
+ * category right after the parent in the running order; open it with unlockCategory()
+ * Includes retry logic for connection errors
+ * @param {number} categoryId - The ID of the closed, tied category
+ * @returns {Promise<Object>} The runoff category
+ * @throws {Error} NOT_AUTHORIZED, CATEGORY_NOT_FOUND, CATEGORY_NOT_CLOSED, RUNOFF_EXISTS, NO_TIE or connection errors
+ */
+export async function createRunoff(categoryId) {
+  try {
+    // Validate input
+    if (!categoryId || typeof categoryId !== 'number') {
+      const error = new Error('Invalid category ID');
+      error.code = 'INVALID_CATEGORY_ID';
+      console.error('Invalid category ID provided:', categoryId);
+      throw error;
+    }
+    
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('create_runoff', { p_category_id: categoryId }),
+      3
+    );
+    
+    if (error) {
+      // create_runoff() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        throw notAuthorizedError(categoryId);
+      }
+      if (error.message === 'CATEGORY_NOT_FOUND') {
+        const err = new Error('Category not found');
+        err.code = 'CATEGORY_NOT_FOUND';
+        console.error('Category not found:', categoryId);
+        throw err;
+      }
+      if (error.message === 'CATEGORY_NOT_CLOSED') {
+        const err = new Error('Close voting before starting a runoff');
+        err.code = 'CATEGORY_NOT_CLOSED';
+        throw err;
+      }
+      if (error.message === 'RUNOFF_EXISTS') {
+        const err = new Error('This category already has a runoff');
+        err.code = 'RUNOFF_EXISTS';
+        throw err;
+      }
+      if (error.message === 'NO_TIE') {
+        const err = new Error('There is no tie for first place in this category');
+        err.code = 'NO_TIE';
+        throw err;
+      }
+      console.error('Error creating runoff:', error);
+      throw error;
+    }
+    
+    console.log('Runoff created successfully:', { categoryId, runoffId: data.id, round: data.runoff_round });
+    return data;
+  } catch (error) {
+    console.error('Failed to create runoff after retries:', {
+      error: error.message,
+      code: error.code,
+      categoryId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Find the nominees tied for first place in a category
+ * @param {Object} category - Category with nominees and voteCounts
+ * @returns {Array<string>} Tied option letters, or an empty array without a tie (or without votes)
+ */
+export function findTopTie(category) {
+  const voteCounts = category?.voteCounts || {};
+  const options = getNomineeOptions(category);
+  const maxVotes = Math.max(0, ...options.map(option => voteCounts[option] || 0));
+  
+  if (maxVotes === 0) return [];
+  
+  const tied = options.filter(option => (voteCounts[option] || 0) === maxVotes);
+  return tied.length > 1 ? tied : [];
+}
+
+/**
+ * Check whether a category is a runoff round of another category
+ * @param {Object} category - Category data
+ * @returns {boolean} True for runoffs
+ */
+export function isRunoff(category) {
+  return Boolean(category?.parent_category_id);
+}
+
+/**
+ * Get the seconds left in a category's voting window
+ * @param {Object} category - Category with an optional closes_at deadline
+ * @param {number} now - Current time in milliseconds (default Date.now())
+ * @returns {number|null} Whole seconds remaining (0 once time is up), or null without a time limit
+ */
+export function getSecondsRemaining(category, now = Date.now()) {
+  if (!category?.closes_at) return null;
+  
+  const remainingMs = new Date(category.closes_at).getTime() - now;
+  return Math.max(0, Math.ceil(remainingMs / 1000));
+}
+
+/**
+ * Format a number of seconds as m:ss for countdowns
+ * @param {number} seconds - Seconds to format
+ * @returns {string} e.g. "1:05"
+ */
+export function formatCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Minimum and maximum number of nominees per category
+ * Matches the categories_nominee_count check in the database
+ */
+export const MIN_NOMINEES = 2;
+export const MAX_NOMINEES = 8;
+
+// Option letters assigned to nominees in order (see categories_nominee_keys)
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+
+/**
+ * Get a category's nominee options in display order
+ * @param {Object} category - Category with a nominees object
+ * @returns {Array<string>} Option letters, e.g. ['A', 'B', 'C']
+ */
+export function getNomineeOptions(category) {
+  return Object.keys(category?.nominees || {}).sort();
+}
+
+/**
+ * Get the options of a category whose nominee is the voter
+ * Names match ignoring case and extra spaces, like person_name_key() in cast_vote()
+ * @param {Object} category - Category with a nominees object
+ * @param {string|null} voterName - Name of the voter, if known
+ * @returns {Array<string>} Option letters of the voter's own nominations (usually none)
+ */
+export function getSelfNomineeOptions(category, voterName) {
+  const key = toPersonNameKey(voterName);
+  if (!key) return [];
+
+  return getNomineeOptions(category).filter(option => toPersonNameKey(category.nominees[option]) === key);
+}
+
+/**
+ * Comparison key of a person's name: trimmed, single-spaced, upper case
+ * @param {string|null} name - Person's name
+ * @returns {string} e.g. "KRUTI DAVDA"
+ */
+function toPersonNameKey(name) {
+  return (name || '').trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+/**
+ * Validate and normalize category editor input
+ * Titles and nominee names are trimmed; every nominee slot must be filled
+ * and nominee names must be unique within the category
+ * @param {Object} input - { title, nominees: Array<string> of names in order }
+ * @returns {Object} Normalized { title, nominees: {A, B, ...} }
+ * @throws {Error} With code INVALID_CATEGORY_INPUT describing the problem
+ */
+export function validateCategoryInput(input) {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_CATEGORY_INPUT';
+    return error;
+  };
+  
+  const title = (input?.title || '').trim();
+  if (!title) {
+    throw invalid('Category title is required');
+  }
+  if (title.length > 100) {
+    throw invalid('Category title must be 100 characters or fewer');
+  }
+  
+  const names = Array.isArray(input?.nominees) ? input.nominees : [];
+  if (names.length < MIN_NOMINEES || names.length > MAX_NOMINEES) {
+    throw invalid(`A category needs between ${MIN_NOMINEES} and ${MAX_NOMINEES} nominees`);
+  }
+  
+  const nominees = {};
+  const seen = new Set();
+  names.forEach((rawName, index) => {
+    const option = OPTION_LETTERS[index];
+    const name = (rawName || '').trim();
+    if (!name) {
+      throw invalid(`Nominee ${option} is required`);
+    }
+    if (seen.has(name.toUpperCase())) {
+      throw invalid(`"${name}" is listed more than once`);
+    }
+    seen.add(name.toUpperCase());
+    nominees[option] = name;
+  });
+  
+  return { title, nominees };
+}
+
+/**
+ * Create a new category in an event (admin only)
+ * The category is added at the end of the event's running order
+ * Includes retry logic for connection errors
+ * @param {Object} input - { title, nominees: Array<string> of names in order }
+ * @param {number} eventId - The ID of the event the category belongs to
+ * @returns {Promise<Object>} The created category
+ * @throws {Error} If input is invalid, caller is not an admin (NOT_AUTHORIZED), or connection fails
+ */
+export async function createCategory(input, eventId) {
+  try {
+    const { title, nominees } = validateCategoryInput(input);
+    
+    // Append to the end of the running order
+    const { data: last, error: lastError } = await retryOperation(
+      () => supabase
+        .from('categories')
+        .select('sort_order')
+        .eq('event_id', eventId)
+        .order('sort_order', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+      3
+    );
+    
+    if (lastError) {
+      console.error('Error fetching running order:', lastError);
+      throw lastError;
+    }
+    
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('categories')
+        .insert({ event_id: eventId, title, nominees, sort_order: (last?.sort_order || 0) + 1 })
+        .select()
+        .single(),
+      3
+    );
+    
+    if (error) {
+      throw categoryWriteError(error, null) || error;
+    }
+    
+    console.log('Category created successfully:', { categoryId: data.id, title: data.title });
+    return data;
+  } catch (error) {
+    console.error('Failed to create category:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Update a category's title and nominees (admin only)
+ * Rejected by the database once the category has votes or while it is open
+ * Includes retry logic for connection errors
+ * @param {number} categoryId - The ID of the category to update
+ * @param {Object} input - { title, nominees: Array<string> of names in order }
+ * @returns {Promise<Object>} The updated category
+ * @throws {Error} CATEGORY_HAS_VOTES, CATEGORY_OPEN, NOT_AUTHORIZED, INVALID_CATEGORY_INPUT or connection errors
+ */
+export async function updateCategory(categoryId, input) {
+  try {
+    // Validate input
+    if (!categoryId || typeof categoryId !== 'number') {
+      const error = new Error('Invalid category ID');
+      error.code = 'INVALID_CATEGORY_ID';
+      console.error('Invalid category ID provided:', categoryId);
+      throw error;
+    }
+    
+    const { title, nominees } = validateCategoryInput(input);
+    
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('categories')
+        .update({ title, nominees })
+        .eq('id', categoryId)
+        .select()
+        .single(),
+      3
+    );
+    
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw await notFoundOrNotAuthorized(categoryId);
+      }
+      throw categoryWriteError(error, categoryId) || error;
+    }
+    
+    console.log('Category updated successfully:', { categoryId, title: data.title });
+    return data;
+  } catch (error) {
+    console.error('Failed to update category:', {
       error: error.message,
       code: error.code,
       categoryId,
@@ -208,11 +677,91 @@ export async function lockCategory(categoryId) {
   }
 }
 
+/**
+ * Delete a category (admin only)
+ * Rejected by the database once the category has votes or while it is open
+ * Includes retry logic for connection errors
+ * @param {number} categoryId - The ID of the category to delete
+ * @returns {Promise<void>}
+ * @throws {Error} CATEGORY_HAS_VOTES, CATEGORY_HAS_RUNOFF, CATEGORY_IN_USE, CATEGORY_OPEN,
+ *   NOT_AUTHORIZED or connection errors
+ */
+export async function deleteCategory(categoryId) {
+  try {
+    // Validate input
+    if (!categoryId || typeof categoryId !== 'number') {
+      const error = new Error('Invalid category ID');
+      error.code = 'INVALID_CATEGORY_ID';
+      console.error('Invalid category ID provided:', categoryId);
+      throw error;
+    }
+    
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('categories')
+        .delete()
+        .eq('id', categoryId)
+        .select(),
+      3
+    );
+    
+    if (error) {
+      throw categoryWriteError(error, categoryId) || error;
+    }
+    
+    // No row deleted: either the category doesn't exist or RLS hid it from a non-admin
+    if (!data || data.length === 0) {
+      throw await notFoundOrNotAuthorized(categoryId);
+    }
+    
+    console.log('Category deleted successfully:', { categoryId });
+  } catch (error) {
+    console.error('Failed to delete category:', {
+      error: error.message,
+      code: error.code,
+      categoryId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Save a new running order for the categories (admin only)
+ * Calls the reorder_categories() database function so the order is applied atomically
+ * Includes retry logic for connection errors
+ * @param {Array<number>} categoryIds - Every category ID in the desired order
+ * @returns {Promise<void>}
+ * @throws {Error} If caller is not an admin (NOT_AUTHORIZED) or connection fails
+ */
+export async function reorderCategories(categoryIds) {
+  try {
+    const { error } = await retryOperation(
+      () => supabase.rpc('reorder_categories', { p_category_ids: categoryIds }),
+      3
+    );
+    
+    if (error) {
+      throw categoryWriteError(error, null) || error;
+    }
+    
+    console.log('Categories reordered successfully:', categoryIds);
+  } catch (error) {
+    console.error('Failed to reorder categories:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
 /**
  * Get vote counts for a specific category
+ * Reads the grouped vote_counts view instead of individual vote rows
  * Includes retry logic for connection errors
  * @param {number} categoryId - The ID of the category
- * @returns {Promise<Object>} Vote counts object with A, B, C, D, and total
+ * @returns {Promise<Object>} Vote counts object keyed by option, plus total
  * @throws {Error} If connection fails after retries
  */
 export async function getVoteCounts(categoryId) {
@@ -221,13 +770,13 @@ export async function getVoteCounts(categoryId) {
     if (!categoryId || typeof categoryId !== 'number') {
       console.error('Invalid category ID for getVoteCounts:', categoryId);
       // Return zero counts for invalid input
-      return { A: 0, B: 0, C: 0, D: 0, total: 0 };
+      return buildVoteCounts([]);
     }
     
     const { data, error } = await retryOperation(
       () => supabase
-        .from('votes')
-        .select('option')
+        .from('vote_counts')
+        .select('option, votes')
         .eq('category_id', categoryId),
       3
     );
@@ -237,45 +786,111 @@ export async function getVoteCounts(categoryId) {
       throw error;
     }
     
-    // Initialize counts
-    const counts = { A: 0, B: 0, C: 0, D: 0, total: 0 };
+    return buildVoteCounts(data);
+  } catch (error) {
+    console.error('Failed to fetch vote counts after retries:', {
+      error: error.message,
+      categoryId,
+      timestamp: new Date().toISOString()
+    });
+    // Return zero counts on error to allow app to continue
+    return buildVoteCounts([]);
+  }
+}
+
+/**
+ * Get vote counts for every category of an event in one request
+ * Reads the grouped vote_counts view (one row per category and option)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} Map of category ID to vote counts object (keyed by option, plus total)
+ */
+export async function getAllVoteCounts(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('vote_counts')
+        .select('category_id, option, votes')
+        .eq('event_id', eventId),
+      3
+    );
     
-    // Count votes for each option
-    data.forEach(vote => {
-      if (counts.hasOwnProperty(vote.option)) {
-        counts[vote.option]++;
-        counts.total++;
+    if (error) {
+      console.error('Error fetching all vote counts:', error);
+      throw error;
+    }
+    
+    // Group rows by category
+    const rowsByCategory = {};
+    data.forEach(row => {
+      if (!rowsByCategory[row.category_id]) {
+        rowsByCategory[row.category_id] = [];
       }
+      rowsByCategory[row.category_id].push(row);
     });
     
-    return counts;
+    const countsByCategory = {};
+    Object.entries(rowsByCategory).forEach(([categoryId, rows]) => {
+      countsByCategory[categoryId] = buildVoteCounts(rows);
+    });
+    
+    return countsByCategory;
   } catch (error) {
-    console.error('Failed to fetch vote counts after retries:', {
+    console.error('Failed to fetch all vote counts after retries:', {
       error: error.message,
-      categoryId,
       timestamp: new Date().toISOString()
     });
-    // Return zero counts on error to allow app to continue
-    return { A: 0, B: 0, C: 0, D: 0, total: 0 };
+    // Return no counts on error to allow app to continue
+    return {};
   }
 }
 
 /**
- * Subscribe to real-time category changes
+ * Build a vote counts object from grouped vote_counts rows
+ * Options with no votes are absent; read counts with `voteCounts[option] || 0`
+ * @param {Array} rows - Rows with option and votes
+ * @returns {Object} Vote counts object keyed by option, plus total
+ */
+function buildVoteCounts(rows) {
+  const counts = { total: 0 };
+  
+  rows.forEach(row => {
+    counts[row.option] = (counts[row.option] || 0) + row.votes;
+    counts.total += row.votes;
+  });
+  
+  return counts;
+}
+
+/**
+ * Subscribe to real-time category changes of an event
  * Includes automatic reconnection on channel errors with exponential backoff
  * @param {Function} callback - Function to call when categories change
+ * @param {number} eventId - The ID of the event to follow
  * @returns {Object} Subscription object with unsubscribe method
  */
-export function subscribeToCategories(callback) {
+export function subscribeToCategories(callback, eventId) {
   let reconnectAttempts = 0;
   const maxReconnectAttempts = 5;
+  let channel = null; // Current channel; replaced on every reconnect
+  let reconnectTimer = null;
+  let closed = false;
+  
+  const scheduleReconnect = (delay) => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      supabase.removeChannel(channel);
+      createSubscription();
+    }, delay);
+  };
   
   const createSubscription = () => {
-    const channel = supabase
-      .channel('categories-channel')
+    const current = supabase
+      .channel(`categories-channel-${eventId}`)
       .on(
         'postgres_changes',
-        { event: '*', schema: 'public', table: 'categories' },
+        { event: '*', schema: 'public', table: 'categories', filter: `event_id=eq.${eventId}` },
         (payload) => {
           try {
             console.log('Category update received:', payload);
@@ -284,45 +899,43 @@ export function subscribeToCategories(callback) {
             console.error('Error in category subscription callback:', error);
           }
         }
-      )
-      .subscribe((status, err) => {
-        if (status === 'SUBSCRIBED') {
-          console.log('Connected to category real-time updates');
-          reconnectAttempts = 0; // Reset counter on successful connection
-        } else if (status === 'CHANNEL_ERROR') {
-          console.error('Category subscription error:', err);
-          
-          if (reconnectAttempts < maxReconnectAttempts) {
-            reconnectAttempts++;
-            const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
-            console.warn(`Reconnecting to category updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
-            
-            setTimeout(() => {
-              supabase.removeChannel(channel);
-              createSubscription();
-            }, delay);
-          } else {
-            console.error('Max reconnection attempts reached for category subscription');
-          }
-        } else if (status === 'CLOSED') {
-          console.log('Category subscription closed');
-        } else if (status === 'TIMED_OUT') {
-          console.error('Category subscription timed out, reconnecting...');
-          setTimeout(() => {
-            supabase.removeChannel(channel);
-            createSubscription();
-          }, 5000);
-        }
-      });
+      );
+    channel = current;
     
-    return channel;
+    current.subscribe((status, err) => {
+      // Statuses of a replaced or unsubscribed channel are stale
+      if (closed || current !== channel) return;
+    
+      if (status === 'SUBSCRIBED') {
+        console.log('Connected to category real-time updates');
+        reconnectAttempts = 0; // Reset counter on successful connection
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Category subscription error:', err);
+    
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+          console.warn(`Reconnecting to category updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
+          scheduleReconnect(delay);
+        } else {
+          console.error('Max reconnection attempts reached for category subscription');
+        }
+      } else if (status === 'CLOSED') {
+        console.log('Category subscription closed');
+      } else if (status === 'TIMED_OUT') {
+        console.error('Category subscription timed out, reconnecting...');
+        scheduleReconnect(5000);
+      }
+    });
   };
   
-  const channel = createSubscription();
+  createSubscription();
   
   return {
     unsubscribe: () => {
       console.log('Unsubscribing from category updates');
+      closed = true;
+      clearTimeout(reconnectTimer);
       supabase.removeChannel(channel);
     }
   };
@@ -346,12 +959,12 @@ async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
       lastError = error;
       
       // Don't retry on validation errors or business logic errors
-      if (error.code && ['INVALID_CATEGORY_ID', 'CATEGORY_NOT_FOUND'].includes(error.code)) {
+      if (error.code && ['INVALID_CATEGORY_ID', 'CATEGORY_NOT_FOUND', 'NOT_AUTHORIZED', 'INVALID_CATEGORY_INPUT', 'EVENT_NOT_ACTIVE', 'INVALID_DURATION', 'CATEGORY_CLOSED', 'CATEGORY_NOT_CLOSED', 'RUNOFF_EXISTS', 'NO_TIE'].includes(error.code)) {
         throw error;
       }
       
       // Don't retry on database constraint violations
-      if (error.code && ['23505', '23503', '23514'].includes(error.code)) {
+      if (error.code && ['23505', '23503', '23514', '42501'].includes(error.code)) {
         throw error;
       }
       
@@ -372,3 +985,78 @@ async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
   
   throw lastError;
 }
+
+/**
+ * Create the error returned when a non-admin tries to change a category
+ * @param {number} categoryId - The ID of the category being changed
+ * @returns {Error} Error with code NOT_AUTHORIZED
+ */
+function notAuthorizedError(categoryId) {
+  const error = new Error('You are not authorized to change categories. Please sign in as an admin.');
+  error.code = 'NOT_AUTHORIZED';
+  console.error('Unauthorized category change attempt:', categoryId);
+  return error;
+}
+
+/**
+ * Resolve an update that matched no rows
+ * RLS filters rows out for non-admins, so an empty update is ambiguous
+ * @param {number} categoryId - The ID of the category being changed
+ * @returns {Promise<Error>} Error with code CATEGORY_NOT_FOUND or NOT_AUTHORIZED
+ */
+async function notFoundOrNotAuthorized(categoryId) {
+  if (!(await isCurrentUserAdmin())) {
+    return notAuthorizedError(categoryId);
+  }
+  
+  const error = new Error('Category not found');
+  error.code = 'CATEGORY_NOT_FOUND';
+  console.error('Category not found:', categoryId);
+  return error;
+}
+
+/**
+ * Map a database error from a category write to a client error
+ * The guard_category_changes() trigger raises its stable codes as the message
+ * @param {Object} error - Supabase error
+ * @param {number|null} categoryId - The ID of the category being changed
+ * @returns {Error|null} Mapped error, or null if the error is not recognized
+ */
+function categoryWriteError(error, categoryId) {
+  if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+    return notAuthorizedError(categoryId);
+  }
+  
+  if (error.message === 'CATEGORY_HAS_VOTES') {
+    const err = new Error('This category already has votes and can no longer be edited or deleted');
+    err.code = 'CATEGORY_HAS_VOTES';
+    return err;
+  }
+  
+  if (error.message === 'CATEGORY_HAS_RUNOFF') {
+    const err = new Error('This category has a runoff. Delete the runoff first');
+    err.code = 'CATEGORY_HAS_RUNOFF';
+    return err;
+  }
+  
+  // Foreign key violation: something else still points at the category
+  if (error.code === '23503') {
+    const err = new Error('This category is still in use and can\'t be deleted');
+    err.code = 'CATEGORY_IN_USE';
+    return err;
+  }
+  
+  if (error.message === 'CATEGORY_OPEN') {
+    const err = new Error('Lock this category before editing or deleting it');
+    err.code = 'CATEGORY_OPEN';
+    return err;
+  }
+  
+  if (error.code === '23514') {
+    const err = new Error(`A category needs a title and between ${MIN_NOMINEES} and ${MAX_NOMINEES} nominees`);
+    err.code = 'INVALID_CATEGORY_INPUT';
+    return err;
+  }
+  
+  return null;
+}
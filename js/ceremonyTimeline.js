@@ -0,0 +1,311 @@
+// Ceremony timeline for the admin panel
+// Lines up the audit log of admin actions (unlocks, locks, reveals, runoffs,
+// category edits) against vote arrival times, and lists every action with
+// the admin who made it
+
+import { getAuditLog, getVoteArrivals, DEFAULT_BUCKET_SECONDS } from './auditService.js';
+import { logger } from './logger.js';
+
+// Labels of each audited action
+const ACTION_LABELS = {
+  open: 'Unlocked',
+  reopen: 'Reopened',
+  close: 'Locked',
+  reveal: 'Revealed',
+  create_category: 'Created',
+  edit_category: 'Edited',
+  delete_category: 'Deleted',
+  reorder_categories: 'Running order changed',
+  activate_event: 'Event activated',
+  require_voter_codes: 'Voter codes',
+  require_roster: 'Roster check-in',
+  allow_vote_changes: 'Vote changes'
+};
+
+// Callbacks and state provided by the admin panel
+let timelineOptions = null;
+let loading = false;
+let refreshQueued = false; // A refresh was requested while one was running
+
+// DOM elements
+const timelineSection = document.getElementById('ceremony-timeline');
+const bucketSelect = document.getElementById('timeline-bucket-select');
+const refreshBtn = document.getElementById('timeline-refresh-btn');
+const chart = document.getElementById('timeline-chart');
+const axis = document.getElementById('timeline-axis');
+const actionList = document.getElementById('timeline-actions');
+
+/**
+ * Set up the ceremony timeline
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getCategories - Returns the current categories array
+ * @param {Function} options.getEventId - Returns the ID of the event being viewed
+ * @param {Function} options.showError - Shows an error toast
+ */
+export function setupCeremonyTimeline(options) {
+  timelineOptions = options;
+
+  bucketSelect.value = String(DEFAULT_BUCKET_SECONDS);
+  document.getElementById('timeline-btn').addEventListener('click', toggleCeremonyTimeline);
+  refreshBtn.addEventListener('click', refreshCeremonyTimeline);
+  bucketSelect.addEventListener('change', refreshCeremonyTimeline);
+}
+
+/**
+ * Reload the timeline if it is open
+ * Called by the admin panel when the viewed event changes, on refresh and
+ * when a category changes state
+ */
+export async function refreshCeremonyTimeline() {
+  if (!timelineOptions || timelineSection.style.display === 'none') return;
+
+  if (loading) {
+    refreshQueued = true;
+    return;
+  }
+
+  const eventId = timelineOptions.getEventId();
+  if (!eventId) {
+    renderTimeline([], [], Number(bucketSelect.value));
+    return;
+  }
+
+  loading = true;
+  refreshBtn.disabled = true;
+
+  try {
+    const bucketSeconds = Number(bucketSelect.value);
+    const [entries, arrivals] = await Promise.all([
+      getAuditLog(eventId),
+      getVoteArrivals(eventId, bucketSeconds)
+    ]);
+    renderTimeline(entries, arrivals, bucketSeconds);
+  } catch (error) {
+    logger.error('Error loading ceremony timeline:', error);
+    timelineOptions.showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to view the timeline. Please sign in again.'
+      : 'Failed to load the timeline. Please try again.');
+  } finally {
+    loading = false;
+    refreshBtn.disabled = false;
+  }
+
+  if (refreshQueued) {
+    refreshQueued = false;
+    refreshCeremonyTimeline();
+  }
+}
+
+/**
+ * Show or hide the timeline, loading it when it opens
+ */
+function toggleCeremonyTimeline() {
+  const isHidden = timelineSection.style.display === 'none';
+  timelineSection.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    refreshCeremonyTimeline();
+  }
+}
+
+/**
+ * Render the chart and the action list
+ * @param {Array} entries - Rows from getAuditLog(), oldest first
+ * @param {Array} arrivals - Buckets from getVoteArrivals()
+ * @param {number} bucketSeconds - Bucket size in seconds
+ */
+function renderTimeline(entries, arrivals, bucketSeconds) {
+  chart.innerHTML = '';
+  axis.innerHTML = '';
+  actionList.innerHTML = '';
+
+  if (entries.length === 0 && arrivals.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'integrity-empty';
+    empty.textContent = 'No admin actions or votes yet.';
+    actionList.appendChild(empty);
+    return;
+  }
+
+  const start = Math.min(
+    ...entries.map(entry => Date.parse(entry.created_at)),
+    ...arrivals.map(bucket => Date.parse(bucket.bucketStart))
+  );
+  const end = Math.max(
+    ...entries.map(entry => Date.parse(entry.created_at)),
+    ...arrivals.map(bucket => Date.parse(bucket.bucketStart) + bucketSeconds * 1000)
+  );
+  const span = Math.max(end - start, bucketSeconds * 1000);
+  const position = (time) => `${((time - start) / span) * 100}%`;
+
+  renderArrivalBars(arrivals, bucketSeconds, span, position);
+
+  entries.forEach(entry => {
+    const marker = document.createElement('div');
+    marker.className = `timeline-marker ${entry.action}`;
+    marker.style.left = position(Date.parse(entry.created_at));
+    marker.title = `${formatTime(entry.created_at)} · ${describeEntry(entry)}`;
+    chart.appendChild(marker);
+  });
+
+  [start, start + span / 2, start + span].forEach(time => {
+    const label = document.createElement('span');
+    label.textContent = formatTime(new Date(time).toISOString());
+    axis.appendChild(label);
+  });
+
+  [...entries].reverse().forEach(entry => {
+    actionList.appendChild(createActionRow(entry, arrivals));
+  });
+}
+
+/**
+ * Draw one bar per time bucket, summing the votes of every category
+ * @param {Array} arrivals - Buckets from getVoteArrivals()
+ * @param {number} bucketSeconds - Bucket size in seconds
+ * @param {number} span - Chart span in milliseconds
+ * @param {Function} position - Maps a time to a CSS left offset
+ */
+function renderArrivalBars(arrivals, bucketSeconds, span, position) {
+  const buckets = new Map();
+  arrivals.forEach(bucket => {
+    const time = Date.parse(bucket.bucketStart);
+    const entry = buckets.get(time) || { total: 0, lines: [] };
+    entry.total += bucket.votes;
+    entry.lines.push(`${formatCategory(bucket.categoryId)}: ${bucket.votes}`);
+    buckets.set(time, entry);
+  });
+
+  const maxVotes = Math.max(1, ...[...buckets.values()].map(bucket => bucket.total));
+  const width = `${(bucketSeconds * 1000 / span) * 100}%`;
+
+  buckets.forEach(({ total, lines }, time) => {
+    const bar = document.createElement('div');
+    bar.className = 'timeline-bar';
+    bar.style.left = position(time);
+    bar.style.width = width;
+    bar.style.height = `${(total / maxVotes) * 100}%`;
+    bar.title = `${formatTime(new Date(time).toISOString())} · ${total} ${total === 1 ? 'vote' : 'votes'}\n${lines.join('\n')}`;
+    chart.appendChild(bar);
+  });
+}
+
+/**
+ * Create the list row of one audited action
+ * @param {Object} entry - Audit log row
+ * @param {Array} arrivals - Buckets from getVoteArrivals()
+ * @returns {HTMLElement} The row element
+ */
+function createActionRow(entry, arrivals) {
+  const item = document.createElement('div');
+  item.className = `timeline-entry ${entry.action}`;
+
+  const when = document.createElement('span');
+  when.className = 'integrity-time';
+  when.textContent = formatTime(entry.created_at);
+
+  const what = document.createElement('span');
+  what.textContent = describeEntry(entry);
+
+  const who = document.createElement('span');
+  who.className = 'timeline-detail';
+  who.textContent = [entry.actor_email || 'system', describeDetails(entry, arrivals)]
+    .filter(Boolean)
+    .join(' · ');
+
+  item.append(when, what, who);
+  return item;
+}
+
+/**
+ * Describe an audited action
+ * @param {Object} entry - Audit log row
+ * @returns {string} e.g. "Locked #5 Best Performance"
+ */
+function describeEntry(entry) {
+  const label = ACTION_LABELS[entry.action] || entry.action;
+
+  if (entry.action === 'activate_event') {
+    return entry.details?.name ? `${label}: ${entry.details.name}` : label;
+  }
+
+  if (entry.action === 'require_voter_codes' || entry.action === 'require_roster') {
+    return `${label} ${entry.details?.required ? 'required' : 'no longer required'}`;
+  }
+
+  if (entry.action === 'reorder_categories') {
+    const order = entry.details?.category_ids;
+    return Array.isArray(order) ? `${label}: ${order.map(id => `#${id}`).join(', ')}` : label;
+  }
+
+  if (entry.action === 'allow_vote_changes') {
+    return `${label} ${entry.details?.allowed ? 'allowed' : 'no longer allowed'}`;
+  }
+
+  // Deleted categories are no longer loaded, so fall back to the logged title
+  const category = timelineOptions.getCategories().find(c => c.id === entry.category_id);
+  const title = category ? category.title : entry.details?.title;
+  return `${label} #${entry.category_id}${title ? ` ${title}` : ''}`;
+}
+
+/**
+ * Describe the context of an action: the voting window of an unlock, or how a
+ * lock lines up with the category's last vote
+ * @param {Object} entry - Audit log row
+ * @param {Array} arrivals - Buckets from getVoteArrivals()
+ * @returns {string} Details, or '' if there are none
+ */
+function describeDetails(entry, arrivals) {
+  const details = entry.details || {};
+
+  if ((entry.action === 'open' || entry.action === 'reopen') && details.voting_window_seconds) {
+    return `${details.voting_window_seconds}s voting window`;
+  }
+
+  if (entry.action === 'close') {
+    const closedAt = Date.parse(entry.created_at);
+    const lastVoteAt = Math.max(0, ...arrivals
+      .filter(bucket => bucket.categoryId === entry.category_id && Date.parse(bucket.lastVoteAt) <= closedAt)
+      .map(bucket => Date.parse(bucket.lastVoteAt)));
+    const how = details.window_expired ? 'Window ended' : 'Locked early';
+
+    if (!lastVoteAt) return `${how} · no votes`;
+    return `${how} · last vote ${formatGap(closedAt - lastVoteAt)} before`;
+  }
+
+  if (entry.action === 'edit_category' && details.previous_title && details.previous_title !== details.title) {
+    return `was “${details.previous_title}”`;
+  }
+
+  return '';
+}
+
+/**
+ * Format a category reference using the loaded categories
+ * @param {number} categoryId - Category ID
+ * @returns {string} e.g. "#5 Best Performance"
+ */
+function formatCategory(categoryId) {
+  const category = timelineOptions.getCategories().find(c => c.id === categoryId);
+  return category ? `#${category.id} ${category.title}` : `#${categoryId}`;
+}
+
+/**
+ * Format a time as local time with seconds
+ * @param {string} timestamp - ISO timestamp with time zone
+ * @returns {string} e.g. "19:02:45"
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Format the gap between two moments
+ * @param {number} milliseconds - Gap in milliseconds
+ * @returns {string} e.g. "4s" or "2m 05s"
+ */
+function formatGap(milliseconds) {
+  const seconds = Math.round(milliseconds / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
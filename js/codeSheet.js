@@ -0,0 +1,99 @@
+// Printable voter code sheet
+// Renders an event's one-time voter codes as QR join links to print and cut out
+// Opened from the admin Voter Codes panel as /codes.html?event=<id>; needs an admin session
+
+import QRCode from 'qrcode';
+import { getEvent } from './eventService.js';
+import { getVoterCodes, getJoinLink } from './voterCodeService.js';
+import { logger } from './logger.js';
+
+// DOM elements
+const eventName = document.getElementById('codes-event-name');
+const codesMeta = document.getElementById('codes-meta');
+const codesStatus = document.getElementById('codes-status');
+const codesGrid = document.getElementById('codes-grid');
+const includeClaimedToggle = document.getElementById('include-claimed-toggle');
+const printBtn = document.getElementById('print-btn');
+const cardTemplate = document.getElementById('code-card-template');
+
+/**
+ * Load and render the sheet
+ */
+async function init() {
+  printBtn.addEventListener('click', () => window.print());
+
+  const eventId = Number(new URLSearchParams(window.location.search).get('event'));
+  if (!eventId) {
+    codesStatus.textContent = 'No event selected. Open this page from the admin panel.';
+    return;
+  }
+
+  try {
+    const event = await getEvent(eventId);
+    if (!event) {
+      codesStatus.textContent = 'Event not found.';
+      return;
+    }
+
+    document.title = `${event.name} - Voter Codes`;
+    eventName.textContent = event.name;
+
+    includeClaimedToggle.addEventListener('change', () => renderCodes(eventId));
+    await renderCodes(eventId);
+  } catch (error) {
+    logger.error('Error loading voter codes:', error);
+    codesStatus.textContent = 'Failed to load voter codes. Please refresh the page.';
+  }
+}
+
+/**
+ * Render one card per code: unclaimed codes only, unless claimed ones are included
+ * @param {number} eventId - The ID of the event
+ */
+async function renderCodes(eventId) {
+  printBtn.disabled = true;
+  codesGrid.innerHTML = '';
+  codesStatus.style.display = '';
+  codesStatus.textContent = 'Loading voter codes…';
+
+  let codes;
+  try {
+    codes = await getVoterCodes(eventId, { unclaimedOnly: !includeClaimedToggle.checked });
+  } catch (error) {
+    logger.error('Error loading voter codes:', error);
+    codesStatus.textContent = 'Failed to load voter codes. Please refresh the page.';
+    return;
+  }
+
+  if (codes.length === 0) {
+    // Codes are only visible to admins, so an empty list may also mean signed out
+    codesStatus.textContent = 'No codes to print. Generate codes in the admin panel while signed in as an admin.';
+    codesMeta.textContent = '';
+    return;
+  }
+
+  const cards = await Promise.all(codes.map(createCodeCard));
+  codesGrid.append(...cards);
+
+  codesMeta.textContent = `${codes.length} ${codes.length === 1 ? 'code' : 'codes'} · Each code works on one phone`;
+  codesStatus.style.display = 'none';
+  printBtn.disabled = false;
+}
+
+/**
+ * Create the card of one code with its QR join link
+ * @param {Object} voterCode - Voter code row
+ * @returns {Promise<HTMLElement>} The card element
+ */
+async function createCodeCard(voterCode) {
+  const card = cardTemplate.content.cloneNode(true).querySelector('.code-card');
+  const qr = card.querySelector('.code-qr');
+
+  qr.src = await QRCode.toDataURL(getJoinLink(voterCode.code), { margin: 1, width: 280 });
+  qr.alt = `QR code for voter code ${voterCode.code}`;
+  card.querySelector('.code-text').textContent = voterCode.code;
+
+  return card;
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -106,6 +106,22 @@ export async function getDeviceIdentifiers() {
   };
 }
 
+/**
+ * Get or create this phone's claim token
+ * A random secret kept in localStorage that proves a claimed voter code or
+ * roster check-in belongs to this phone
+ * @returns {string} Claim token (32 hex characters)
+ */
+export function getClaimToken() {
+  let token = localStorage.getItem('oizom_claim_token');
+  if (!token) {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem('oizom_claim_token', token);
+  }
+  return token;
+}
+
 /**
  * Check if device has voted for category (client-side check)
  * Provides fast feedback before server validation
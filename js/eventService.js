@@ -0,0 +1,500 @@
+// Event service layer
+// Handles events (each owns its categories and votes) and the active event
+
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Get the active event
+ * Returns null if no event is active
+ * Includes retry logic for connection errors
+ * @returns {Promise<Object|null>} The active event or null
+ * @throws {Error} If connection fails after retries
+ */
+export async function getActiveEvent() {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .select('*')
+        .eq('is_active', true)
+        .maybeSingle(),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching active event:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch active event after retries:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get all events, newest first (for browsing past events in the admin panel)
+ * Includes retry logic for connection errors
+ * @returns {Promise<Array>} Array of events
+ * @throws {Error} If connection fails after retries
+ */
+export async function getEvents() {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .select('*')
+        .order('created_at', { ascending: false }),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching events:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch events after retries:', {
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get an event by ID
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object|null>} The event or null if not found
+ * @throws {Error} If connection fails after retries
+ */
+export async function getEvent(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .select('*')
+        .eq('id', eventId)
+        .maybeSingle(),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching event:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Failed to fetch event after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get an event's turnout: distinct voting devices and total votes
+ * Reads the event_turnout view
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} { voters, votes }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getEventTurnout(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('event_turnout')
+        .select('voters, votes')
+        .eq('event_id', eventId)
+        .maybeSingle(),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching event turnout:', error);
+      throw error;
+    }
+
+    return { voters: data?.voters || 0, votes: data?.votes || 0 };
+  } catch (error) {
+    console.error('Failed to fetch event turnout after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Create a new event (admin only)
+ * New events start inactive and without categories
+ * Includes retry logic for connection errors
+ * @param {Object} input - { name, eventDate }
+ * @returns {Promise<Object>} The created event
+ * @throws {Error} If input is invalid, caller is not an admin (NOT_AUTHORIZED), or connection fails
+ */
+export async function createEvent({ name, eventDate }) {
+  try {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      const error = new Error('Event name is required');
+      error.code = 'INVALID_EVENT_INPUT';
+      throw error;
+    }
+
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .insert({ name: trimmedName, event_date: eventDate || null })
+        .select()
+        .single(),
+      3
+    );
+
+    if (error) {
+      if (error.code === '42501') {
+        const err = new Error('You are not authorized to create events. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      console.error('Error creating event:', error);
+      throw error;
+    }
+
+    console.log('Event created successfully:', { eventId: data.id, name: data.name });
+    return data;
+  } catch (error) {
+    console.error('Failed to create event:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Make an event the active one (admin only)
+ * Calls the set_active_event() database function, which also closes any open category
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event to activate
+ * @returns {Promise<Object>} The activated event
+ * @throws {Error} If event not found, caller is not an admin (NOT_AUTHORIZED), or connection fails
+ */
+export async function setActiveEvent(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('set_active_event', { p_event_id: eventId }),
+      3
+    );
+
+    if (error) {
+      // set_active_event() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to change the active event. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'EVENT_NOT_FOUND') {
+        const err = new Error('Event not found');
+        err.code = 'EVENT_NOT_FOUND';
+        throw err;
+      }
+      console.error('Error activating event:', error);
+      throw error;
+    }
+
+    console.log('Event activated successfully:', { eventId, name: data.name });
+    return data;
+  } catch (error) {
+    console.error('Failed to activate event:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Turn the voter code requirement of an event on or off (admin only)
+ * While it is on, voters must claim a one-time voter code before voting
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {boolean} required - Whether voter codes are required
+ * @returns {Promise<Object>} The updated event
+ * @throws {Error} NOT_AUTHORIZED, IDENTITY_MODE_CONFLICT if the roster is required, or connection errors
+ */
+export async function setVoterCodesRequired(eventId, required) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .update({ voter_codes_required: required })
+        .eq('id', eventId)
+        .select()
+        .single(),
+      3
+    );
+
+    if (error) {
+      // No row updated: RLS hides events from non-admin updates
+      if (error.code === '42501' || error.code === 'PGRST116') {
+        const err = new Error('You are not authorized to change voter codes. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      // events_single_voter_identity: voter codes and the roster exclude each other
+      if (error.code === '23514') {
+        const err = new Error('Turn off the voter roster before requiring voter codes.');
+        err.code = 'IDENTITY_MODE_CONFLICT';
+        throw err;
+      }
+      console.error('Error updating voter code requirement:', error);
+      throw error;
+    }
+
+    console.log('Voter code requirement updated:', { eventId, required });
+    return data;
+  } catch (error) {
+    console.error('Failed to update voter code requirement:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Turn the voter roster requirement of an event on or off (admin only)
+ * While it is on, voters must check in with an employee ID and PIN from the
+ * event's roster before voting
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {boolean} required - Whether roster check-in is required
+ * @returns {Promise<Object>} The updated event
+ * @throws {Error} NOT_AUTHORIZED, IDENTITY_MODE_CONFLICT if voter codes are required, or connection errors
+ */
+export async function setRosterRequired(eventId, required) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .update({ roster_required: required })
+        .eq('id', eventId)
+        .select()
+        .single(),
+      3
+    );
+
+    if (error) {
+      // No row updated: RLS hides events from non-admin updates
+      if (error.code === '42501' || error.code === 'PGRST116') {
+        const err = new Error('You are not authorized to change the voter roster. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      // events_single_voter_identity: voter codes and the roster exclude each other
+      if (error.code === '23514') {
+        const err = new Error('Stop requiring voter codes before requiring the voter roster.');
+        err.code = 'IDENTITY_MODE_CONFLICT';
+        throw err;
+      }
+      console.error('Error updating roster requirement:', error);
+      throw error;
+    }
+
+    console.log('Roster requirement updated:', { eventId, required });
+    return data;
+  } catch (error) {
+    console.error('Failed to update roster requirement:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Turn vote changes for an event on or off (admin only)
+ * While it is on, voters can change their vote until the category closes
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {boolean} allowed - Whether votes can be changed
+ * @returns {Promise<Object>} The updated event
+ * @throws {Error} If caller is not an admin (NOT_AUTHORIZED) or connection fails
+ */
+export async function setAllowVoteChanges(eventId, allowed) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('events')
+        .update({ allow_vote_changes: allowed })
+        .eq('id', eventId)
+        .select()
+        .single(),
+      3
+    );
+
+    if (error) {
+      // No row updated: RLS hides events from non-admin updates
+      if (error.code === '42501' || error.code === 'PGRST116') {
+        const err = new Error('You are not authorized to change this setting. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      console.error('Error updating vote change setting:', error);
+      throw error;
+    }
+
+    console.log('Vote change setting updated:', { eventId, allowed });
+    return data;
+  } catch (error) {
+    console.error('Failed to update vote change setting:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to real-time event changes (e.g. the admin switching the active event)
+ * Includes automatic reconnection on channel errors with exponential backoff
+ * @param {Function} callback - Function to call when events change
+ * @returns {Object} Subscription object with unsubscribe method
+ */
+export function subscribeToEvents(callback) {
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 5;
+  let channel = null; // Current channel; replaced on every reconnect
+  let reconnectTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = (delay) => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      supabase.removeChannel(channel);
+      createSubscription();
+    }, delay);
+  };
+
+  const createSubscription = () => {
+    const current = supabase
+      .channel('events-channel')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'events' },
+        (payload) => {
+          try {
+            console.log('Event update received:', payload);
+            callback(payload);
+          } catch (error) {
+            console.error('Error in event subscription callback:', error);
+          }
+        }
+      );
+    channel = current;
+
+    current.subscribe((status, err) => {
+      // Statuses of a replaced or unsubscribed channel are stale
+      if (closed || current !== channel) return;
+
+      if (status === 'SUBSCRIBED') {
+        console.log('Connected to event real-time updates');
+        reconnectAttempts = 0; // Reset counter on successful connection
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Event subscription error:', err);
+
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+          console.warn(`Reconnecting to event updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
+          scheduleReconnect(delay);
+        } else {
+          console.error('Max reconnection attempts reached for event subscription');
+        }
+      } else if (status === 'CLOSED') {
+        console.log('Event subscription closed');
+      } else if (status === 'TIMED_OUT') {
+        console.error('Event subscription timed out, reconnecting...');
+        scheduleReconnect(5000);
+      }
+    });
+  };
+
+  createSubscription();
+
+  return {
+    unsubscribe: () => {
+      console.log('Unsubscribing from event updates');
+      closed = true;
+      clearTimeout(reconnectTimer);
+      supabase.removeChannel(channel);
+    }
+  };
+}
+
+/**
+ * Retry an async operation with exponential backoff
+ * Used for handling transient network errors
+ * @param {Function} operation - Async function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} baseDelay - Base delay in milliseconds (default 1000)
+ * @returns {Promise<any>} Result of the operation
+ */
+async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on validation errors or business logic errors
+      if (error.code && ['INVALID_EVENT_INPUT', 'EVENT_NOT_FOUND', 'NOT_AUTHORIZED', 'IDENTITY_MODE_CONFLICT'].includes(error.code)) {
+        throw error;
+      }
+
+      // Don't retry on database constraint violations or permission errors
+      if (error.code && ['23505', '23503', '23514', '42501'].includes(error.code)) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries) {
+        console.error(`Operation failed after ${maxRetries + 1} attempts:`, error);
+        throw error;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,409 @@
+// Vote integrity dashboard for the admin panel
+// Lists clusters of suspicious votes (shared fingerprints or sessions, device ID
+// rotation, bursts of identical votes), drills into the votes behind each one
+// and voids or restores votes with a reason
+
+import { getVoteIntegrity, getVotesByIds, voidVotes, restoreVotes, voidDevice, getModerationLog } from './integrityService.js';
+import { logger } from './logger.js';
+
+// Labels and descriptions of each flag, in display order
+const FLAGS = {
+  device_rotation: {
+    label: 'Device ID rotation',
+    describe: (cluster) => `Same browser voted ${cluster.voteCount} times under ${cluster.deviceCount} device IDs`
+  },
+  shared_session: {
+    label: 'Shared session',
+    describe: (cluster) => `${cluster.deviceCount} device IDs in one browser session`
+  },
+  burst: {
+    label: 'Vote burst',
+    describe: (cluster) => `${cluster.voteCount} identical votes in ${formatSpan(cluster)}`
+  },
+  shared_fingerprint: {
+    label: 'Shared fingerprint',
+    describe: (cluster) => `${cluster.deviceCount} device IDs with one browser fingerprint`
+  }
+};
+
+// Callbacks and state provided by the admin panel
+let dashboardOptions = null;
+let loading = false;
+
+// DOM elements
+const dashboardSection = document.getElementById('integrity-dashboard');
+const summary = document.getElementById('integrity-summary');
+const clusterList = document.getElementById('integrity-list');
+const burstSecondsSelect = document.getElementById('burst-seconds-select');
+const burstMinVotesSelect = document.getElementById('burst-min-votes-select');
+const refreshBtn = document.getElementById('integrity-refresh-btn');
+const clusterTemplate = document.getElementById('integrity-cluster-template');
+const moderationLog = document.getElementById('moderation-log');
+
+/**
+ * Set up the integrity dashboard
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getCategories - Returns the current categories array
+ * @param {Function} options.getEventId - Returns the ID of the event being viewed
+ * @param {Function} options.showError - Shows an error toast
+ * @param {Function} options.showNotice - Shows a success toast
+ */
+export function setupIntegrityDashboard(options) {
+  dashboardOptions = options;
+
+  document.getElementById('integrity-btn').addEventListener('click', toggleIntegrityDashboard);
+  refreshBtn.addEventListener('click', refreshIntegrityDashboard);
+  burstSecondsSelect.addEventListener('change', refreshIntegrityDashboard);
+  burstMinVotesSelect.addEventListener('change', refreshIntegrityDashboard);
+}
+
+/**
+ * Re-run the integrity checks if the dashboard is open
+ * Called by the admin panel when the viewed event changes or on refresh
+ */
+export async function refreshIntegrityDashboard() {
+  if (!dashboardOptions || dashboardSection.style.display === 'none' || loading) return;
+
+  const eventId = dashboardOptions.getEventId();
+  if (!eventId) {
+    renderClusters([]);
+    renderModerationLog([]);
+    return;
+  }
+
+  loading = true;
+  refreshBtn.disabled = true;
+  clusterList.innerHTML = '<div class="loading-state"><div class="loader"></div><p>Checking votes...</p></div>';
+
+  try {
+    const clusters = await getVoteIntegrity(eventId, {
+      burstSeconds: Number(burstSecondsSelect.value),
+      burstMinVotes: Number(burstMinVotesSelect.value)
+    });
+    renderClusters(clusters);
+    await loadModerationLog();
+  } catch (error) {
+    logger.error('Error loading vote integrity:', error);
+    clusterList.innerHTML = '';
+    dashboardOptions.showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to view integrity checks. Please sign in again.'
+      : 'Failed to run integrity checks. Please try again.');
+  } finally {
+    loading = false;
+    refreshBtn.disabled = false;
+  }
+}
+
+/**
+ * Show or hide the dashboard, running the checks when it opens
+ */
+function toggleIntegrityDashboard() {
+  const isHidden = dashboardSection.style.display === 'none';
+  dashboardSection.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    refreshIntegrityDashboard();
+  }
+}
+
+/**
+ * Render the flag summary and the cluster list
+ * @param {Array} clusters - Clusters from getVoteIntegrity()
+ */
+function renderClusters(clusters) {
+  summary.innerHTML = '';
+  Object.entries(FLAGS).forEach(([flag, { label }]) => {
+    const count = clusters.filter(c => c.flag === flag).length;
+    const item = document.createElement('span');
+    item.className = `integrity-flag ${flag}${count === 0 ? ' none' : ''}`;
+    item.textContent = `${label}: ${count}`;
+    summary.appendChild(item);
+  });
+
+  clusterList.innerHTML = '';
+
+  if (clusters.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'integrity-empty';
+    empty.textContent = 'No suspicious voting patterns found.';
+    clusterList.appendChild(empty);
+    return;
+  }
+
+  const flagOrder = Object.keys(FLAGS);
+  [...clusters]
+    .sort((a, b) => flagOrder.indexOf(a.flag) - flagOrder.indexOf(b.flag) || b.voteCount - a.voteCount)
+    .forEach(cluster => clusterList.appendChild(createClusterRow(cluster)));
+}
+
+/**
+ * Create the expandable row of one cluster
+ * The votes behind it are loaded the first time it is opened
+ * @param {Object} cluster - Cluster from getVoteIntegrity()
+ * @returns {HTMLElement} The cluster element
+ */
+function createClusterRow(cluster) {
+  const row = clusterTemplate.content.cloneNode(true).querySelector('.integrity-cluster');
+  const flag = FLAGS[cluster.flag];
+
+  const badge = row.querySelector('.integrity-flag');
+  badge.textContent = flag ? flag.label : cluster.flag;
+  badge.classList.add(cluster.flag);
+
+  row.querySelector('.integrity-key').textContent = flag ? flag.describe(cluster) : '';
+  row.querySelector('.integrity-key').title = cluster.clusterKey || '';
+  row.querySelector('.integrity-category').textContent = cluster.categoryId
+    ? formatCategory(cluster.categoryId)
+    : 'All categories';
+  row.querySelector('.integrity-counts').textContent = `${cluster.voteCount} votes · ${cluster.deviceCount} devices`;
+  row.querySelector('.integrity-time').textContent = `${formatTime(cluster.firstVoteAt)}–${formatTime(cluster.lastVoteAt)}`;
+
+  row.querySelector('.void-cluster-btn').addEventListener('click', () => {
+    moderate(row, cluster, () => voidVotes(cluster.voteIds, askReason(`Void the counted votes of this cluster (${cluster.voteCount} votes)?`)));
+  });
+
+  let loaded = false;
+  row.addEventListener('toggle', () => {
+    if (row.open && !loaded) {
+      loaded = true;
+      loadClusterVotes(row, cluster);
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Load and show the votes behind a cluster
+ * @param {HTMLElement} row - The cluster element
+ * @param {Object} cluster - Cluster from getVoteIntegrity()
+ */
+async function loadClusterVotes(row, cluster) {
+  const status = row.querySelector('.integrity-votes-status');
+  const table = row.querySelector('.integrity-votes-table');
+  const tbody = table.querySelector('tbody');
+
+  try {
+    const votes = await getVotesByIds(cluster.voteIds);
+
+    tbody.innerHTML = '';
+    votes.forEach(vote => tbody.appendChild(createVoteRow(row, cluster, vote)));
+
+    row.querySelector('.void-cluster-btn').disabled = votes.every(vote => vote.voided_at);
+    status.style.display = 'none';
+    table.style.display = '';
+  } catch (error) {
+    logger.error('Error loading cluster votes:', error);
+    status.textContent = 'Failed to load votes. Close and reopen to try again.';
+    status.style.display = '';
+    row.addEventListener('toggle', () => {
+      if (row.open) loadClusterVotes(row, cluster);
+    }, { once: true });
+  }
+}
+
+/**
+ * Create the table row of one vote in a cluster, with its void / restore actions
+ * @param {HTMLElement} row - The cluster element
+ * @param {Object} cluster - Cluster from getVoteIntegrity()
+ * @param {Object} vote - Vote row
+ * @returns {HTMLElement} The table row
+ */
+function createVoteRow(row, cluster, vote) {
+  const tr = document.createElement('tr');
+  tr.dataset.voteId = vote.id;
+  tr.classList.toggle('voided', Boolean(vote.voided_at));
+
+  [
+    formatTime(vote.timestamp),
+    formatCategory(vote.category_id),
+    formatVote(vote),
+    vote.device_id,
+    vote.browser_fingerprint || '—',
+    vote.session_id || '—',
+    vote.user_agent || '—',
+    vote.voided_at ? `Voided: ${vote.voided_reason}` : 'Counted'
+  ].forEach(value => {
+    const td = document.createElement('td');
+    td.textContent = value;
+    td.title = value;
+    tr.appendChild(td);
+  });
+
+  const actions = document.createElement('td');
+  actions.className = 'integrity-vote-actions';
+
+  const voteBtn = document.createElement('button');
+  voteBtn.type = 'button';
+  voteBtn.className = 'integrity-action-btn';
+  if (vote.voided_at) {
+    voteBtn.textContent = 'Restore';
+    voteBtn.addEventListener('click', () => {
+      moderate(row, cluster, () => restoreVotes([vote.id], askReason('Restore this vote?')));
+    });
+  } else {
+    voteBtn.textContent = 'Void';
+    voteBtn.addEventListener('click', () => {
+      moderate(row, cluster, () => voidVotes([vote.id], askReason('Void this vote?')));
+    });
+  }
+
+  const deviceBtn = document.createElement('button');
+  deviceBtn.type = 'button';
+  deviceBtn.className = 'integrity-action-btn';
+  deviceBtn.textContent = 'Void device';
+  deviceBtn.title = 'Void every counted vote of this device in the event';
+  deviceBtn.addEventListener('click', () => {
+    moderate(row, cluster, () => voidDevice(
+      dashboardOptions.getEventId(),
+      vote.device_id,
+      askReason(`Void every vote of device ${vote.device_id} in this event?`)
+    ));
+  });
+
+  actions.append(voteBtn, deviceBtn);
+  tr.appendChild(actions);
+  return tr;
+}
+
+/**
+ * Ask the admin for the reason of a void or restore
+ * @param {string} question - What is about to happen
+ * @returns {string} The reason entered
+ * @throws {Error} With code CANCELLED if the admin cancels
+ */
+function askReason(question) {
+  const reason = window.prompt(`${question}\n\nReason (recorded in the moderation log):`);
+  if (reason === null) {
+    const error = new Error('Cancelled');
+    error.code = 'CANCELLED';
+    throw error;
+  }
+  return reason;
+}
+
+/**
+ * Run a void or restore, then refresh the cluster's votes and the moderation log
+ * Live tallies update through the realtime vote subscription
+ * @param {HTMLElement} row - The cluster element
+ * @param {Object} cluster - Cluster from getVoteIntegrity()
+ * @param {Function} action - Async moderation call returning the number of votes changed
+ */
+async function moderate(row, cluster, action) {
+  const buttons = row.querySelectorAll('button');
+  buttons.forEach(btn => {
+    btn.disabled = true;
+  });
+
+  try {
+    const changed = await action();
+    dashboardOptions.showNotice(changed === 1 ? '1 vote updated' : `${changed} votes updated`);
+    await loadModerationLog();
+  } catch (error) {
+    if (error.code === 'CANCELLED') return;
+
+    logger.error('Error moderating votes:', error);
+    if (error.code === 'INVALID_REASON') {
+      dashboardOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      dashboardOptions.showError('You are not authorized to moderate votes. Please sign in again.');
+    } else {
+      dashboardOptions.showError('Failed to update votes. Please try again.');
+    }
+  } finally {
+    buttons.forEach(btn => {
+      btn.disabled = false;
+    });
+    await loadClusterVotes(row, cluster);
+  }
+}
+
+/**
+ * Load and render the moderation log of the viewed event
+ */
+async function loadModerationLog() {
+  try {
+    renderModerationLog(await getModerationLog(dashboardOptions.getEventId()));
+  } catch (error) {
+    logger.error('Error loading moderation log:', error);
+    moderationLog.textContent = 'Failed to load the moderation log.';
+  }
+}
+
+/**
+ * Render moderation log entries, newest first
+ * @param {Array} entries - Rows from getModerationLog()
+ */
+function renderModerationLog(entries) {
+  moderationLog.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'integrity-empty';
+    empty.textContent = 'No votes have been voided or restored.';
+    moderationLog.appendChild(empty);
+    return;
+  }
+
+  entries.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = `moderation-entry ${entry.action}`;
+
+    const when = document.createElement('span');
+    when.className = 'integrity-time';
+    when.textContent = new Date(entry.created_at).toLocaleString();
+
+    const what = document.createElement('span');
+    what.textContent = `${entry.action === 'void' ? 'Voided' : 'Restored'} vote in ${formatCategory(entry.category_id)} from device ${entry.device_id}`;
+
+    const why = document.createElement('span');
+    why.className = 'moderation-reason';
+    why.textContent = `“${entry.reason}” — ${entry.admin_email || 'unknown admin'}`;
+
+    item.append(when, what, why);
+    moderationLog.appendChild(item);
+  });
+}
+
+/**
+ * Format a category reference using the loaded categories
+ * @param {number} categoryId - Category ID
+ * @returns {string} e.g. "#5 Best Performance"
+ */
+function formatCategory(categoryId) {
+  const category = dashboardOptions.getCategories().find(c => c.id === categoryId);
+  return category ? `#${category.id} ${category.title}` : `#${categoryId}`;
+}
+
+/**
+ * Format a vote's choice with the nominee's name when known
+ * @param {Object} vote - Vote row
+ * @returns {string} e.g. "B: Priya"
+ */
+function formatVote(vote) {
+  const category = dashboardOptions.getCategories().find(c => c.id === vote.category_id);
+  const name = category?.nominees?.[vote.option];
+  return name ? `${vote.option}: ${name}` : vote.option;
+}
+
+/**
+ * Format a vote timestamp as local time with seconds
+ * Vote timestamps are stored in UTC without a time zone
+ * @param {string} timestamp - Vote timestamp
+ * @returns {string} e.g. "19:02:45"
+ */
+function formatTime(timestamp) {
+  if (!timestamp) return '—';
+  const utc = /[zZ]|[+-]\d\d:?\d\d$/.test(timestamp) ? timestamp : `${timestamp}Z`;
+  return new Date(utc).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Describe how long a cluster's votes took to arrive
+ * @param {Object} cluster - Cluster from getVoteIntegrity()
+ * @returns {string} e.g. "4 seconds"
+ */
+function formatSpan(cluster) {
+  const seconds = Math.round((new Date(cluster.lastVoteAt) - new Date(cluster.firstVoteAt)) / 1000);
+  return seconds === 1 ? '1 second' : `${seconds} seconds`;
+}
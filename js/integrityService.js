@@ -0,0 +1,275 @@
+// Vote integrity service layer
+// Reads the fingerprint, session and user agent data stored with each vote
+// to flag suspicious voting patterns, and voids or restores votes, for admins
+
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Default burst detection thresholds: this many identical votes arriving
+ * with at most this many seconds between each
+ */
+export const DEFAULT_BURST_SECONDS = 10;
+export const DEFAULT_BURST_MIN_VOTES = 3;
+
+/**
+ * Get the flagged vote clusters of an event (admin only)
+ * Calls the get_vote_integrity() database function
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {Object} options - { burstSeconds, burstMinVotes }
+ * @returns {Promise<Array>} Clusters: { flag, clusterKey, categoryId, voteCount, deviceCount, firstVoteAt, lastVoteAt, voteIds }
+ * @throws {Error} NOT_AUTHORIZED, INVALID_THRESHOLD or connection errors
+ */
+export async function getVoteIntegrity(eventId, { burstSeconds = DEFAULT_BURST_SECONDS, burstMinVotes = DEFAULT_BURST_MIN_VOTES } = {}) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('get_vote_integrity', {
+        p_event_id: eventId,
+        p_burst_seconds: burstSeconds,
+        p_burst_min_votes: burstMinVotes
+      }),
+      3
+    );
+
+    if (error) {
+      // get_vote_integrity() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to view integrity checks. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'INVALID_THRESHOLD') {
+        const err = new Error('Burst window must be at least 1 second and 2 votes');
+        err.code = 'INVALID_THRESHOLD';
+        throw err;
+      }
+      console.error('Error fetching vote integrity:', error);
+      throw error;
+    }
+
+    return (data || []).map(row => ({
+      flag: row.flag,
+      clusterKey: row.cluster_key,
+      categoryId: row.category_id,
+      voteCount: row.vote_count,
+      deviceCount: row.device_count,
+      firstVoteAt: row.first_vote_at,
+      lastVoteAt: row.last_vote_at,
+      voteIds: row.vote_ids || []
+    }));
+  } catch (error) {
+    console.error('Failed to fetch vote integrity after retries:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get individual votes by ID, in arrival order
+ * Used to drill into a flagged cluster
+ * Includes retry logic for connection errors
+ * @param {Array<string>} voteIds - Vote IDs
+ * @returns {Promise<Array>} Vote rows
+ * @throws {Error} If connection fails after retries
+ */
+export async function getVotesByIds(voteIds) {
+  try {
+    if (!voteIds?.length) return [];
+
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('votes')
+        .select('id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, timestamp, voided_at, voided_reason')
+        .in('id', voteIds)
+        .order('timestamp', { ascending: true }),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching votes:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch votes after retries:', {
+      error: error.message,
+      voteCount: voteIds?.length,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Void votes (admin only)
+ * Voided votes stay stored but no longer count in tallies; each void is logged
+ * Includes retry logic for connection errors
+ * @param {Array<string>} voteIds - IDs of the votes to void
+ * @param {string} reason - Why the votes are voided (3-500 characters)
+ * @returns {Promise<number>} Number of votes voided (already voided votes are skipped)
+ * @throws {Error} NOT_AUTHORIZED, INVALID_REASON or connection errors
+ */
+export async function voidVotes(voteIds, reason) {
+  return moderate('void_votes', { p_vote_ids: voteIds, p_reason: reason }, 'void votes');
+}
+
+/**
+ * Restore voided votes (admin only)
+ * Includes retry logic for connection errors
+ * @param {Array<string>} voteIds - IDs of the votes to restore
+ * @param {string} reason - Why the votes are restored (3-500 characters)
+ * @returns {Promise<number>} Number of votes restored (counted votes are skipped)
+ * @throws {Error} NOT_AUTHORIZED, INVALID_REASON or connection errors
+ */
+export async function restoreVotes(voteIds, reason) {
+  return moderate('restore_votes', { p_vote_ids: voteIds, p_reason: reason }, 'restore votes');
+}
+
+/**
+ * Void every counted vote of a device in an event (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {string} deviceId - The device ID to void
+ * @param {string} reason - Why the device is voided (3-500 characters)
+ * @returns {Promise<number>} Number of votes voided
+ * @throws {Error} NOT_AUTHORIZED, INVALID_REASON or connection errors
+ */
+export async function voidDevice(eventId, deviceId, reason) {
+  return moderate('void_device', { p_event_id: eventId, p_device_id: deviceId, p_reason: reason }, 'void device');
+}
+
+/**
+ * Get the latest voids and restores of an event (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {number} limit - Maximum number of entries (default 50)
+ * @returns {Promise<Array>} Moderation log rows, newest first
+ * @throws {Error} If connection fails after retries
+ */
+export async function getModerationLog(eventId, limit = 50) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('vote_moderation_log')
+        .select('*')
+        .eq('event_id', eventId)
+        .order('created_at', { ascending: false })
+        .limit(limit),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching moderation log:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch moderation log after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Call a vote moderation database function
+ * void_votes(), restore_votes() and void_device() raise the same error codes
+ * @param {string} functionName - Database function to call
+ * @param {Object} params - Function parameters
+ * @param {string} action - Action description for logs
+ * @returns {Promise<number>} Number of votes changed
+ * @throws {Error} NOT_AUTHORIZED, INVALID_REASON or connection errors
+ */
+async function moderate(functionName, params, action) {
+  try {
+    const reason = (params.p_reason || '').trim();
+    if (reason.length < 3 || reason.length > 500) {
+      const error = new Error('Give a reason of 3 to 500 characters');
+      error.code = 'INVALID_REASON';
+      throw error;
+    }
+
+    const { data, error } = await retryOperation(
+      () => supabase.rpc(functionName, { ...params, p_reason: reason }),
+      3
+    );
+
+    if (error) {
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to moderate votes. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'INVALID_REASON') {
+        const err = new Error('Give a reason of 3 to 500 characters');
+        err.code = 'INVALID_REASON';
+        throw err;
+      }
+      console.error(`Error trying to ${action}:`, error);
+      throw error;
+    }
+
+    console.log(`Moderation: ${action}`, { changed: data, reason });
+    return data || 0;
+  } catch (error) {
+    console.error(`Failed to ${action}:`, {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Retry an async operation with exponential backoff
+ * Used for handling transient network errors
+ * @param {Function} operation - Async function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} baseDelay - Base delay in milliseconds (default 1000)
+ * @returns {Promise<any>} Result of the operation
+ */
+async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on validation errors or business logic errors
+      if (error.code && ['NOT_AUTHORIZED', 'INVALID_THRESHOLD', 'INVALID_REASON'].includes(error.code)) {
+        throw error;
+      }
+
+      // Don't retry on permission errors
+      if (error.code && ['42501'].includes(error.code)) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries) {
+        console.error(`Operation failed after ${maxRetries + 1} attempts:`, error);
+        throw error;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
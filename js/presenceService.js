@@ -0,0 +1,226 @@
+// Presence service layer
+// Voter pages announce themselves on a Supabase Realtime presence channel per
+// event; the admin panel follows the channel to see who is connected and how
+// many of them have voted in the open category
+
+import { supabase } from './supabaseClient.js';
+
+/**
+ * Join the presence channel of an event as a voter
+ * Includes automatic reconnection on channel errors with exponential backoff;
+ * the last tracked state is announced again after every reconnect
+ * @param {number} eventId - The ID of the event the voter takes part in
+ * @returns {Object} Presence object with track(state) and unsubscribe methods
+ */
+export function joinVoterPresence(eventId) {
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 5;
+  let channel = null; // Current channel; replaced on every reconnect
+  let reconnectTimer = null;
+  let isSubscribed = false;
+  let presence = null; // Last tracked payload
+  let closed = false;
+
+  const sendPresence = async () => {
+    if (!isSubscribed || !presence) return;
+    try {
+      await channel.track(presence);
+    } catch (error) {
+      console.error('Error tracking presence:', error);
+    }
+  };
+
+  const scheduleReconnect = (delay) => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      supabase.removeChannel(channel);
+      createSubscription();
+    }, delay);
+  };
+
+  const createSubscription = () => {
+    isSubscribed = false;
+    // Voters don't listen to presence themselves, so presence is switched on explicitly
+    const current = supabase
+      .channel(`presence-channel-${eventId}`, { config: { presence: { enabled: true } } });
+    channel = current;
+
+    current.subscribe((status, err) => {
+      // Statuses of a replaced or unsubscribed channel are stale
+      if (closed || current !== channel) return;
+
+      if (status === 'SUBSCRIBED') {
+        console.log('Connected to presence channel');
+        reconnectAttempts = 0; // Reset counter on successful connection
+        isSubscribed = true;
+        sendPresence();
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Presence channel error:', err);
+        isSubscribed = false;
+
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+          console.warn(`Reconnecting to presence channel (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
+          scheduleReconnect(delay);
+        } else {
+          console.error('Max reconnection attempts reached for presence channel');
+        }
+      } else if (status === 'CLOSED') {
+        isSubscribed = false;
+      } else if (status === 'TIMED_OUT') {
+        console.error('Presence channel timed out, reconnecting...');
+        isSubscribed = false;
+        scheduleReconnect(5000);
+      }
+    });
+  };
+
+  createSubscription();
+
+  return {
+    /**
+     * Announce (or update) this voter's presence
+     * @param {Object} state - { voterKey, votedCategoryIds }
+     */
+    track: async ({ voterKey, votedCategoryIds }) => {
+      presence = {
+        // Other voters receive the channel's state too, so only a hash of the key is shared
+        voter: await hashVoterKey(voterKey),
+        voted: votedCategoryIds
+      };
+      await sendPresence();
+    },
+    unsubscribe: () => {
+      console.log('Leaving presence channel');
+      closed = true;
+      clearTimeout(reconnectTimer);
+      supabase.removeChannel(channel);
+    }
+  };
+}
+
+/**
+ * Follow the voters connected to an event (for admin panel)
+ * The callback receives one entry per voter; a voter open in several tabs counts once
+ * @param {Function} callback - Called with [{ voter, votedCategoryIds: Set }] on every change
+ * @param {number} eventId - The ID of the event to follow
+ * @returns {Object} Subscription object with unsubscribe method
+ */
+export function subscribeToPresence(callback, eventId) {
+  let reconnectAttempts = 0;
+  const maxReconnectAttempts = 5;
+  let channel = null; // Current channel; replaced on every reconnect
+  let reconnectTimer = null;
+  let closed = false;
+
+  const scheduleReconnect = (delay) => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      supabase.removeChannel(channel);
+      createSubscription();
+    }, delay);
+  };
+
+  const createSubscription = () => {
+    const current = supabase
+      .channel(`presence-channel-${eventId}`)
+      .on('presence', { event: 'sync' }, () => {
+        try {
+          callback(getConnectedVoters(current.presenceState()));
+        } catch (error) {
+          console.error('Error in presence subscription callback:', error);
+        }
+      });
+    channel = current;
+
+    current.subscribe((status, err) => {
+      // Statuses of a replaced or unsubscribed channel are stale
+      if (closed || current !== channel) return;
+
+      if (status === 'SUBSCRIBED') {
+        console.log('Connected to presence updates');
+        reconnectAttempts = 0; // Reset counter on successful connection
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Presence subscription error:', err);
+
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+          console.warn(`Reconnecting to presence updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
+          scheduleReconnect(delay);
+        } else {
+          console.error('Max reconnection attempts reached for presence subscription');
+        }
+      } else if (status === 'CLOSED') {
+        console.log('Presence subscription closed');
+      } else if (status === 'TIMED_OUT') {
+        console.error('Presence subscription timed out, reconnecting...');
+        scheduleReconnect(5000);
+      }
+    });
+  };
+
+  createSubscription();
+
+  return {
+    unsubscribe: () => {
+      console.log('Unsubscribing from presence updates');
+      closed = true;
+      clearTimeout(reconnectTimer);
+      supabase.removeChannel(channel);
+    }
+  };
+}
+
+/**
+ * Work out the live turnout of a category among connected voters
+ * @param {Array} voters - Connected voters from subscribeToPresence()
+ * @param {number|null} categoryId - The open category, or null if none is open
+ * @returns {Object} { connected, voted, percentage }; voted and percentage are
+ *   null when no category is open
+ */
+export function getPresenceTurnout(voters, categoryId) {
+  const connected = voters.length;
+  if (categoryId == null) {
+    return { connected, voted: null, percentage: null };
+  }
+
+  const voted = voters.filter(voter => voter.votedCategoryIds.has(categoryId)).length;
+  return {
+    connected,
+    voted,
+    percentage: connected > 0 ? Math.round((voted / connected) * 100) : 0
+  };
+}
+
+/**
+ * Merge the presence state into one entry per voter
+ * @param {Object} state - Channel presence state (presence key -> [payload])
+ * @returns {Array} [{ voter, votedCategoryIds: Set }]
+ */
+function getConnectedVoters(state) {
+  const voters = new Map();
+
+  Object.values(state).flat().forEach(({ voter, voted }) => {
+    if (!voter) return;
+    const votedCategoryIds = voters.get(voter) || new Set();
+    (voted || []).forEach(categoryId => votedCategoryIds.add(categoryId));
+    voters.set(voter, votedCategoryIds);
+  });
+
+  return [...voters].map(([voter, votedCategoryIds]) => ({ voter, votedCategoryIds }));
+}
+
+/**
+ * Hash a voter key, so presence doesn't reveal device IDs or voter code IDs
+ * @param {string} voterKey - The key votes are stored under
+ * @returns {Promise<string>} Hex SHA-256 of the key
+ */
+async function hashVoterKey(voterKey) {
+  const bytes = new TextEncoder().encode(String(voterKey));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
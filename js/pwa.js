@@ -0,0 +1,64 @@
+// Service worker registration for the voter app
+// Registers dist/sw.js (see js/serviceWorker.js) in production builds and
+// reports when a newly deployed version is ready to take over
+
+// How often an open page checks for a new deploy
+const UPDATE_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+/**
+ * Register the service worker
+ * Does nothing in development, where Vite serves unbundled modules
+ * @param {Object} options - Callbacks
+ * @param {Function} options.onUpdateReady - Called with an apply function once a new
+ *   version is installed; calling it switches to the new version and reloads the page
+ */
+export async function registerServiceWorker({ onUpdateReady }) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+
+    const notifyWhenInstalled = (worker) => {
+      worker.addEventListener('statechange', () => {
+        // With a controller this is an update; without one it is the first install
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          onUpdateReady(() => applyUpdate(worker));
+        }
+      });
+    };
+
+    // A new version may already be waiting from an earlier visit
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      onUpdateReady(() => applyUpdate(registration.waiting));
+    }
+
+    registration.addEventListener('updatefound', () => {
+      if (registration.installing) {
+        notifyWhenInstalled(registration.installing);
+      }
+    });
+
+    // Voters keep the page open for the whole ceremony
+    setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        registration.update().catch(() => {});
+      }
+    });
+
+    console.log('Service worker registered:', registration.scope);
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+  }
+}
+
+/**
+ * Activate a waiting service worker and reload once it controls the page
+ * @param {ServiceWorker} worker - The installed, waiting worker
+ */
+function applyUpdate(worker) {
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
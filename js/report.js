@@ -0,0 +1,214 @@
+// Printable results report
+// Renders winners, tallies, turnout and timing of an event for printing or saving as PDF
+// Opened from the admin Export menu as /report.html?event=<id> (defaults to the active event)
+
+import { getActiveEvent } from './eventService.js';
+import { loadResultsReport } from './resultsExport.js';
+import { logger } from './logger.js';
+
+const STATUS_LABELS = {
+  pending: 'Not run',
+  open: 'Open',
+  closed: 'Closed',
+  revealed: 'Revealed'
+};
+
+// DOM elements
+const eventName = document.getElementById('report-event-name');
+const reportMeta = document.getElementById('report-meta');
+const reportStatus = document.getElementById('report-status');
+const reportSummary = document.getElementById('report-summary');
+const categoriesContainer = document.getElementById('report-categories');
+const printBtn = document.getElementById('print-btn');
+const categoryTemplate = document.getElementById('report-category-template');
+const runoffTemplate = document.getElementById('report-runoff-template');
+
+/**
+ * Load and render the report
+ */
+async function init() {
+  printBtn.addEventListener('click', () => window.print());
+
+  try {
+    const eventId = await resolveEventId();
+    if (!eventId) {
+      reportStatus.textContent = 'No event selected and no event is active.';
+      return;
+    }
+
+    const report = await loadResultsReport(eventId);
+    renderReport(report);
+  } catch (error) {
+    logger.error('Error loading results report:', error);
+    reportStatus.textContent = error.code === 'EVENT_NOT_FOUND'
+      ? 'Event not found.'
+      : 'Failed to load results. Please refresh the page.';
+  }
+}
+
+/**
+ * Work out which event to report on
+ * @returns {Promise<number|null>} The ?event= ID, or the active event's ID
+ */
+async function resolveEventId() {
+  const param = new URLSearchParams(window.location.search).get('event');
+  if (param) return Number(param);
+
+  const activeEvent = await getActiveEvent();
+  return activeEvent ? activeEvent.id : null;
+}
+
+/**
+ * Render the whole report
+ * @param {Object} report - Report from loadResultsReport()
+ */
+function renderReport(report) {
+  document.title = `${report.event.name} - Results Report`;
+  eventName.textContent = report.event.name;
+  reportMeta.textContent = [
+    report.event.date ? formatDate(report.event.date) : null,
+    `Generated ${formatDateTime(report.generatedAt)}`
+  ].filter(Boolean).join(' · ');
+
+  document.getElementById('summary-voters').textContent = report.turnout.voters;
+  document.getElementById('summary-votes').textContent = report.turnout.votes;
+  document.getElementById('summary-categories').textContent = report.categories.length;
+  if (report.turnout.eligible !== null) {
+    document.getElementById('summary-eligible').textContent = report.turnout.eligible;
+    document.getElementById('summary-eligible-item').style.display = '';
+  }
+  reportSummary.style.display = '';
+
+  categoriesContainer.innerHTML = '';
+  report.categories.forEach(category => {
+    categoriesContainer.appendChild(createCategorySection(category));
+  });
+
+  reportStatus.style.display = report.categories.length ? 'none' : '';
+  reportStatus.textContent = 'This event has no categories.';
+  printBtn.disabled = false;
+}
+
+/**
+ * Create the report section of one category
+ * @param {Object} category - Category entry of the report
+ * @returns {HTMLElement} The section element
+ */
+function createCategorySection(category) {
+  const section = categoryTemplate.content.cloneNode(true).querySelector('.report-category');
+
+  section.querySelector('.report-category-title').textContent = `#${category.id} ${category.title}`;
+  const status = section.querySelector('.report-category-status');
+  status.textContent = STATUS_LABELS[category.status] || category.status;
+  status.classList.add(category.status);
+
+  const winner = section.querySelector('.report-winner');
+  const decidedBy = category.runoffs.length ? ' (after runoff)' : '';
+  if (category.finalWinners.length > 1) {
+    winner.textContent = `Tie: ${category.finalWinners.join(', ')}${decidedBy}`;
+  } else if (category.finalWinners.length === 1) {
+    winner.textContent = `Winner: ${category.finalWinners[0]}${decidedBy}`;
+  } else {
+    winner.textContent = 'No votes';
+    winner.classList.add('empty');
+  }
+
+  renderTally(section.querySelector('tbody'), category);
+  section.querySelector('.report-category-meta').textContent = formatCategoryMeta(category);
+
+  const runoffs = section.querySelector('.report-runoffs');
+  category.runoffs.forEach(runoff => {
+    const block = runoffTemplate.content.cloneNode(true).querySelector('.report-runoff');
+    block.querySelector('.report-runoff-title').textContent = `Runoff round ${runoff.runoffRound} (#${runoff.id})`;
+    renderTally(block.querySelector('tbody'), runoff);
+    block.querySelector('.report-category-meta').textContent = formatCategoryMeta(runoff);
+    runoffs.appendChild(block);
+  });
+
+  return section;
+}
+
+/**
+ * Fill a tally table with a round's nominees, most votes first
+ * @param {HTMLElement} tbody - Table body to fill
+ * @param {Object} round - Category or runoff entry of the report
+ */
+function renderTally(tbody, round) {
+  const ranked = [...round.nominees].sort((a, b) => b.votes - a.votes);
+  ranked.forEach(nominee => {
+    const row = document.createElement('tr');
+    if (round.winners.includes(nominee.name)) {
+      row.classList.add('winner');
+    }
+
+    const name = document.createElement('td');
+    name.textContent = nominee.name;
+    const votes = document.createElement('td');
+    votes.className = 'numeric';
+    votes.textContent = nominee.votes;
+    const share = document.createElement('td');
+    share.className = 'numeric';
+    share.textContent = `${nominee.percentage}%`;
+
+    row.append(name, votes, share);
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Describe a category's (or runoff's) turnout and timing
+ * @param {Object} category - Category or runoff entry of the report
+ * @returns {string} e.g. "42 votes · 84% turnout · 40 of 60 eligible (67%) · Opened 19:02 · Open for 1m 30s"
+ */
+function formatCategoryMeta(category) {
+  const { openedAt, durationSeconds } = category.timing;
+  return [
+    `${category.totalVotes} ${category.totalVotes === 1 ? 'vote' : 'votes'}`,
+    `${category.turnoutPercentage}% turnout`,
+    category.roster
+      ? `${category.roster.voted} of ${category.roster.eligible} eligible (${category.roster.turnoutPercentage}%)`
+      : null,
+    openedAt ? `Opened ${formatTime(openedAt)}` : null,
+    durationSeconds !== null ? `Open for ${formatDuration(durationSeconds)}` : null
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Format a duration in seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1m 30s"
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = seconds % 60;
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+/**
+ * Format an event date (YYYY-MM-DD) without shifting it across time zones
+ * @param {string} date - Event date
+ * @returns {string} Localized date
+ */
+function formatDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'long' });
+}
+
+/**
+ * Format a timestamp as local date and time
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Localized date and time
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Format a timestamp as local time
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Localized time
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { timeStyle: 'short' });
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,418 @@
+// Projector results screen logic
+// Shows the current category on the big screen and plays the winner reveal
+// when the admin clicks "Reveal"
+
+import { getAllCategoriesWithVotes, getVoteCounts, getNomineeOptions, subscribeToCategories } from './categoryService.js';
+import { subscribeToVotes, getTallyChange, applyTallyChange } from './voteService.js';
+import { getActiveEvent, subscribeToEvents } from './eventService.js';
+import { logger } from './logger.js';
+import confetti from 'canvas-confetti';
+
+// State management
+let categories = [];
+let activeEvent = null;
+let displayedCategoryId = null;
+let mode = 'waiting'; // 'waiting' | 'live' | 'closed' | 'revealed'
+let categorySubscription = null;
+let voteSubscription = null;
+let eventSubscription = null;
+let seenVoteIds = new Set(); // Vote changes already applied to the live total (see getTallyChange)
+let raceAnimationFrame = null;
+
+// Length of the bar race animation
+const RACE_DURATION_MS = 6000;
+
+// DOM elements
+const waitingScreen = document.getElementById('waiting-screen');
+const categoryScreen = document.getElementById('category-screen');
+const liveSection = document.getElementById('live-section');
+const revealSection = document.getElementById('reveal-section');
+const nomineeGrid = document.getElementById('nominee-grid');
+const votingStatus = document.getElementById('voting-status');
+const votingStatusText = document.getElementById('voting-status-text');
+const liveTotalCount = document.getElementById('live-total-count');
+const barRace = document.getElementById('bar-race');
+const winnerAnnouncement = document.getElementById('winner-announcement');
+const winnerName = document.getElementById('winner-name');
+const raceRowTemplate = document.getElementById('race-row-template');
+
+/**
+ * Initialize the projector screen
+ * Restores the current screen from the database and subscribes to changes
+ */
+async function init() {
+  try {
+    activeEvent = await getActiveEvent();
+    await loadCurrentState();
+
+    subscribeToActiveEvent();
+    eventSubscription = subscribeToEvents(handleEventChange);
+  } catch (error) {
+    logger.error('Error initializing results screen:', error);
+    showWaitingScreen();
+  }
+}
+
+/**
+ * Subscribe to category and vote changes of the active event
+ */
+function subscribeToActiveEvent() {
+  if (!activeEvent) return;
+
+  categorySubscription = subscribeToCategories(handleCategoryChange, activeEvent.id);
+  voteSubscription = subscribeToVotes(handleVoteChange, activeEvent.id);
+}
+
+/**
+ * Load categories and restore what the projector should show
+ * An open category is shown live; otherwise the latest reveal is shown
+ * without replaying its animation
+ */
+async function loadCurrentState() {
+  if (!activeEvent) {
+    categories = [];
+    showWaitingScreen();
+    return;
+  }
+
+  await loadCategories();
+
+  const openCategory = categories.find(c => c.unlocked);
+  if (openCategory) {
+    showLiveCategory(openCategory);
+    return;
+  }
+
+  const latestRevealed = categories
+    .filter(c => c.revealed_at)
+    .sort((a, b) => new Date(b.revealed_at) - new Date(a.revealed_at))[0];
+
+  if (latestRevealed) {
+    showResults(latestRevealed, latestRevealed.voteCounts, { animate: false });
+  } else {
+    showWaitingScreen();
+  }
+}
+
+/**
+ * Load the active event's categories with authoritative vote counts
+ * Keeps the current screen; the live total is refreshed if a category is shown live
+ */
+async function loadCategories() {
+  categories = await getAllCategoriesWithVotes(activeEvent.id);
+  // The counts now include every vote so far, so realtime changes are counted afresh
+  seenVoteIds = new Set();
+
+  const displayed = categories.find(c => c.id === displayedCategoryId);
+  if (mode === 'live' && displayed) {
+    liveTotalCount.textContent = displayed.voteCounts.total;
+  }
+}
+
+/**
+ * Handle real-time event change
+ * Follows the admin switching the active event
+ * @param {Object} payload - Supabase realtime payload
+ */
+async function handleEventChange(payload) {
+  const changedEvent = payload.new;
+  const isActiveEventChange = changedEvent?.is_active
+    ? changedEvent.id !== activeEvent?.id
+    : changedEvent?.id === activeEvent?.id;
+
+  if (!isActiveEventChange) return;
+
+  try {
+    unsubscribeFromActiveEvent();
+    seenVoteIds = new Set();
+
+    activeEvent = await getActiveEvent();
+    await loadCurrentState();
+    subscribeToActiveEvent();
+  } catch (error) {
+    logger.error('Error switching event:', error);
+    showWaitingScreen();
+  }
+}
+
+/**
+ * Handle real-time category change
+ * @param {Object} payload - Supabase realtime payload
+ */
+async function handleCategoryChange(payload) {
+  const { eventType, new: updated } = payload;
+  const isKnown = categories.some(c => c.id === updated?.id);
+
+  // A runoff started mid-ceremony (see create_runoff()) is a category this
+  // screen hasn't loaded yet; without it, its unlock and reveal would be dropped
+  if (activeEvent && (eventType === 'INSERT' || (eventType === 'UPDATE' && !isKnown))) {
+    try {
+      await loadCategories();
+    } catch (error) {
+      logger.error('Error loading new category:', error);
+      return;
+    }
+  }
+
+  if (eventType !== 'UPDATE') return;
+
+  const index = categories.findIndex(c => c.id === updated.id);
+  if (index === -1) return;
+
+  // A category loaded just now has no earlier state to compare against
+  const previous = isKnown ? categories[index] : {};
+  categories[index] = { ...previous, ...updated };
+  const category = categories[index];
+
+  if (category.unlocked) {
+    if (mode !== 'live' || displayedCategoryId !== category.id) {
+      showLiveCategory(category);
+    }
+  } else if (category.revealed_at && category.revealed_at !== previous.revealed_at) {
+    // Fetch authoritative counts for the reveal
+    const voteCounts = await getVoteCounts(category.id);
+    category.voteCounts = voteCounts;
+    showResults(category, voteCounts, { animate: true });
+  } else if (mode === 'live' && displayedCategoryId === category.id) {
+    showVotingClosed();
+  }
+}
+
+/**
+ * Handle real-time vote change
+ * Keeps the live vote total of the displayed category up to date,
+ * including changed votes and votes voided or restored by an admin
+ * @param {Object} payload - Supabase realtime payload
+ */
+function handleVoteChange(payload) {
+  const change = getTallyChange(payload);
+
+  if (!change || seenVoteIds.has(change.key)) return;
+  seenVoteIds.add(change.key);
+
+  const category = categories.find(c => c.id === change.categoryId);
+  if (!applyTallyChange(category, change)) return;
+
+  if (mode === 'live' && displayedCategoryId === category.id) {
+    liveTotalCount.textContent = category.voteCounts.total;
+  }
+}
+
+/**
+ * Show the waiting screen between categories
+ */
+function showWaitingScreen() {
+  cancelRace();
+  mode = 'waiting';
+  displayedCategoryId = null;
+
+  categoryScreen.style.display = 'none';
+  waitingScreen.style.display = 'flex';
+}
+
+/**
+ * Show an open category with its nominees and live vote total
+ * @param {Object} category - The open category
+ */
+function showLiveCategory(category) {
+  cancelRace();
+  mode = 'live';
+  displayedCategoryId = category.id;
+
+  renderCategoryHeader(category);
+
+  nomineeGrid.innerHTML = '';
+  getNomineeOptions(category).forEach(option => {
+    const nominee = document.createElement('div');
+    nominee.className = 'nominee-card';
+    nominee.textContent = category.nominees[option];
+    nomineeGrid.appendChild(nominee);
+  });
+
+  votingStatus.classList.remove('closed');
+  votingStatusText.textContent = 'Voting open';
+  liveTotalCount.textContent = category.voteCounts?.total || 0;
+
+  revealSection.style.display = 'none';
+  liveSection.style.display = 'flex';
+  waitingScreen.style.display = 'none';
+  categoryScreen.style.display = 'flex';
+}
+
+/**
+ * Switch the live screen to "voting closed" while waiting for the reveal
+ */
+function showVotingClosed() {
+  mode = 'closed';
+  votingStatus.classList.add('closed');
+  votingStatusText.textContent = 'Voting closed';
+}
+
+/**
+ * Show a category's results
+ * @param {Object} category - The revealed category
+ * @param {Object} voteCounts - Vote counts object keyed by option, plus total
+ * @param {Object} options - { animate: play the bar race and confetti }
+ */
+function showResults(category, voteCounts, { animate }) {
+  cancelRace();
+  mode = 'revealed';
+  displayedCategoryId = category.id;
+
+  renderCategoryHeader(category);
+
+  const options = getNomineeOptions(category);
+  const finalCounts = options.map(option => voteCounts[option] || 0);
+  const maxCount = Math.max(...finalCounts, 0);
+
+  // Build one race row per nominee
+  barRace.innerHTML = '';
+  const rows = options.map(option => {
+    const template = raceRowTemplate.content.cloneNode(true);
+    const row = template.querySelector('.race-row');
+    row.dataset.option = option;
+    row.querySelector('.race-name').textContent = category.nominees[option];
+    barRace.appendChild(row);
+    return row;
+  });
+
+  winnerAnnouncement.classList.remove('visible');
+  liveSection.style.display = 'none';
+  revealSection.style.display = 'flex';
+  waitingScreen.style.display = 'none';
+  categoryScreen.style.display = 'flex';
+
+  const winners = options.filter((option, i) => maxCount > 0 && finalCounts[i] === maxCount);
+
+  if (!animate) {
+    rows.forEach((row, i) => renderRaceRow(row, finalCounts[i], maxCount));
+    announceWinners(category, rows, winners, { celebrate: false });
+    return;
+  }
+
+  // Smaller tallies finish first so the winner is the last bar to settle
+  const finishTimes = finalCounts.map(count =>
+    RACE_DURATION_MS * (maxCount > 0 ? 0.5 + 0.5 * (count / maxCount) : 1)
+  );
+  const start = performance.now();
+
+  const step = (now) => {
+    const elapsed = now - start;
+
+    rows.forEach((row, i) => {
+      const progress = Math.min(elapsed / finishTimes[i], 1);
+      const eased = 1 - Math.pow(1 - progress, 3);
+      renderRaceRow(row, Math.round(finalCounts[i] * eased), maxCount);
+    });
+
+    if (elapsed < RACE_DURATION_MS) {
+      raceAnimationFrame = requestAnimationFrame(step);
+    } else {
+      raceAnimationFrame = null;
+      announceWinners(category, rows, winners, { celebrate: true });
+    }
+  };
+
+  raceAnimationFrame = requestAnimationFrame(step);
+}
+
+/**
+ * Render one bar race row
+ * Rows are ordered by their current count so the leader rises to the top
+ * @param {HTMLElement} row - The race row element
+ * @param {number} count - Count to display
+ * @param {number} maxCount - Highest final count (full bar width)
+ */
+function renderRaceRow(row, count, maxCount) {
+  const percentage = maxCount > 0 ? (count / maxCount) * 100 : 0;
+  row.querySelector('.race-bar-fill').style.width = `${percentage}%`;
+  row.querySelector('.race-count').textContent = count;
+  row.style.order = -count;
+}
+
+/**
+ * Highlight the winning rows and show the winner announcement
+ * Ties announce every nominee sharing the top count
+ * @param {Object} category - The revealed category
+ * @param {Array<HTMLElement>} rows - Race row elements
+ * @param {Array<string>} winners - Winning options
+ * @param {Object} options - { celebrate: fire confetti }
+ */
+function announceWinners(category, rows, winners, { celebrate }) {
+  rows.forEach(row => {
+    row.classList.toggle('winner', winners.includes(row.dataset.option));
+  });
+
+  if (winners.length === 0) {
+    winnerName.textContent = 'No votes were cast';
+  } else {
+    winnerName.textContent = winners.map(option => category.nominees[option]).join(' & ');
+  }
+  winnerAnnouncement.classList.add('visible');
+
+  logger.info(`Revealed category ${category.id}:`, winners);
+
+  if (celebrate && winners.length > 0) {
+    fireConfetti();
+  }
+}
+
+/**
+ * Fire a short sequence of gold confetti bursts
+ */
+function fireConfetti() {
+  const colors = ['#D4AF37', '#FFD700', '#F4C430'];
+
+  confetti({ particleCount: 150, spread: 90, origin: { y: 0.6 }, colors });
+  setTimeout(() => {
+    confetti({ particleCount: 80, angle: 60, spread: 70, origin: { x: 0 }, colors });
+    confetti({ particleCount: 80, angle: 120, spread: 70, origin: { x: 1 }, colors });
+  }, 400);
+}
+
+/**
+ * Render the category number and title
+ * @param {Object} category - The category to show
+ */
+function renderCategoryHeader(category) {
+  document.getElementById('category-number').textContent = `Category #${category.id}`;
+  document.getElementById('category-title').textContent = category.title;
+}
+
+/**
+ * Stop a running bar race animation
+ */
+function cancelRace() {
+  if (raceAnimationFrame) {
+    cancelAnimationFrame(raceAnimationFrame);
+    raceAnimationFrame = null;
+  }
+}
+
+/**
+ * Stop following the current event's categories and votes
+ */
+function unsubscribeFromActiveEvent() {
+  if (categorySubscription) {
+    categorySubscription.unsubscribe();
+    categorySubscription = null;
+  }
+  if (voteSubscription) {
+    voteSubscription.unsubscribe();
+    voteSubscription = null;
+  }
+}
+
+/**
+ * Clean up subscriptions on page unload
+ */
+window.addEventListener('beforeunload', () => {
+  unsubscribeFromActiveEvent();
+  if (eventSubscription) {
+    eventSubscription.unsubscribe();
+  }
+  cancelRace();
+});
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,235 @@
+// Results export
+// Builds a results report from getAllCategoriesWithVotes() data and turns it into CSV or JSON
+
+import { getAllCategoriesWithVotes, getNomineeOptions, isRunoff } from './categoryService.js';
+import { getEvent, getEventTurnout } from './eventService.js';
+import { getRosterTurnout } from './rosterService.js';
+
+/**
+ * Load everything needed for an event's results report
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} The results report (see buildResultsReport)
+ * @throws {Error} If the event doesn't exist or loading fails
+ */
+export async function loadResultsReport(eventId) {
+  const [event, categories, turnout, rosterTurnout] = await Promise.all([
+    getEvent(eventId),
+    getAllCategoriesWithVotes(eventId),
+    getEventTurnout(eventId),
+    getRosterTurnout(eventId)
+  ]);
+
+  if (!event) {
+    const error = new Error('Event not found');
+    error.code = 'EVENT_NOT_FOUND';
+    throw error;
+  }
+
+  return buildResultsReport(event, categories, turnout, rosterTurnout);
+}
+
+/**
+ * Build a results report
+ * @param {Object} event - The event
+ * @param {Array} categories - Categories with vote counts, as returned by getAllCategoriesWithVotes()
+ * @param {Object} turnout - { voters, votes } for the event
+ * @param {Object} rosterTurnout - Map of category ID to { eligible, voted }, as returned by
+ *   getRosterTurnout(); empty when the event has no roster
+ * @returns {Object} Report with the event, turnout and per-category tallies, winners and timing
+ * Runoff rounds are listed under the category whose tie they break, and decide its final winners
+ */
+export function buildResultsReport(event, categories, turnout, rosterTurnout = {}) {
+  const results = categories.map(category => buildCategoryResult(category, turnout.voters, rosterTurnout[category.id]));
+  const eligible = Math.max(0, ...Object.values(rosterTurnout).map(row => row.eligible));
+
+  return {
+    event: {
+      id: event.id,
+      name: event.name,
+      date: event.event_date || null
+    },
+    generatedAt: new Date().toISOString(),
+    turnout: {
+      voters: turnout.voters,
+      votes: turnout.votes,
+      eligible: eligible > 0 ? eligible : null
+    },
+    categories: results
+      .filter(result => !result.parentCategoryId)
+      .map(result => attachRunoffs(result, results))
+  };
+}
+
+/**
+ * Attach a category's runoff rounds and work out its final winners
+ * Follows the chain of runoffs (a tied runoff can have a runoff of its own);
+ * the last round with votes decides the winners
+ * @param {Object} result - Report entry of a top-level category
+ * @param {Array} results - Report entries of every category in the event
+ * @returns {Object} The entry with runoffs and finalWinners
+ */
+function attachRunoffs(result, results) {
+  const runoffs = [];
+  let round = results.find(r => r.parentCategoryId === result.id);
+
+  while (round) {
+    runoffs.push(round);
+    const roundId = round.id;
+    round = results.find(r => r.parentCategoryId === roundId);
+  }
+
+  const deciding = [result, ...runoffs].filter(r => r.totalVotes > 0).pop() || result;
+
+  return { ...result, runoffs, finalWinners: deciding.winners };
+}
+
+/**
+ * Build the report entry for one category
+ * @param {Object} category - Category with vote counts
+ * @param {number} eventVoters - Distinct voting devices in the event
+ * @param {Object|undefined} roster - { eligible, voted } of the category against the event's roster
+ * @returns {Object} Tallies, winners, turnout and timing of the category
+ * roster is null when the event has no roster
+ */
+function buildCategoryResult(category, eventVoters, roster) {
+  const voteCounts = category.voteCounts || { total: 0 };
+  const total = voteCounts.total || 0;
+
+  const nominees = getNomineeOptions(category).map(option => {
+    const votes = voteCounts[option] || 0;
+    return {
+      option,
+      name: category.nominees[option],
+      votes,
+      percentage: total > 0 ? roundPercentage((votes / total) * 100) : 0
+    };
+  });
+
+  // Every nominee sharing the top count wins (ties are listed together)
+  const maxVotes = Math.max(0, ...nominees.map(n => n.votes));
+  const winners = maxVotes > 0
+    ? nominees.filter(n => n.votes === maxVotes).map(n => n.name)
+    : [];
+
+  return {
+    id: category.id,
+    title: category.title,
+    status: category.status,
+    parentCategoryId: isRunoff(category) ? category.parent_category_id : null,
+    runoffRound: category.runoff_round || 0,
+    totalVotes: total,
+    turnoutPercentage: eventVoters > 0 ? roundPercentage((total / eventVoters) * 100) : 0,
+    roster: roster?.eligible > 0
+      ? {
+        eligible: roster.eligible,
+        voted: roster.voted,
+        turnoutPercentage: roundPercentage((roster.voted / roster.eligible) * 100)
+      }
+      : null,
+    winners,
+    nominees,
+    timing: {
+      openedAt: category.opened_at || null,
+      closedAt: category.closed_at || null,
+      revealedAt: category.revealed_at || null,
+      durationSeconds: getDurationSeconds(category.opened_at, category.closed_at)
+    }
+  };
+}
+
+/**
+ * Serialize a report as JSON
+ * @param {Object} report - The results report
+ * @returns {string} Pretty-printed JSON
+ */
+export function reportToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Serialize a report as CSV, one row per nominee and round
+ * Runoff rows follow their parent category's rows; final_winner marks the
+ * nominees that won the category after any runoffs
+ * @param {Object} report - The results report
+ * @returns {string} CSV with a header row
+ */
+export function reportToCSV(report) {
+  const header = [
+    'event', 'category_id', 'parent_category_id', 'round', 'category', 'status', 'option', 'nominee',
+    'votes', 'percentage', 'winner', 'final_winner', 'category_total_votes', 'category_turnout_percentage',
+    'roster_eligible', 'roster_voted', 'roster_turnout_percentage',
+    'opened_at', 'closed_at', 'revealed_at', 'duration_seconds'
+  ];
+
+  const rows = report.categories.flatMap(category => [category, ...category.runoffs].flatMap(round => round.nominees.map(nominee => [
+    report.event.name,
+    round.id,
+    round.parentCategoryId,
+    round.runoffRound,
+    round.title,
+    round.status,
+    nominee.option,
+    nominee.name,
+    nominee.votes,
+    nominee.percentage,
+    round.winners.includes(nominee.name) ? 'yes' : 'no',
+    category.finalWinners.includes(nominee.name) ? 'yes' : 'no',
+    round.totalVotes,
+    round.turnoutPercentage,
+    round.roster?.eligible,
+    round.roster?.voted,
+    round.roster?.turnoutPercentage,
+    round.timing.openedAt,
+    round.timing.closedAt,
+    round.timing.revealedAt,
+    round.timing.durationSeconds
+  ])));
+
+  return [header, ...rows].map(row => row.map(toCSVField).join(',')).join('\r\n');
+}
+
+/**
+ * Build a file name for an exported report
+ * @param {Object} report - The results report
+ * @param {string} extension - File extension without the dot
+ * @returns {string} e.g. "oizom-awards-night-results.csv"
+ */
+export function getReportFileName(report, extension) {
+  const slug = report.event.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'event'}-results.${extension}`;
+}
+
+/**
+ * Quote a value for CSV when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCSVField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Seconds between two timestamps
+ * @param {string|null} start - Start timestamp
+ * @param {string|null} end - End timestamp
+ * @returns {number|null} Whole seconds, or null if either is missing
+ */
+function getDurationSeconds(start, end) {
+  if (!start || !end) return null;
+  return Math.max(0, Math.round((new Date(end) - new Date(start)) / 1000));
+}
+
+/**
+ * Round a percentage to one decimal place
+ * @param {number} value - Percentage
+ * @returns {number} Rounded percentage
+ */
+function roundPercentage(value) {
+  return Math.round(value * 10) / 10;
+}
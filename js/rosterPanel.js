@@ -0,0 +1,251 @@
+// Voter roster panel for the admin panel
+// Imports the eligible employee roster of the viewed event from CSV, turns
+// check-in on or off, resets check-ins and shows turnout against the roster
+
+import { parseRosterCSV, importRoster, resetCheckIn, getRosterUsage, getRosterTurnout } from './rosterService.js';
+import { setRosterRequired } from './eventService.js';
+import { logger } from './logger.js';
+
+// Callbacks and state provided by the admin panel
+let panelOptions = null;
+
+// DOM elements
+const panelSection = document.getElementById('roster-panel');
+const requireToggle = document.getElementById('require-roster-toggle');
+const usageSummary = document.getElementById('roster-usage');
+const fileInput = document.getElementById('roster-file-input');
+const importLabel = fileInput.closest('label');
+const importErrors = document.getElementById('roster-import-errors');
+const resetForm = document.getElementById('reset-check-in-form');
+const resetInput = document.getElementById('reset-check-in-employee');
+const resetBtn = document.getElementById('reset-check-in-btn');
+const turnoutTable = document.getElementById('roster-turnout-table');
+
+/**
+ * Set up the voter roster panel
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getEvent - Returns the event being viewed
+ * @param {Function} options.getCategories - Returns the viewed event's categories
+ * @param {Function} options.onEventUpdated - Called with the event after its requirement changes
+ * @param {Function} options.showError - Shows an error toast
+ * @param {Function} options.showNotice - Shows a success toast
+ */
+export function setupRosterPanel(options) {
+  panelOptions = options;
+
+  document.getElementById('roster-btn').addEventListener('click', toggleRosterPanel);
+  requireToggle.addEventListener('change', handleRequireToggle);
+  fileInput.addEventListener('change', handleImport);
+  resetForm.addEventListener('submit', handleReset);
+}
+
+/**
+ * Re-render the panel for the viewed event if it is open
+ * Called by the admin panel when the viewed event changes or is updated
+ */
+export async function renderRosterPanel() {
+  if (!panelOptions || panelSection.style.display === 'none') return;
+
+  const event = panelOptions.getEvent();
+  requireToggle.checked = Boolean(event?.roster_required);
+  // Voter codes and the roster exclude each other (events_single_voter_identity)
+  requireToggle.disabled = !event || (Boolean(event.voter_codes_required) && !event.roster_required);
+  requireToggle.title = event?.voter_codes_required ? 'Stop requiring voter codes first' : '';
+  resetBtn.disabled = !event;
+
+  if (event) {
+    importLabel.removeAttribute('aria-disabled');
+  } else {
+    importLabel.setAttribute('aria-disabled', 'true');
+  }
+
+  await loadRosterStats();
+}
+
+/**
+ * Show or hide the panel, rendering it when it opens
+ */
+function toggleRosterPanel() {
+  const isHidden = panelSection.style.display === 'none';
+  panelSection.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    importErrors.style.display = 'none';
+    renderRosterPanel();
+  }
+}
+
+/**
+ * Handle the "Require check-in" checkbox
+ * Voters of the active event follow the change in real time
+ */
+async function handleRequireToggle() {
+  const event = panelOptions.getEvent();
+  if (!event) return;
+
+  const required = requireToggle.checked;
+  if (required && event.is_active) {
+    const confirmed = window.confirm(
+      `Require roster check-in for "${event.name}"? Voters who haven't checked in will be asked for their employee ID and PIN before they can vote.`
+    );
+    if (!confirmed) {
+      requireToggle.checked = false;
+      return;
+    }
+  }
+
+  requireToggle.disabled = true;
+
+  try {
+    const updated = await setRosterRequired(event.id, required);
+    panelOptions.onEventUpdated(updated);
+    panelOptions.showNotice(required ? 'Roster check-in is now required' : 'Roster check-in is no longer required');
+  } catch (error) {
+    logger.error('Error updating roster requirement:', error);
+    requireToggle.checked = !required;
+    if (error.code === 'IDENTITY_MODE_CONFLICT') {
+      panelOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      panelOptions.showError('You are not authorized to change the roster. Please sign in again.');
+    } else {
+      panelOptions.showError('Failed to update the roster requirement. Please try again.');
+    }
+  } finally {
+    requireToggle.disabled = false;
+  }
+}
+
+/**
+ * Handle a chosen CSV file: validate every row, then import the roster
+ * Nothing is imported if any row is invalid
+ */
+async function handleImport() {
+  const event = panelOptions.getEvent();
+  const file = fileInput.files[0];
+  fileInput.value = '';
+  if (!event || !file) return;
+
+  importErrors.style.display = 'none';
+  importLabel.setAttribute('aria-disabled', 'true');
+
+  try {
+    const { rows, errors } = parseRosterCSV(await file.text());
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, 10);
+      if (errors.length > shown.length) {
+        shown.push(`…and ${errors.length - shown.length} more`);
+      }
+      importErrors.textContent = `Nothing was imported. Fix these rows and try again:\n${shown.join('\n')}`;
+      importErrors.style.display = 'block';
+      return;
+    }
+    if (rows.length === 0) {
+      panelOptions.showError('The file has no employees to import.');
+      return;
+    }
+
+    const imported = await importRoster(event.id, rows);
+    panelOptions.showNotice(imported === 1 ? '1 employee imported' : `${imported} employees imported`);
+    await loadRosterStats();
+  } catch (error) {
+    logger.error('Error importing roster:', error);
+    if (error.code === 'INVALID_ROSTER') {
+      panelOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      panelOptions.showError('You are not authorized to import the roster. Please sign in again.');
+    } else {
+      panelOptions.showError('Failed to import the roster. Please try again.');
+    }
+  } finally {
+    importLabel.removeAttribute('aria-disabled');
+  }
+}
+
+/**
+ * Handle the reset form: let an employee check in again on another phone
+ * @param {Event} e - Form submit event
+ */
+async function handleReset(e) {
+  e.preventDefault();
+
+  const event = panelOptions.getEvent();
+  const employeeId = resetInput.value.trim();
+  if (!event || !employeeId) return;
+
+  const confirmed = window.confirm(
+    `Reset the check-in of ${employeeId}? Their next check-in from any phone will take over their votes.`
+  );
+  if (!confirmed) return;
+
+  resetBtn.disabled = true;
+
+  try {
+    const entry = await resetCheckIn(event.id, employeeId);
+    resetInput.value = '';
+    panelOptions.showNotice(`Check-in of ${entry.name || entry.employee_id} reset`);
+    await loadRosterStats();
+  } catch (error) {
+    logger.error('Error resetting check-in:', error);
+    if (error.code === 'EMPLOYEE_NOT_FOUND') {
+      panelOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      panelOptions.showError('You are not authorized to reset check-ins. Please sign in again.');
+    } else {
+      panelOptions.showError('Failed to reset the check-in. Please try again.');
+    }
+  } finally {
+    resetBtn.disabled = false;
+  }
+}
+
+/**
+ * Load and render the roster size, check-ins and turnout of each category
+ */
+async function loadRosterStats() {
+  const event = panelOptions.getEvent();
+  const tbody = turnoutTable.querySelector('tbody');
+  usageSummary.innerHTML = '';
+  tbody.innerHTML = '';
+  turnoutTable.style.display = 'none';
+  if (!event) return;
+
+  try {
+    const [usage, turnout] = await Promise.all([
+      getRosterUsage(event.id),
+      getRosterTurnout(event.id)
+    ]);
+
+    [
+      ['Eligible', usage.eligible],
+      ['Checked in', usage.checked_in]
+    ].forEach(([label, count]) => {
+      const item = document.createElement('span');
+      item.className = `integrity-flag${count === 0 ? ' none' : ''}`;
+      item.textContent = `${label}: ${count}`;
+      usageSummary.appendChild(item);
+    });
+
+    if (usage.eligible === 0) return;
+
+    panelOptions.getCategories().forEach(category => {
+      const voted = turnout[category.id]?.voted || 0;
+      const row = document.createElement('tr');
+      [
+        category.title,
+        voted,
+        usage.eligible,
+        `${Math.round((voted / usage.eligible) * 100)}%`
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+    turnoutTable.style.display = tbody.children.length > 0 ? '' : 'none';
+  } catch (error) {
+    logger.error('Error loading roster stats:', error);
+    usageSummary.textContent = 'Failed to load the roster.';
+  }
+}
@@ -0,0 +1,430 @@
+// Voter roster service layer
+// Eligible employee roster: importing it from CSV and reporting turnout against
+// it (admin), and checking a voter in with employee ID and PIN
+
+import { supabase } from './supabaseClient.js';
+import { getClaimToken } from './deviceId.js';
+
+/**
+ * Most employees import_roster() accepts in one import
+ */
+export const MAX_ROSTER_ROWS = 5000;
+
+// localStorage key of this phone's check-in
+const CHECK_IN_KEY = 'oizom_roster_check_in';
+
+/**
+ * Parse a roster CSV
+ * Needs a header row with employee_id and pin columns; name is optional.
+ * Header names ignore case, spaces and dashes ("Employee ID" works too).
+ * @param {string} text - CSV file contents
+ * @returns {Object} { rows: [{ employee_id, name, pin }], errors: [string] }
+ */
+export function parseRosterCSV(text) {
+  const records = parseCSV(text).filter(record => record.some(field => field.trim() !== ''));
+  const errors = [];
+
+  if (records.length === 0) {
+    return { rows: [], errors: ['The file is empty'] };
+  }
+
+  const header = records[0].map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const idColumn = header.indexOf('employee_id');
+  const pinColumn = header.indexOf('pin');
+  const nameColumn = header.indexOf('name');
+
+  if (idColumn === -1 || pinColumn === -1) {
+    return { rows: [], errors: ['The first row must name the employee_id and pin columns'] };
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  records.slice(1).forEach((record, index) => {
+    const line = index + 2;
+    const employeeId = (record[idColumn] || '').trim().toUpperCase();
+    const pin = (record[pinColumn] || '').trim();
+
+    if (!employeeId || employeeId.length > 50) {
+      errors.push(`Line ${line}: employee ID must be 1 to 50 characters`);
+      return;
+    }
+    if (pin.length < 4 || pin.length > 12) {
+      errors.push(`Line ${line}: PIN must be 4 to 12 characters`);
+      return;
+    }
+    if (seen.has(employeeId)) {
+      errors.push(`Line ${line}: employee ${employeeId} is listed twice`);
+      return;
+    }
+
+    seen.add(employeeId);
+    rows.push({
+      employee_id: employeeId,
+      name: nameColumn === -1 ? '' : (record[nameColumn] || '').trim(),
+      pin
+    });
+  });
+
+  if (rows.length > MAX_ROSTER_ROWS) {
+    errors.push(`Import at most ${MAX_ROSTER_ROWS} employees at a time`);
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Add or update roster entries of an event (admin only)
+ * Existing employees get the new name and PIN; nobody is removed
+ * Calls the import_roster() database function, which stores PINs hashed
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {Array} rows - Rows from parseRosterCSV()
+ * @returns {Promise<number>} Number of employees imported
+ * @throws {Error} NOT_AUTHORIZED, INVALID_ROSTER, EVENT_NOT_FOUND or connection errors
+ */
+export async function importRoster(eventId, rows) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('import_roster', { p_event_id: eventId, p_rows: rows }),
+      3
+    );
+
+    if (error) {
+      // import_roster() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to import the roster. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'INVALID_ROSTER') {
+        const err = new Error(`Every employee needs an ID and a PIN of 4 to 12 characters (at most ${MAX_ROSTER_ROWS} employees)`);
+        err.code = 'INVALID_ROSTER';
+        throw err;
+      }
+      if (error.message === 'EVENT_NOT_FOUND') {
+        const err = new Error('Event not found');
+        err.code = 'EVENT_NOT_FOUND';
+        throw err;
+      }
+      console.error('Error importing roster:', error);
+      throw error;
+    }
+
+    console.log('Roster imported:', { eventId, imported: data });
+    return data || 0;
+  } catch (error) {
+    console.error('Failed to import roster:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Release an employee's check-in so they can check in on another phone (admin only)
+ * Also clears wrong PIN attempts
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {string} employeeId - Employee ID
+ * @returns {Promise<Object>} The roster entry
+ * @throws {Error} NOT_AUTHORIZED, EMPLOYEE_NOT_FOUND or connection errors
+ */
+export async function resetCheckIn(eventId, employeeId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('reset_check_in', { p_event_id: eventId, p_employee_id: employeeId }),
+      3
+    );
+
+    if (error) {
+      // reset_check_in() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to reset check-ins. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'EMPLOYEE_NOT_FOUND') {
+        const err = new Error('This employee is not on the roster');
+        err.code = 'EMPLOYEE_NOT_FOUND';
+        throw err;
+      }
+      console.error('Error resetting check-in:', error);
+      throw error;
+    }
+
+    console.log('Check-in reset:', { eventId, employeeId: data.employee_id });
+    return data;
+  } catch (error) {
+    console.error('Failed to reset check-in:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the roster size and number of check-ins of an event (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} { eligible, checked_in }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getRosterUsage(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('roster_usage')
+        .select('eligible, checked_in')
+        .eq('event_id', eventId)
+        .maybeSingle(),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching roster usage:', error);
+      throw error;
+    }
+
+    return data || { eligible: 0, checked_in: 0 };
+  } catch (error) {
+    console.error('Failed to fetch roster usage after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get how many eligible employees voted in each category of an event (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} Map of category ID to { eligible, voted }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getRosterTurnout(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('roster_turnout')
+        .select('category_id, eligible, voted')
+        .eq('event_id', eventId),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching roster turnout:', error);
+      throw error;
+    }
+
+    const turnout = {};
+    (data || []).forEach(row => {
+      turnout[row.category_id] = { eligible: row.eligible, voted: row.voted };
+    });
+    return turnout;
+  } catch (error) {
+    console.error('Failed to fetch roster turnout after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get this phone's check-in for an event
+ * @param {number} eventId - The ID of the event
+ * @returns {Object|null} { eventId, employeeId, name, voterKey, claimToken }, or null if none
+ */
+export function getStoredCheckIn(eventId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CHECK_IN_KEY));
+    return stored && stored.eventId === eventId ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check this phone in with an employee ID and PIN
+ * Binds the roster entry to the phone's claim token; checking in again from
+ * this phone is allowed
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {string} employeeId - Employee ID
+ * @param {string} pin - PIN from the roster
+ * @returns {Promise<Object>} The stored check-in: { eventId, employeeId, name, voterKey, claimToken }
+ * @throws {Error} INVALID_CREDENTIALS, CHECK_IN_LOCKED, ALREADY_CHECKED_IN or connection errors
+ */
+export async function checkInVoter(eventId, employeeId, pin) {
+  try {
+    if (!(employeeId || '').trim() || !(pin || '').trim()) {
+      const error = new Error('Enter your employee ID and PIN');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const claimToken = getClaimToken();
+
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('check_in_voter', {
+        p_event_id: eventId,
+        p_employee_id: employeeId,
+        p_pin: pin,
+        p_claim_token: claimToken
+      }),
+      3
+    );
+
+    // check_in_voter() returns a wrong ID or PIN instead of raising it
+    const code = error ? error.message : data?.error;
+
+    if (code === 'INVALID_CREDENTIALS') {
+      const err = new Error('Employee ID or PIN is not right. Check them and try again.');
+      err.code = 'INVALID_CREDENTIALS';
+      throw err;
+    }
+    if (code === 'CHECK_IN_LOCKED') {
+      // The detail says how long the backoff still runs
+      const err = new Error(`${error?.details || 'Too many wrong PINs. Try again in a few minutes'}.`);
+      err.code = 'CHECK_IN_LOCKED';
+      throw err;
+    }
+    if (code === 'ALREADY_CHECKED_IN') {
+      const err = new Error('You already checked in on another phone. Ask an organizer to reset your check-in.');
+      err.code = 'ALREADY_CHECKED_IN';
+      throw err;
+    }
+    if (error) {
+      console.error('Error checking in:', error);
+      throw error;
+    }
+
+    const stored = {
+      eventId: data.event_id,
+      employeeId: data.employee_id,
+      name: data.name,
+      voterKey: data.voter_key,
+      claimToken
+    };
+    localStorage.setItem(CHECK_IN_KEY, JSON.stringify(stored));
+
+    console.log('Checked in:', { eventId: stored.eventId, voterKey: stored.voterKey });
+    return stored;
+  } catch (error) {
+    console.error('Failed to check in:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Split CSV text into records of fields
+ * Handles quoted fields with commas, doubled quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Excel adds a byte order mark to UTF-8 exports
+  if (records[0]?.[0]) {
+    records[0][0] = records[0][0].replace(/^\uFEFF/, '');
+  }
+
+  return records;
+}
+
+/**
+ * Retry an async operation with exponential backoff
+ * Used for handling transient network errors
+ * @param {Function} operation - Async function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} baseDelay - Base delay in milliseconds (default 1000)
+ * @returns {Promise<any>} Result of the operation
+ */
+async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on validation errors or business logic errors
+      if (error.code && ['NOT_AUTHORIZED', 'INVALID_ROSTER', 'EVENT_NOT_FOUND', 'EMPLOYEE_NOT_FOUND', 'INVALID_CREDENTIALS', 'CHECK_IN_LOCKED', 'ALREADY_CHECKED_IN'].includes(error.code)) {
+        throw error;
+      }
+
+      // Don't retry on permission errors
+      if (error.code && ['42501'].includes(error.code)) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries) {
+        console.error(`Operation failed after ${maxRetries + 1} attempts:`, error);
+        throw error;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,222 @@
+// Run-of-show queue for the admin panel
+// Steps through the event's running order with Next / Previous / Skip and keyboard shortcuts
+
+import { unlockCategory, lockCategory, isCategoryFinished } from './categoryService.js';
+import { logger } from './logger.js';
+
+// Callbacks and state provided by the admin panel
+let runOptions = null;
+let busy = false; // True while a Next / Previous request is in flight
+
+// DOM elements
+const runOfShowSection = document.getElementById('run-of-show');
+const nowTitle = document.getElementById('run-now-title');
+const nextTitle = document.getElementById('run-next-title');
+const upNextHeader = document.getElementById('up-next-title');
+const previousBtn = document.getElementById('run-previous-btn');
+const skipBtn = document.getElementById('run-skip-btn');
+const nextBtn = document.getElementById('run-next-btn');
+
+/**
+ * Set up the run-of-show controls
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getCategories - Returns the current categories array (in running order)
+ * @param {Function} options.getEventId - Returns the ID of the event being viewed
+ * @param {Function} options.isActiveEvent - Returns true when the viewed event is the active one
+ * @param {Function} options.getVotingWindowSeconds - Returns the voting window for the next unlock (or null)
+ * @param {Function} options.showError - Shows an error toast
+ * @param {Function} options.showNotice - Shows a success toast
+ */
+export function setupRunOfShow(options) {
+  runOptions = options;
+
+  previousBtn.addEventListener('click', handlePrevious);
+  skipBtn.addEventListener('click', handleSkip);
+  nextBtn.addEventListener('click', handleNext);
+  document.addEventListener('keydown', handleShortcut);
+
+  renderRunOfShow();
+}
+
+/**
+ * Re-render the run-of-show bar and the "up next" header
+ * Called by the admin panel whenever categories change
+ */
+export function renderRunOfShow() {
+  if (!runOptions) return;
+
+  const { current, previous, next } = getRunOfShowState();
+
+  nowTitle.textContent = current ? formatCategory(current) : 'Nothing open';
+  nextTitle.textContent = next ? formatCategory(next) : 'End of running order';
+  upNextHeader.textContent = next ? formatCategory(next) : '—';
+
+  const disabled = busy || !runOptions.isActiveEvent();
+  previousBtn.disabled = disabled || !previous;
+  skipBtn.disabled = disabled || !next;
+  nextBtn.disabled = disabled || (!next && !current);
+  nextBtn.querySelector('span:last-child').textContent = next || !current ? 'Next' : 'Finish';
+
+  runOfShowSection.classList.toggle('inactive', !runOptions.isActiveEvent());
+}
+
+/**
+ * Work out where the show is in the running order
+ * The cursor is the open category, or else the last category the queue moved to
+ * (kept per event in localStorage so a refresh doesn't lose the place)
+ * @returns {Object} { current, previous, next } categories (each may be null)
+ */
+function getRunOfShowState() {
+  const categories = runOptions.getCategories();
+  const current = categories.find(c => c.unlocked) || null;
+
+  if (current) {
+    saveCursor(current.id);
+  }
+
+  const cursorId = current ? current.id : loadCursor();
+  const cursorIndex = categories.findIndex(c => c.id === cursorId);
+
+  // Previous: the category right before the cursor, to reopen it
+  const previous = cursorIndex > 0 ? categories[cursorIndex - 1] : null;
+
+  // Next: the first category after the cursor that hasn't been opened yet
+  const next = categories.slice(cursorIndex + 1).find(c => c.status === 'pending') || null;
+
+  return { current, previous, next };
+}
+
+/**
+ * Handle "Next": lock the open category and open the next pending one
+ * unlockCategory() does both in one transaction; at the end of the running
+ * order the open category is just locked
+ */
+async function handleNext() {
+  const { current, next } = getRunOfShowState();
+
+  if (next) {
+    await runStep(async () => {
+      await unlockCategory(next.id, runOptions.getVotingWindowSeconds());
+      saveCursor(next.id);
+      runOptions.showNotice(`Now open: ${formatCategory(next)}`);
+    }, 'Failed to open the next category. Please try again.');
+  } else if (current) {
+    await runStep(async () => {
+      await lockCategory(current.id);
+      runOptions.showNotice(`Closed ${formatCategory(current)}. That was the last category.`);
+    }, 'Failed to lock the category. Please try again.');
+  }
+}
+
+/**
+ * Handle "Previous": reopen the category before the cursor
+ * A closed or revealed category is only reopened after confirmation
+ */
+async function handlePrevious() {
+  const { previous } = getRunOfShowState();
+  if (!previous || busy) return;
+
+  const reopen = isCategoryFinished(previous);
+  if (reopen && !window.confirm(`Reopen ${formatCategory(previous)}? It has already been ${previous.status}.`)) {
+    return;
+  }
+
+  await runStep(async () => {
+    await unlockCategory(previous.id, runOptions.getVotingWindowSeconds(), { reopen });
+    saveCursor(previous.id);
+    runOptions.showNotice(`Reopened ${formatCategory(previous)}`);
+  }, 'Failed to reopen the previous category. Please try again.');
+}
+
+/**
+ * Handle "Skip": pass over the up-next category without opening it
+ * The open category (if any) stays open
+ */
+function handleSkip() {
+  const { next } = getRunOfShowState();
+  if (!next || busy) return;
+
+  const categories = runOptions.getCategories();
+  if (categories.some(c => c.unlocked)) {
+    runOptions.showError('Lock the open category before skipping ahead.');
+    return;
+  }
+
+  saveCursor(next.id);
+  runOptions.showNotice(`Skipped ${formatCategory(next)}`);
+  renderRunOfShow();
+}
+
+/**
+ * Run a Next / Previous step with the controls disabled
+ * @param {Function} step - Async step to run
+ * @param {string} failureMessage - Message shown if the step fails
+ */
+async function runStep(step, failureMessage) {
+  if (busy) return;
+
+  busy = true;
+  renderRunOfShow();
+
+  try {
+    await step();
+  } catch (error) {
+    logger.error('Run-of-show step failed:', error);
+    runOptions.showError(error.code === 'NOT_AUTHORIZED'
+      ? 'You are not authorized to change categories. Please sign in again.'
+      : failureMessage);
+  } finally {
+    busy = false;
+    renderRunOfShow();
+  }
+}
+
+/**
+ * Keyboard shortcuts: N or → for Next, P or ← for Previous, S for Skip
+ * Ignored while typing in a form field or with modifier keys held
+ * @param {KeyboardEvent} e - Keydown event
+ */
+function handleShortcut(e) {
+  if (e.metaKey || e.ctrlKey || e.altKey || e.repeat) return;
+  if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (!runOptions.isActiveEvent()) return;
+
+  const key = e.key.toLowerCase();
+
+  if (key === 'n' || key === 'arrowright') {
+    e.preventDefault();
+    handleNext();
+  } else if (key === 'p' || key === 'arrowleft') {
+    e.preventDefault();
+    handlePrevious();
+  } else if (key === 's') {
+    e.preventDefault();
+    handleSkip();
+  }
+}
+
+/**
+ * Format a category for the run-of-show labels
+ * @param {Object} category - The category
+ * @returns {string} e.g. "#5 Best Performance"
+ */
+function formatCategory(category) {
+  return `#${category.id} ${category.title}`;
+}
+
+/**
+ * Read the queue position of the viewed event
+ * @returns {number|null} Category ID the queue last moved to
+ */
+function loadCursor() {
+  const value = localStorage.getItem(`runOfShowCursor:${runOptions.getEventId()}`);
+  return value ? Number(value) : null;
+}
+
+/**
+ * Remember the queue position of the viewed event
+ * @param {number} categoryId - Category ID the queue moved to
+ */
+function saveCursor(categoryId) {
+  localStorage.setItem(`runOfShowCursor:${runOptions.getEventId()}`, String(categoryId));
+}
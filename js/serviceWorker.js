@@ -0,0 +1,93 @@
+// Service worker for the voter app
+// Built into dist/sw.js by the service worker plugin in vite.config.js, which
+// fills in the cache version and the app shell files of the build
+//
+// - App shell (index.html and its hashed scripts, styles and icons) is cached
+//   on install, so the voter page opens with no network; the Supabase client
+//   and FingerprintJS are bundled into those scripts, not loaded from a CDN
+// - Voter page navigations try the network first and fall back to the cache
+// - Hashed build assets are served from the cache
+// - Supabase requests and the admin, projector and report pages are not touched
+
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+const SHELL_CACHE = `oizom-shell-${CACHE_VERSION}`;
+
+// Pages served from the app shell when offline
+const VOTER_PAGES = ['/', '/index.html'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+  // The new version waits until the voter chooses to reload (see SKIP_WAITING)
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        // oizom-runtime held CDN scripts in earlier versions
+        .filter(key => key.startsWith('oizom-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    if (url.origin === self.location.origin && VOTER_PAGES.includes(url.pathname)) {
+      event.respondWith(networkFirst(request, '/index.html'));
+    }
+    return;
+  }
+
+  if (url.origin === self.location.origin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Fetch from the network, falling back to a cached copy when offline
+ * @param {Request} request - Navigation request
+ * @param {string} fallbackUrl - Cached page to serve when the network fails
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, fallbackUrl) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(fallbackUrl);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve from the cache, fetching (and caching) on a miss
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
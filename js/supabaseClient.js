@@ -19,7 +19,7 @@ try {
     // Create detailed mock for debugging
     const mockQuery = () => {
       const q = {};
-      const methods = ['select', 'insert', 'update', 'eq', 'neq', 'order', 'gte', 'lte', 'limit'];
+      const methods = ['select', 'insert', 'update', 'delete', 'eq', 'neq', 'in', 'order', 'gte', 'lte', 'limit', 'is'];
       methods.forEach(m => q[m] = () => q);
 
       q.single = () => Promise.reject(new Error('Supabase credentials missing'));
@@ -31,6 +31,13 @@ try {
 
     supabaseInstance = {
       from: () => mockQuery(),
+      rpc: () => Promise.resolve({ data: null, error: new Error('Supabase credentials missing') }),
+      auth: {
+        getSession: () => Promise.resolve({ data: { session: null }, error: null }),
+        signInWithPassword: () => Promise.resolve({ data: {}, error: new Error('Supabase credentials missing') }),
+        signOut: () => Promise.resolve({ error: null }),
+        onAuthStateChange: () => ({ data: { subscription: { unsubscribe: () => { } } } })
+      },
       channel: () => {
         const ch = {
           on: () => ch,
@@ -2,29 +2,72 @@
 // Handles device fingerprinting, real-time category updates, vote submission, and UI state management
 
 import { getDeviceIdentifiers, hasVotedForCategory } from './deviceId.js';
-import { getUnlockedCategory, subscribeToCategories } from './categoryService.js';
+import { getUnlockedCategory, getLatestClosedCategory, getEventCategories, isCategoryFinished, getNomineeOptions, getSelfNomineeOptions, getSecondsRemaining, formatCountdown, subscribeToCategories } from './categoryService.js';
 import { submitVote, getUserVotes } from './voteService.js';
+import { getActiveEvent, subscribeToEvents } from './eventService.js';
+import { claimVoterCode, getStoredVoterCode } from './voterCodeService.js';
+import { checkInVoter, getStoredCheckIn } from './rosterService.js';
+import { queueVote, getQueuedVote, getQueuedVotes, replayQueuedVotes, isTransientVoteError } from './voteQueue.js';
+import { joinVoterPresence } from './presenceService.js';
+import { registerServiceWorker } from './pwa.js';
 import { logger } from './logger.js';
 import confetti from 'canvas-confetti';
 
 // Global state
 let currentCategory = null;
+let activeEvent = null;
 let deviceId = null;
+let voterCode = null; // Voter code this phone claimed for the active event, if any
+let checkIn = null; // Roster check-in of this phone for the active event, if any
 let categorySubscription = null;
+let eventSubscription = null;
+let presenceChannel = null; // Presence of this voter on the active event's channel (see presenceService.js)
+let eventCategories = []; // Categories of the active event, in run-of-show order
 let votedCategories = new Set();
+let myVotes = new Map(); // Category ID -> this voter's vote ({ option, timestamp, changed_at, voided_at })
+let isChangingVote = false; // Re-voting in a category already voted in (events that allow vote changes)
 let selectedOption = null; // Track currently selected option
 let autoReloadTimer = null; // Timer for auto-reload
+let countdownTimer = null; // Timer for the voting window countdown
+let queueRetryTimer = null; // Timer for the next try at sending queued votes
+
+// Countdown ring geometry (radius 24) and when it turns red
+const COUNTDOWN_RING_CIRCUMFERENCE = 2 * Math.PI * 24;
+const COUNTDOWN_ENDING_SECONDS = 10;
+
+// Event settings voters follow in real time
+const VOTER_SETTINGS = ['voter_codes_required', 'roster_required', 'allow_vote_changes'];
+
+// How often queued votes are retried; "online" events alone miss WiFi that is up but not working
+const QUEUE_RETRY_INTERVAL_MS = 15000;
 
 /**
  * Initialize the application on page load
  */
 async function init() {
+  // Cache the app for offline loads and watch for new deploys
+  registerServiceWorker({ onUpdateReady: showUpdateNotice });
+
   try {
+    // Initialize Theme
+    initializeTheme();
+
+    // Opened from the service worker cache with no network
+    if (!navigator.onLine) {
+      showOfflineWaiting();
+      return;
+    }
+
     // Initialize device fingerprinting
     await initializeDevice();
 
-    // Initialize Theme
-    initializeTheme();
+    // Find the event voters are taking part in
+    activeEvent = await getActiveEvent();
+
+    // Claim the voter code of a scanned QR join link
+    await claimCodeFromLink();
+    voterCode = activeEvent ? getStoredVoterCode(activeEvent.id) : null;
+    checkIn = activeEvent ? getStoredCheckIn(activeEvent.id) : null;
 
     // Load user's voting history
     await loadVotingHistory();
@@ -32,18 +75,56 @@ async function init() {
     // Fetch and display current unlocked category
     await loadCurrentCategory();
 
-    // Subscribe to real-time category changes
+    // Subscribe to real-time category and event changes
     subscribeToRealTimeUpdates();
+    eventSubscription = subscribeToEvents(handleEventChange);
 
     // Set up event listeners
     setupEventListeners();
 
+    // Send votes queued while offline, e.g. before the page was closed
+    sendQueuedVotes();
+
   } catch (error) {
     logger.error('Initialization error:', error);
+    showOfflineWaiting();
     showError('Connection error. Please refresh the page.');
   }
 }
 
+/**
+ * Show the waiting screen when the app couldn't reach the server on load
+ * Starts over as soon as the browser is back online
+ */
+function showOfflineWaiting() {
+  document.getElementById('category-container').style.display = 'none';
+  document.getElementById('waiting-state').style.display = 'block';
+
+  const waitingStatus = document.getElementById('waiting-status');
+  waitingStatus.className = 'waiting-status closed';
+  waitingStatus.textContent = 'Offline';
+  waitingStatus.style.display = 'inline-flex';
+  document.getElementById('waiting-title').textContent = 'Waiting for a connection';
+  document.getElementById('waiting-text').textContent = 'Voting will pick up here when you\'re back online';
+
+  window.addEventListener('online', () => window.location.reload(), { once: true });
+}
+
+/**
+ * Tell the voter a new version was deployed
+ * @param {Function} applyUpdate - Switches to the new version and reloads
+ */
+function showUpdateNotice(applyUpdate) {
+  const notice = document.getElementById('update-notice');
+  const reloadBtn = document.getElementById('update-reload-btn');
+
+  reloadBtn.onclick = () => {
+    reloadBtn.disabled = true;
+    applyUpdate();
+  };
+  notice.style.display = 'flex';
+}
+
 /**
  * Initialize device fingerprinting
  */
@@ -58,14 +139,92 @@ async function initializeDevice() {
   }
 }
 
+/**
+ * Claim the voter code in a ?code= join link, then drop it from the address bar
+ * A failed claim is shown to the voter, who can still type a code in
+ */
+async function claimCodeFromLink() {
+  const url = new URL(window.location.href);
+  const code = url.searchParams.get('code');
+  if (!code) return;
+
+  url.searchParams.delete('code');
+  window.history.replaceState(null, '', url);
+
+  try {
+    await claimVoterCode(code);
+  } catch (error) {
+    console.error('Error claiming voter code from link:', error);
+    document.getElementById('code-entry-input').value = code.toUpperCase();
+    showError(error.code ? error.message : 'Connection error. Please try your code again.');
+  }
+}
+
+/**
+ * Whether this phone still has to claim a voter code before it can vote
+ * @returns {boolean} True if the active event requires codes and none is claimed
+ */
+function needsVoterCode() {
+  return Boolean(activeEvent?.voter_codes_required && !voterCode);
+}
+
+/**
+ * Whether this phone still has to check in with the roster before it can vote
+ * @returns {boolean} True if the active event requires the roster and this phone hasn't checked in
+ */
+function needsCheckIn() {
+  return Boolean(activeEvent?.roster_required && !checkIn);
+}
+
+/**
+ * Identity the active event stores this phone's votes under
+ * @returns {string} The check-in's voter key in roster events, the claimed code's
+ *   voter key in code events, the device ID otherwise
+ */
+function getVoterKey() {
+  if (activeEvent?.roster_required && checkIn) return checkIn.voterKey;
+  if (activeEvent?.voter_codes_required && voterCode) return voterCode.voterKey;
+  return deviceId;
+}
+
+/**
+ * Voter identity to submit votes with in the active event
+ * @returns {Object|null} The roster check-in or claimed voter code the event requires, or null
+ */
+function getVoterIdentity() {
+  if (activeEvent?.roster_required) return checkIn;
+  if (activeEvent?.voter_codes_required) return voterCode;
+  return null;
+}
+
+/**
+ * Name of the voter, when the active event knows who is voting
+ * @returns {string|null} The checked-in employee's roster name in roster events, null otherwise
+ */
+function getVoterName() {
+  return activeEvent?.roster_required && checkIn ? checkIn.name : null;
+}
+
 /**
  * Load user's voting history from the database
  */
 async function loadVotingHistory() {
   try {
-    const votes = await getUserVotes(deviceId);
+    // A failed category load leaves the ballot empty but keeps the vote history
+    const [votes, categories] = activeEvent
+      ? await Promise.all([
+        getUserVotes(getVoterKey(), activeEvent.id),
+        getEventCategories(activeEvent.id).catch(() => [])
+      ])
+      : [[], []];
+    eventCategories = categories;
     votedCategories = new Set(votes.map(vote => vote.category_id));
+    myVotes = new Map(votes.map(vote => [vote.category_id, vote]));
     updateProgressIndicator();
+    updatePresence();
+    if (isBallotOpen()) {
+      renderBallot();
+    }
   } catch (error) {
     console.error('Error loading voting history:', error);
     // Non-critical error, continue with empty history
@@ -77,7 +236,17 @@ async function loadVotingHistory() {
  */
 async function loadCurrentCategory() {
   try {
-    const category = await getUnlockedCategory();
+    if (needsCheckIn()) {
+      showCheckIn();
+      return;
+    }
+
+    if (needsVoterCode()) {
+      showCodeEntry();
+      return;
+    }
+
+    const category = activeEvent ? await getUnlockedCategory(activeEvent.id) : null;
 
     if (category) {
       currentCategory = category;
@@ -95,9 +264,18 @@ async function loadCurrentCategory() {
  * Subscribe to real-time category changes via Supabase
  */
 function subscribeToRealTimeUpdates() {
+  if (!activeEvent) return;
+
+  // Let the admin panel see this voter is connected
+  presenceChannel = joinVoterPresence(activeEvent.id);
+  updatePresence();
+
   categorySubscription = subscribeToCategories((payload) => {
     console.log('Category change detected:', payload);
 
+    // Keep the ballot in step with categories added, edited or deleted during the event
+    updateEventCategories(payload);
+
     if (payload.eventType === 'UPDATE') {
       const updatedCategory = payload.new;
 
@@ -111,9 +289,95 @@ function subscribeToRealTimeUpdates() {
           currentCategory = null;
           reloadCurrentState();
         }
+      } else if (!currentCategory && updatedCategory.status === 'revealed') {
+        // Results were revealed while waiting - update the waiting message
+        updateWaitingMessage();
       }
     }
-  });
+  }, activeEvent.id);
+}
+
+/**
+ * Announce this voter's identity and voted categories on the presence channel
+ */
+function updatePresence() {
+  if (!presenceChannel) return;
+
+  presenceChannel.track({
+    voterKey: getVoterKey(),
+    votedCategoryIds: [...votedCategories]
+  }).catch(error => console.error('Error updating presence:', error));
+}
+
+/**
+ * Apply a realtime category change to the event's category list
+ * @param {Object} payload - Supabase realtime payload from subscribeToCategories()
+ */
+function updateEventCategories(payload) {
+  const { eventType, new: changed, old: removed } = payload;
+
+  if (eventType === 'DELETE') {
+    eventCategories = eventCategories.filter(category => category.id !== removed?.id);
+  } else if (changed?.id) {
+    eventCategories = eventCategories
+      .filter(category => category.id !== changed.id)
+      .concat(changed)
+      .sort((a, b) => (a.sort_order - b.sort_order) || (a.id - b.id));
+  }
+
+  updateProgressIndicator();
+  if (isBallotOpen()) {
+    renderBallot();
+  }
+}
+
+/**
+ * Handle real-time event changes
+ * When the admin switches the active event, follow it: reload the voting
+ * history and current category, and re-subscribe to the new event's categories
+ * @param {Object} payload - Supabase realtime payload
+ */
+async function handleEventChange(payload) {
+  const changedEvent = payload.new;
+  const isActiveEventChange = changedEvent?.is_active
+    ? changedEvent.id !== activeEvent?.id
+    : changedEvent?.id === activeEvent?.id;
+  const isVoterSettingChange = changedEvent?.is_active
+    && changedEvent.id === activeEvent?.id
+    && VOTER_SETTINGS.some(key => changedEvent[key] !== activeEvent[key]);
+
+  if (isVoterSettingChange) {
+    // The admin switched voter codes, the roster or vote changes on or off for this event
+    activeEvent = { ...activeEvent, ...changedEvent };
+    await loadVotingHistory();
+    await reloadCurrentState();
+    return;
+  }
+
+  if (!isActiveEventChange) return;
+
+  try {
+    activeEvent = await getActiveEvent();
+    voterCode = activeEvent ? getStoredVoterCode(activeEvent.id) : null;
+    checkIn = activeEvent ? getStoredCheckIn(activeEvent.id) : null;
+    currentCategory = null;
+
+    if (categorySubscription) {
+      categorySubscription.unsubscribe();
+      categorySubscription = null;
+    }
+    if (presenceChannel) {
+      presenceChannel.unsubscribe();
+      presenceChannel = null;
+    }
+
+    await loadVotingHistory();
+    await reloadCurrentState();
+    subscribeToRealTimeUpdates();
+  } catch (error) {
+    console.error('Error switching event:', error);
+    showError('Connection error. Please refresh the page.');
+  }
 }
 
 /**
@@ -121,8 +385,12 @@ function subscribeToRealTimeUpdates() {
  * @param {Object} category - The category to render
  */
 async function renderCategory(category) {
+  isChangingVote = false;
+
   // Hide waiting state and error messages
   document.getElementById('waiting-state').style.display = 'none';
+  document.getElementById('code-entry').style.display = 'none';
+  document.getElementById('check-in').style.display = 'none';
   document.getElementById('error-message').style.display = 'none';
   document.getElementById('confirmation-message').style.display = 'none';
 
@@ -139,33 +407,271 @@ async function renderCategory(category) {
   // Set category title
   document.getElementById('category-title').textContent = category.title;
 
-  // Set nominee names
-  const nominees = category.nominees;
-  document.getElementById('nominee-a').textContent = nominees.A;
-  document.getElementById('nominee-b').textContent = nominees.B;
-  document.getElementById('nominee-c').textContent = nominees.C;
-  document.getElementById('nominee-d').textContent = nominees.D;
+  // Render one button per nominee
+  renderNomineeButtons(category);
 
   // Check if user has already voted for this category
   const hasVoted = await hasVotedForCategory(category.id);
 
+  const queuedVote = await getQueuedVote(category.id);
+
   if (hasVoted || votedCategories.has(category.id)) {
     // Show already voted indicator
     showAlreadyVoted();
+  } else if (queuedVote) {
+    // Picked while offline, not sent yet
+    showPendingVote(queuedVote.option);
   } else {
     // Enable voting buttons
     enableVoting();
   }
+
+  // Show the countdown ring if this unlock has a voting window
+  startCountdown(category);
+}
+
+/**
+ * Start the countdown ring for a category's voting window
+ * Hidden when the category has no time limit
+ * @param {Object} category - The category being shown
+ */
+function startCountdown(category) {
+  stopCountdown();
+
+  const countdown = document.getElementById('voting-countdown');
+  if (getSecondsRemaining(category) === null) {
+    countdown.style.display = 'none';
+    return;
+  }
+
+  countdown.classList.remove('ending', 'time-up');
+  countdown.style.display = 'block';
+  updateCountdown();
+  countdownTimer = setInterval(updateCountdown, 1000);
+}
+
+/**
+ * Update the countdown ring and text
+ * Closes voting on this screen when time is up; cast_vote() rejects late votes anyway
+ */
+function updateCountdown() {
+  const remaining = getSecondsRemaining(currentCategory);
+  if (remaining === null) {
+    stopCountdown();
+    return;
+  }
+
+  const countdown = document.getElementById('voting-countdown');
+  const countdownText = document.getElementById('countdown-text');
+  const countdownCircle = document.getElementById('countdown-circle');
+
+  // Ring empties over the whole window
+  const windowSeconds = currentCategory.voting_window_seconds || remaining || 1;
+  const fraction = Math.min(remaining / windowSeconds, 1);
+  countdownCircle.style.strokeDasharray = COUNTDOWN_RING_CIRCUMFERENCE;
+  countdownCircle.style.strokeDashoffset = COUNTDOWN_RING_CIRCUMFERENCE * (1 - fraction);
+
+  countdown.classList.toggle('ending', remaining <= COUNTDOWN_ENDING_SECONDS);
+
+  if (remaining > 0) {
+    countdownText.textContent = formatCountdown(remaining);
+    return;
+  }
+
+  stopCountdown();
+  countdown.classList.add('time-up');
+  countdownText.textContent = "Time's up";
+  showTimeUp();
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopCountdown() {
+  if (countdownTimer) {
+    clearInterval(countdownTimer);
+    countdownTimer = null;
+  }
+}
+
+/**
+ * Disable voting once the voting window has ended
+ */
+function showTimeUp() {
+  document.getElementById('submit-section').style.display = 'none';
+  document.getElementById('change-vote-btn').style.display = 'none';
+  isChangingVote = false;
+
+  const buttons = document.querySelectorAll('.nominee-button');
+  buttons.forEach(button => {
+    button.disabled = true;
+    button.classList.add('disabled');
+  });
+
+  selectedOption = null;
+}
+
+/**
+ * Render the nominee buttons for a category
+ * The voter's own nominations stay disabled (cast_vote() rejects them too)
+ * @param {Object} category - The category to render
+ */
+function renderNomineeButtons(category) {
+  const container = document.getElementById('nominee-buttons');
+  const template = document.getElementById('nominee-button-template');
+  const selfOptions = getSelfNomineeOptions(category, getVoterName());
+
+  container.innerHTML = '';
+  getNomineeOptions(category).forEach(option => {
+    const button = template.content.cloneNode(true).querySelector('.nominee-button');
+    button.setAttribute('data-option', option);
+    button.querySelector('.option-label').textContent = option;
+    button.querySelector('.nominee-name').textContent = category.nominees[option];
+    if (selfOptions.includes(option)) {
+      button.classList.add('self-nominee');
+      button.title = "You can't vote for yourself";
+    }
+    container.appendChild(button);
+  });
+
+  document.getElementById('self-vote-note').style.display = selfOptions.length > 0 ? 'block' : 'none';
 }
 
 /**
  * Show the waiting state when no category is unlocked
  */
 function showWaitingState() {
+  stopCountdown();
+  document.getElementById('code-entry').style.display = 'none';
+  document.getElementById('check-in').style.display = 'none';
   document.getElementById('category-container').style.display = 'none';
   document.getElementById('confirmation-message').style.display = 'none';
   document.getElementById('error-message').style.display = 'none';
   document.getElementById('waiting-state').style.display = 'block';
+
+  updateWaitingMessage();
+}
+
+/**
+ * Ask for a voter code before voting in an event that requires one
+ */
+function showCodeEntry() {
+  stopCountdown();
+  document.getElementById('category-container').style.display = 'none';
+  document.getElementById('confirmation-message').style.display = 'none';
+  document.getElementById('waiting-state').style.display = 'none';
+  document.getElementById('check-in').style.display = 'none';
+  document.getElementById('code-entry').style.display = 'flex';
+}
+
+/**
+ * Ask for an employee ID and PIN before voting in an event that requires the roster
+ */
+function showCheckIn() {
+  stopCountdown();
+  document.getElementById('category-container').style.display = 'none';
+  document.getElementById('confirmation-message').style.display = 'none';
+  document.getElementById('waiting-state').style.display = 'none';
+  document.getElementById('code-entry').style.display = 'none';
+  document.getElementById('check-in').style.display = 'flex';
+}
+
+/**
+ * Handle a typed-in voter code
+ * @param {Event} e - Form submit event
+ */
+async function handleCodeSubmit(e) {
+  e.preventDefault();
+
+  const input = document.getElementById('code-entry-input');
+  const button = document.getElementById('code-entry-btn');
+  button.disabled = true;
+
+  try {
+    const claimed = await claimVoterCode(input.value);
+
+    if (claimed.eventId !== activeEvent?.id) {
+      showError('This voter code is for a different event.');
+      return;
+    }
+
+    voterCode = claimed;
+    input.value = '';
+    await loadVotingHistory();
+    await reloadCurrentState();
+  } catch (error) {
+    console.error('Voter code error:', error);
+    showError(error.code ? error.message : 'Connection error. Please try again.');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Handle the check-in form
+ * @param {Event} e - Form submit event
+ */
+async function handleCheckInSubmit(e) {
+  e.preventDefault();
+
+  const employeeInput = document.getElementById('check-in-employee');
+  const pinInput = document.getElementById('check-in-pin');
+  const button = document.getElementById('check-in-btn');
+  if (!activeEvent) return;
+
+  button.disabled = true;
+
+  try {
+    checkIn = await checkInVoter(activeEvent.id, employeeInput.value, pinInput.value);
+    employeeInput.value = '';
+    pinInput.value = '';
+    await loadVotingHistory();
+    await reloadCurrentState();
+  } catch (error) {
+    console.error('Check-in error:', error);
+    pinInput.value = '';
+    showError(error.code ? error.message : 'Connection error. Please try again.');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Tailor the waiting screen to the most recently closed category
+ * "Voting closed" until its results are revealed, then "Winner revealed"
+ */
+async function updateWaitingMessage() {
+  const waitingStatus = document.getElementById('waiting-status');
+  const waitingTitle = document.getElementById('waiting-title');
+  const waitingText = document.getElementById('waiting-text');
+
+  let latest = null;
+  try {
+    latest = activeEvent ? await getLatestClosedCategory(activeEvent.id) : null;
+  } catch (error) {
+    console.error('Error loading latest closed category:', error);
+    // Non-critical, fall back to the generic waiting message
+  }
+
+  waitingStatus.className = 'waiting-status';
+
+  if (latest?.status === 'revealed') {
+    waitingStatus.classList.add('revealed');
+    waitingStatus.textContent = 'Winner revealed';
+    waitingStatus.style.display = 'inline-flex';
+    waitingTitle.textContent = latest.title;
+    waitingText.textContent = 'Check the big screen! The next award will appear when it\'s unlocked';
+  } else if (latest?.status === 'closed') {
+    waitingStatus.classList.add('closed');
+    waitingStatus.textContent = 'Voting closed';
+    waitingStatus.style.display = 'inline-flex';
+    waitingTitle.textContent = latest.title;
+    waitingText.textContent = 'Results will be revealed soon';
+  } else {
+    waitingStatus.style.display = 'none';
+    waitingTitle.textContent = 'Waiting for next category';
+    waitingText.textContent = 'The next award will appear when it\'s unlocked';
+  }
 }
 
 /**
@@ -176,11 +682,15 @@ function enableVoting() {
   const submitSection = document.getElementById('submit-section');
   alreadyVotedDiv.style.display = 'none';
   submitSection.style.display = 'none';
+  document.getElementById('vote-pending').style.display = 'none';
+  document.getElementById('submit-vote-label').textContent = isChangingVote ? 'Update Vote' : 'Submit Vote';
 
   const buttons = document.querySelectorAll('.nominee-button');
   buttons.forEach(button => {
-    button.disabled = false;
-    button.classList.remove('disabled', 'selected');
+    const isSelf = button.classList.contains('self-nominee');
+    button.disabled = isSelf;
+    button.classList.toggle('disabled', isSelf);
+    button.classList.remove('selected');
   });
 
   // Reset selected option
@@ -191,8 +701,20 @@ function enableVoting() {
  * Show already voted indicator and disable buttons
  */
 function showAlreadyVoted() {
+  isChangingVote = false;
+
   const alreadyVotedDiv = document.getElementById('already-voted');
   alreadyVotedDiv.style.display = 'block';
+  document.getElementById('vote-pending').style.display = 'none';
+  document.getElementById('submit-section').style.display = 'none';
+
+  // Show the pick, and offer to change it while the event allows it
+  const votedOption = currentCategory ? myVotes.get(currentCategory.id)?.option : undefined;
+  const votedName = votedOption ? currentCategory.nominees?.[votedOption] : null;
+  document.getElementById('already-voted-text').textContent = votedName
+    ? `You voted for ${votedName}`
+    : 'You\'ve already voted for this category';
+  document.getElementById('change-vote-btn').style.display = canChangeVote() ? '' : 'none';
 
   const buttons = document.querySelectorAll('.nominee-button');
   buttons.forEach(button => {
@@ -201,17 +723,63 @@ function showAlreadyVoted() {
   });
 }
 
+/**
+ * Whether the voter can change their vote in the current category
+ * @returns {boolean} True if the event allows changes, the category is still open
+ *   and this voter has a counted vote in it
+ */
+function canChangeVote() {
+  return Boolean(activeEvent?.allow_vote_changes
+    && currentCategory?.unlocked
+    && getSecondsRemaining(currentCategory) !== 0
+    && myVotes.has(currentCategory.id)
+    && !myVotes.get(currentCategory.id).voided_at);
+}
+
+/**
+ * Handle the "Change vote" button: pick again, starting from the current pick
+ */
+function handleChangeVote() {
+  if (!canChangeVote()) return;
+
+  isChangingVote = true;
+  enableVoting();
+  handleOptionSelect(myVotes.get(currentCategory.id).option);
+}
+
+/**
+ * Show a vote that is saved on the phone but not sent yet
+ * The picked nominee stays highlighted and the other buttons are disabled
+ * @param {string} option - The queued option
+ */
+function showPendingVote(option) {
+  document.getElementById('submit-section').style.display = 'none';
+  document.getElementById('already-voted').style.display = 'none';
+  document.getElementById('vote-pending').style.display = 'block';
+
+  const buttons = document.querySelectorAll('.nominee-button');
+  buttons.forEach(button => {
+    button.disabled = true;
+    button.classList.add('disabled');
+    button.classList.toggle('selected', button.getAttribute('data-option') === option);
+  });
+
+  selectedOption = null;
+}
+
 /**
  * Set up event listeners for vote buttons
  */
 function setupEventListeners() {
-  const buttons = document.querySelectorAll('.nominee-button');
+  // Buttons are re-rendered per category, so listen on the container
+  const nomineeButtons = document.getElementById('nominee-buttons');
 
-  buttons.forEach(button => {
-    button.addEventListener('click', async (e) => {
-      const option = button.getAttribute('data-option');
-      handleOptionSelect(option);
-    });
+  nomineeButtons.addEventListener('click', (e) => {
+    const button = e.target.closest('.nominee-button');
+    if (!button || button.disabled) return;
+
+    const option = button.getAttribute('data-option');
+    handleOptionSelect(option);
   });
 
   // Submit button listener
@@ -219,11 +787,29 @@ function setupEventListeners() {
   if (submitBtn) {
     submitBtn.addEventListener('click', handleSubmitVote);
   }
+
+  document.getElementById('code-entry-form').addEventListener('submit', handleCodeSubmit);
+  document.getElementById('change-vote-btn').addEventListener('click', handleChangeVote);
+  document.getElementById('check-in-form').addEventListener('submit', handleCheckInSubmit);
+
+  // Back online: send queued votes right away
+  window.addEventListener('online', sendQueuedVotes);
+
+  // "My ballot" view, opened from the progress indicator
+  const ballotView = document.getElementById('ballot-view');
+  document.getElementById('ballot-btn').addEventListener('click', openBallot);
+  document.getElementById('ballot-close-btn').addEventListener('click', closeBallot);
+  ballotView.addEventListener('click', (e) => {
+    if (e.target === ballotView) closeBallot();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isBallotOpen()) closeBallot();
+  });
 }
 
 /**
  * Handle option selection (not submission yet)
- * @param {string} option - The selected option ('A', 'B', 'C', or 'D')
+ * @param {string} option - The selected option (a nominee key of the category)
  */
 function handleOptionSelect(option) {
   if (!currentCategory) {
@@ -276,7 +862,7 @@ async function handleSubmitVote() {
   } catch (error) {
     // Re-enable buttons on error
     submitBtn.disabled = false;
-    buttons.forEach(btn => btn.disabled = false);
+    buttons.forEach(btn => btn.disabled = btn.classList.contains('self-nominee'));
   }
 }
 
@@ -287,17 +873,26 @@ async function handleSubmitVote() {
  */
 async function submitVoteWithConfirmation(categoryId, option) {
   try {
+    // Offline: don't wait for the retries to run out
+    if (!navigator.onLine && await queueVoteForLater(categoryId, option)) {
+      return;
+    }
+
     // Submit the vote
-    await submitVote(categoryId, option);
+    const isChange = isChangingVote;
+    const vote = await submitVote(categoryId, option, getVoterIdentity(), { isChange });
 
     // Add to voted categories set
     votedCategories.add(categoryId);
+    myVotes.set(categoryId, vote);
+    isChangingVote = false;
 
     // Update progress indicator
     updateProgressIndicator();
+    updatePresence();
 
     // Show confirmation with celebration
-    showVoteConfirmation();
+    showVoteConfirmation(isChange);
 
     // Trigger confetti
     confetti({
@@ -309,14 +904,106 @@ async function submitVoteWithConfirmation(categoryId, option) {
 
   } catch (error) {
     console.error('Vote submission error:', error);
+    if (isTransientVoteError(error) && await queueVoteForLater(categoryId, option)) {
+      return;
+    }
     handleVoteError(error);
   }
 }
 
+/**
+ * Keep a vote that couldn't be sent on the phone and show it as pending
+ * @param {number} categoryId - The category ID
+ * @param {string} option - The selected option
+ * @returns {Promise<boolean>} True if queued; false if this browser can't store it
+ */
+async function queueVoteForLater(categoryId, option) {
+  try {
+    await queueVote({ eventId: activeEvent?.id, categoryId, option, voter: getVoterIdentity(), isChange: isChangingVote });
+  } catch (error) {
+    console.error('Error queuing vote:', error);
+    return false;
+  }
+
+  document.getElementById('submit-vote-btn').disabled = false;
+  showPendingVote(option);
+  scheduleQueueReplay();
+  return true;
+}
+
+/**
+ * Send queued votes and update the screen with the outcome
+ * Votes still failing to send are retried every QUEUE_RETRY_INTERVAL_MS
+ */
+async function sendQueuedVotes() {
+  if (queueRetryTimer) {
+    clearTimeout(queueRetryTimer);
+    queueRetryTimer = null;
+  }
+
+  try {
+    const { sent, rejected, pending } = await replayQueuedVotes();
+
+    sent.forEach(vote => {
+      votedCategories.add(vote.categoryId);
+      myVotes.set(vote.categoryId, { option: vote.option, timestamp: new Date().toISOString() });
+    });
+    if (sent.length > 0) {
+      updateProgressIndicator();
+      updatePresence();
+    }
+    if (isBallotOpen() && (sent.length > 0 || rejected.length > 0)) {
+      renderBallot();
+    }
+
+    const isCurrent = vote => currentCategory?.id === vote.categoryId;
+    const current = sent.find(isCurrent);
+    if (current) {
+      showVoteConfirmation(current.isChange);
+    }
+
+    if (rejected.length > 0) {
+      // e.g. the category closed before the phone was back online
+      const { vote, error } = rejected[0];
+      showError(`Your saved vote couldn't be counted: ${error.message}`);
+      if (isCurrent(vote)) {
+        reloadCurrentState();
+      }
+    }
+
+    if (pending.length > 0) {
+      scheduleQueueReplay();
+    }
+  } catch (error) {
+    console.error('Error sending queued votes:', error);
+    scheduleQueueReplay();
+  }
+}
+
+/**
+ * Try sending queued votes again later
+ */
+function scheduleQueueReplay() {
+  if (queueRetryTimer) return;
+
+  queueRetryTimer = setTimeout(() => {
+    queueRetryTimer = null;
+    if (navigator.onLine) {
+      sendQueuedVotes();
+    } else {
+      scheduleQueueReplay();
+    }
+  }, QUEUE_RETRY_INTERVAL_MS);
+}
+
 /**
  * Show vote confirmation with clean animation
+ * @param {boolean} isChange - Whether an earlier vote was changed
  */
-function showVoteConfirmation() {
+function showVoteConfirmation(isChange = false) {
+  stopCountdown();
+  document.getElementById('confirmation-title').textContent = isChange ? 'Vote Updated' : 'Vote Recorded';
+
   // Hide category container
   document.getElementById('category-container').style.display = 'none';
 
@@ -353,14 +1040,15 @@ async function reloadCurrentState() {
 }
 
 /**
- * Update progress indicator (X/27 voted) with circular progress ring
+ * Update progress indicator (X/Y voted) with circular progress ring
  */
 function updateProgressIndicator() {
   const progressText = document.getElementById('progress-text');
   const progressCircle = document.getElementById('progress-circle');
 
-  const total = 27;
-  const voted = votedCategories.size;
+  const total = eventCategories.length;
+  // Only count votes of categories that still exist
+  const voted = eventCategories.filter(category => votedCategories.has(category.id)).length;
 
   // Update text
   progressText.textContent = `${voted}/${total}`;
@@ -368,12 +1056,109 @@ function updateProgressIndicator() {
   // Update circular progress
   if (progressCircle) {
     const circumference = 2 * Math.PI * 14; // radius is 14
-    const progress = (voted / total) * circumference;
+    const progress = total > 0 ? (voted / total) * circumference : 0;
     const offset = circumference - progress;
     progressCircle.style.strokeDashoffset = offset;
   }
 }
 
+/**
+ * Whether the "My ballot" view is open
+ * @returns {boolean} True if it is shown
+ */
+function isBallotOpen() {
+  return document.getElementById('ballot-view').style.display !== 'none';
+}
+
+/**
+ * Open the "My ballot" view from the progress indicator
+ */
+async function openBallot() {
+  document.getElementById('ballot-view').style.display = 'flex';
+  document.getElementById('ballot-btn').setAttribute('aria-expanded', 'true');
+  document.getElementById('ballot-close-btn').focus();
+  await renderBallot();
+}
+
+/**
+ * Close the "My ballot" view
+ */
+function closeBallot() {
+  document.getElementById('ballot-view').style.display = 'none';
+  const ballotBtn = document.getElementById('ballot-btn');
+  ballotBtn.setAttribute('aria-expanded', 'false');
+  ballotBtn.focus();
+}
+
+/**
+ * Render every category of the event with this voter's pick, when it was sent and its status
+ */
+async function renderBallot() {
+  const queued = new Map((await getQueuedVotes())
+    .filter(vote => vote.eventId === activeEvent?.id)
+    .map(vote => [vote.categoryId, vote]));
+
+  const list = document.getElementById('ballot-list');
+  const template = document.getElementById('ballot-item-template');
+  list.innerHTML = '';
+
+  eventCategories.forEach(category => {
+    const entry = getBallotEntry(category, queued.get(category.id));
+    const item = template.content.cloneNode(true);
+
+    item.querySelector('.ballot-number').textContent = `#${category.id}`;
+    item.querySelector('.ballot-title').textContent = category.title;
+    item.querySelector('.ballot-pick').textContent = entry.option
+      ? category.nominees?.[entry.option] || entry.option
+      : '—';
+    item.querySelector('.ballot-time').textContent = entry.time
+      ? new Date(entry.time).toLocaleTimeString(undefined, { timeStyle: 'short' })
+      : '';
+
+    const status = item.querySelector('.ballot-status');
+    status.textContent = entry.label;
+    status.classList.add(entry.status);
+
+    list.appendChild(item);
+  });
+
+  document.getElementById('ballot-empty').style.display = eventCategories.length === 0 ? 'block' : 'none';
+}
+
+/**
+ * Work out what the ballot shows for a category
+ * @param {Object} category - Category of the active event
+ * @param {Object|undefined} queuedVote - Vote waiting in the offline queue, if any
+ * @returns {Object} { status, label, option, time }; status is sent, pending, missed,
+ *   voided, open or upcoming
+ */
+function getBallotEntry(category, queuedVote) {
+  const vote = myVotes.get(category.id);
+
+  if (queuedVote) {
+    return { status: 'pending', label: 'Pending', option: queuedVote.option, time: queuedVote.queuedAt };
+  }
+  if (vote) {
+    return {
+      status: vote.voided_at ? 'voided' : 'sent',
+      label: vote.voided_at ? 'Not counted' : 'Sent',
+      option: vote.option,
+      time: vote.changed_at || vote.timestamp
+    };
+  }
+  // Voted from this browser, but the vote itself couldn't be loaded
+  if (votedCategories.has(category.id)) {
+    return { status: 'sent', label: 'Sent', option: null, time: null };
+  }
+  if (isCategoryFinished(category)) {
+    return { status: 'missed', label: 'Missed', option: null, time: null };
+  }
+  if (category.unlocked) {
+    return { status: 'open', label: 'Voting now', option: null, time: null };
+  }
+  return { status: 'upcoming', label: 'Not started', option: null, time: null };
+}
+
 /**
  * Handle vote submission errors
  * @param {Error} error - The error object
@@ -387,10 +1172,35 @@ function handleVoteError(error) {
     if (currentCategory) {
       votedCategories.add(currentCategory.id);
       updateProgressIndicator();
+      updatePresence();
       showAlreadyVoted();
     }
   } else if (error.message.includes('not currently accepting votes')) {
     errorMessage = 'This category is not currently accepting votes.';
+  } else if (error.code === 'VOTING_CLOSED') {
+    errorMessage = 'Time is up for this category.';
+    showTimeUp();
+  } else if (error.code === 'CODE_REQUIRED') {
+    errorMessage = 'Scan your voter code to vote.';
+    voterCode = null;
+    showCodeEntry();
+  } else if (error.code === 'SELF_VOTE') {
+    errorMessage = "You can't vote for yourself. Pick another nominee.";
+    // The server knows best: mark the rejected nominee even if the names looked different here
+    const rejected = document.querySelector(`.nominee-button[data-option="${selectedOption}"]`);
+    if (rejected) {
+      rejected.classList.add('self-nominee');
+      rejected.title = "You can't vote for yourself";
+      document.getElementById('self-vote-note').style.display = 'block';
+    }
+    document.getElementById('submit-vote-btn').disabled = false;
+    enableVoting();
+  } else if (error.code === 'CHECK_IN_REQUIRED') {
+    errorMessage = 'Check in with your employee ID to vote.';
+    checkIn = null;
+    showCheckIn();
+  } else if (error.code === 'VOTE_REJECTED' || error.code === 'DEVICE_ID_ERROR') {
+    errorMessage = error.message;
   } else if (error.message.includes('network') || error.message.includes('connection')) {
     errorMessage = 'Connection error. Please check your internet and try again.';
   }
@@ -457,9 +1267,13 @@ window.addEventListener('beforeunload', () => {
   if (categorySubscription) {
     categorySubscription.unsubscribe();
   }
+  if (eventSubscription) {
+    eventSubscription.unsubscribe();
+  }
   if (autoReloadTimer) {
     clearTimeout(autoReloadTimer);
   }
+  stopCountdown();
 });
 
 // Initialize the application when DOM is ready
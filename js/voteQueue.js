@@ -0,0 +1,184 @@
+// Offline vote queue
+// Keeps votes that couldn't be sent (no connection, or the retries ran out) in
+// IndexedDB so they survive a reload, and replays them once the phone is back online
+
+import { submitVote } from './voteService.js';
+
+const DB_NAME = 'oizom_vote_queue';
+const DB_VERSION = 1;
+const STORE_NAME = 'votes';
+
+/**
+ * Vote errors that mean "try again later" rather than "this vote is refused"
+ * submitVote() only uses SUBMISSION_ERROR when the database couldn't be reached
+ */
+const TRANSIENT_VOTE_ERRORS = ['SUBMISSION_ERROR'];
+
+// Open database connection, shared by all calls
+let databasePromise = null;
+
+// Replay in progress, so overlapping triggers don't send a vote twice
+let replayPromise = null;
+
+/**
+ * Whether a failed vote should be queued and sent later
+ * @param {Error} error - Error thrown by submitVote()
+ * @returns {boolean} True for connection failures
+ */
+export function isTransientVoteError(error) {
+  return TRANSIENT_VOTE_ERRORS.includes(error?.code);
+}
+
+/**
+ * Save a vote to send later
+ * A phone has at most one queued vote per category; queuing again replaces it
+ * @param {Object} vote - { eventId, categoryId, option, voter, isChange }
+ * @returns {Promise<Object>} The queued vote, with queuedAt
+ * @throws {Error} If IndexedDB is unavailable (e.g. some private browsing modes)
+ */
+export async function queueVote({ eventId, categoryId, option, voter = null, isChange = false }) {
+  const queued = { eventId, categoryId, option, voter, isChange, queuedAt: new Date().toISOString() };
+
+  await runTransaction('readwrite', store => store.put(queued));
+  console.log('Vote queued:', { categoryId, option });
+  return queued;
+}
+
+/**
+ * Get the queued vote of a category
+ * @param {number} categoryId - The ID of the category
+ * @returns {Promise<Object|null>} The queued vote, or null if none
+ */
+export async function getQueuedVote(categoryId) {
+  try {
+    return (await runTransaction('readonly', store => store.get(categoryId))) || null;
+  } catch (error) {
+    console.error('Error reading vote queue:', error);
+    return null;
+  }
+}
+
+/**
+ * Get every queued vote, oldest first
+ * @returns {Promise<Array>} Queued votes
+ */
+export async function getQueuedVotes() {
+  try {
+    const votes = await runTransaction('readonly', store => store.getAll());
+    return votes.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  } catch (error) {
+    console.error('Error reading vote queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Send every queued vote
+ * Sent votes, and votes the server refuses (e.g. the category closed in the
+ * meantime), leave the queue; votes that fail to send again stay queued
+ * @returns {Promise<Object>} { sent: [vote], rejected: [{ vote, error }], pending: [vote] }
+ */
+export function replayQueuedVotes() {
+  if (!replayPromise) {
+    replayPromise = replay().finally(() => {
+      replayPromise = null;
+    });
+  }
+  return replayPromise;
+}
+
+/**
+ * Send the queued votes one at a time
+ * @returns {Promise<Object>} See replayQueuedVotes()
+ */
+async function replay() {
+  const result = { sent: [], rejected: [], pending: [] };
+
+  for (const vote of await getQueuedVotes()) {
+    try {
+      await submitVote(vote.categoryId, vote.option, vote.voter, { isChange: Boolean(vote.isChange) });
+      result.sent.push(vote);
+    } catch (error) {
+      if (isTransientVoteError(error)) {
+        result.pending.push(vote);
+        continue;
+      }
+      // Sent from another tab, or accepted before the connection dropped
+      if (error.code === 'DUPLICATE_VOTE') {
+        result.sent.push(vote);
+      } else {
+        result.rejected.push({ vote, error });
+      }
+    }
+
+    await removeQueuedVote(vote.categoryId);
+  }
+
+  if (result.sent.length > 0 || result.rejected.length > 0) {
+    console.log('Vote queue replayed:', {
+      sent: result.sent.length,
+      rejected: result.rejected.length,
+      pending: result.pending.length
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Remove the queued vote of a category
+ * @param {number} categoryId - The ID of the category
+ */
+async function removeQueuedVote(categoryId) {
+  try {
+    await runTransaction('readwrite', store => store.delete(categoryId));
+  } catch (error) {
+    console.error('Error removing queued vote:', error);
+  }
+}
+
+/**
+ * Run one request against the votes store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<any>} The request's result, once its transaction completes
+ */
+async function runTransaction(mode, makeRequest) {
+  const database = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the queue database, creating its store on first use
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'categoryId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Let the next call try again
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
@@ -4,20 +4,46 @@
 import { supabase } from './supabaseClient.js';
 import { getDeviceIdentifiers, hasVotedForCategory, markCategoryAsVoted } from './deviceId.js';
 
+/**
+ * Error messages for the stable error codes raised by the cast_vote() database function
+ */
+const VOTE_ERROR_MESSAGES = {
+  INVALID_CATEGORY: 'Category not found',
+  CATEGORY_LOCKED: 'This category is not currently accepting votes',
+  VOTING_CLOSED: 'Time is up for this category',
+  INVALID_OPTION: 'Invalid vote option',
+  DUPLICATE_VOTE: 'You have already voted for this category',
+  CODE_REQUIRED: 'Scan your voter code to vote',
+  CHECK_IN_REQUIRED: 'Check in with your employee ID to vote',
+  SELF_VOTE: 'You cannot vote for yourself',
+  DEVICE_ID_ERROR: 'Unable to identify device. Please try again.',
+  // Any other refusal by the database (e.g. a check or foreign key violation)
+  VOTE_REJECTED: 'Your vote was not accepted. Please refresh the page and try again.'
+};
+
 /**
  * Submit a vote for a category
- * Validates category is unlocked, checks for duplicates, and submits with device fingerprinting
+ * Calls the cast_vote() database function, which checks the category is unlocked
+ * and its voting window hasn't passed, validates the option and inserts the vote
+ * in one transaction. In events that allow vote changes, voting again changes
+ * the existing vote in place.
  * Includes comprehensive error handling with retry logic for connection errors
  * @param {number} categoryId - The ID of the category to vote for
- * @param {string} option - The vote option ('A', 'B', 'C', or 'D')
- * @returns {Promise<Object>} The submitted vote record
- * @throws {Error} If category is locked, already voted, or submission fails
+ * @param {string} option - The vote option (a nominee key of the category)
+ * @param {Object|null} voter - Voter identity for events that require one: a claimed
+ *   voter code ({ code, claimToken }) or a roster check-in ({ employeeId, claimToken })
+ * @param {Object} options - { isChange: true to change a vote already cast }
+ * @returns {Promise<Object>} The submitted (or changed) vote record
+ * @throws {Error} If category is locked, already voted, a voter code or check-in is
+ *   missing (CODE_REQUIRED, CHECK_IN_REQUIRED), the option is the voter's own
+ *   nomination (SELF_VOTE), the database refuses it otherwise (VOTE_REJECTED), or
+ *   it can't be sent (SUBMISSION_ERROR)
  */
-export async function submitVote(categoryId, option) {
+export async function submitVote(categoryId, option, voter = null, { isChange = false } = {}) {
   try {
-    // Client-side check first (fast feedback)
-    if (await hasVotedForCategory(categoryId)) {
-      const error = new Error('You have already voted for this category');
+    // Client-side check first (fast feedback); the server decides whether a change is allowed
+    if (!isChange && await hasVotedForCategory(categoryId)) {
+      const error = new Error(VOTE_ERROR_MESSAGES.DUPLICATE_VOTE);
       error.code = 'DUPLICATE_VOTE';
       console.error('Duplicate vote attempt:', { categoryId, option });
       throw error;
@@ -29,103 +55,49 @@ export async function submitVote(categoryId, option) {
       identifiers = await retryOperation(() => getDeviceIdentifiers(), 2);
     } catch (error) {
       console.error('Failed to get device identifiers:', error);
-      const err = new Error('Unable to identify device. Please try again.');
+      const err = new Error(VOTE_ERROR_MESSAGES.DEVICE_ID_ERROR);
       err.code = 'DEVICE_ID_ERROR';
       throw err;
     }
     
-    // Check if category is unlocked with retry logic
-    let category;
-    try {
-      const { data, error: categoryError } = await retryOperation(
-        () => supabase
-          .from('categories')
-          .select('unlocked')
-          .eq('id', categoryId)
-          .single(),
-        3
-      );
-      
-      if (categoryError) {
-        console.error('Category lookup error:', categoryError);
-        throw categoryError;
-      }
-      
-      category = data;
-    } catch (error) {
-      console.error('Failed to check category status:', error);
-      const err = new Error('Unable to verify category status. Please try again.');
-      err.code = 'CATEGORY_LOOKUP_ERROR';
-      throw err;
-    }
-    
-    // Validate category exists
-    if (!category) {
-      const error = new Error('Category not found');
-      error.code = 'INVALID_CATEGORY';
-      console.error('Invalid category ID:', categoryId);
-      throw error;
-    }
-    
-    // Validate category is unlocked
-    if (!category.unlocked) {
-      const error = new Error('This category is not currently accepting votes');
-      error.code = 'CATEGORY_LOCKED';
-      console.error('Vote attempt on locked category:', categoryId);
-      throw error;
-    }
-    
-    // Validate option
-    if (!['A', 'B', 'C', 'D'].includes(option)) {
-      const error = new Error('Invalid vote option. Must be A, B, C, or D.');
-      error.code = 'INVALID_OPTION';
-      console.error('Invalid vote option:', option);
-      throw error;
-    }
-    
-    // Submit vote with retry logic for connection errors
+    // Cast vote atomically with retry logic for connection errors
     let data;
     try {
       const result = await retryOperation(
-        () => supabase
-          .from('votes')
-          .insert({
-            category_id: categoryId,
-            option: option,
-            device_id: identifiers.deviceId,
-            browser_fingerprint: identifiers.browserFingerprint,
-            session_id: identifiers.sessionId,
-            user_agent: identifiers.userAgent,
-            ip_address: null
-          })
-          .select()
-          .single(),
+        () => supabase.rpc('cast_vote', {
+          p_category_id: categoryId,
+          p_option: option,
+          p_device_id: identifiers.deviceId,
+          p_browser_fingerprint: identifiers.browserFingerprint,
+          p_session_id: identifiers.sessionId,
+          p_user_agent: identifiers.userAgent,
+          p_voter_code: voter?.code ?? null,
+          p_claim_token: voter?.claimToken ?? null,
+          p_employee_id: voter?.employeeId ?? null
+        }),
         3
       );
       
       if (result.error) {
-        // Handle duplicate vote error (23505 = unique constraint violation)
-        if (result.error.code === '23505') {
-          markCategoryAsVoted(categoryId);
-          const error = new Error('You have already voted for this category');
-          error.code = 'DUPLICATE_VOTE';
-          console.error('Duplicate vote detected by database:', { categoryId, deviceId: identifiers.deviceId });
-          throw error;
-        }
-        
-        // Handle foreign key violation (invalid category)
-        if (result.error.code === '23503') {
-          const error = new Error('Invalid category');
-          error.code = 'INVALID_CATEGORY';
-          console.error('Foreign key violation:', result.error);
+        // cast_vote() raises its stable error codes as the error message
+        const code = result.error.message;
+        if (VOTE_ERROR_MESSAGES[code]) {
+          if (code === 'DUPLICATE_VOTE') {
+            markCategoryAsVoted(categoryId);
+          }
+          const error = new Error(VOTE_ERROR_MESSAGES[code]);
+          error.code = code;
+          console.error('Vote rejected by database:', { code, categoryId, option, deviceId: identifiers.deviceId });
           throw error;
         }
         
-        // Handle check constraint violation (invalid option)
-        if (result.error.code === '23514') {
-          const error = new Error('Invalid vote option');
-          error.code = 'INVALID_OPTION';
-          console.error('Check constraint violation:', result.error);
+        // The database answered, so this is a refusal rather than a connection
+        // problem; network failures come back without a PostgREST error code
+        if (result.error.code) {
+          const error = new Error(VOTE_ERROR_MESSAGES.VOTE_REJECTED);
+          error.code = 'VOTE_REJECTED';
+          error.reason = result.error.message;
+          console.error('Vote rejected by database:', { reason: result.error.message, dbCode: result.error.code, categoryId, option });
           throw error;
         }
         
@@ -136,7 +108,7 @@ export async function submitVote(categoryId, option) {
       data = result.data;
     } catch (error) {
       // If it's already one of our custom errors, re-throw it
-      if (error.code && ['DUPLICATE_VOTE', 'INVALID_CATEGORY', 'INVALID_OPTION'].includes(error.code)) {
+      if (error.code && VOTE_ERROR_MESSAGES[error.code]) {
         throw error;
       }
       
@@ -148,7 +120,7 @@ export async function submitVote(categoryId, option) {
     
     // Mark as voted locally
     markCategoryAsVoted(categoryId);
-    console.log('Vote submitted successfully:', { categoryId, option, voteId: data.id });
+    console.log(isChange ? 'Vote changed successfully:' : 'Vote submitted successfully:', { categoryId, option, voteId: data.id });
     
     return data;
   } catch (error) {
@@ -182,7 +154,7 @@ async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
       lastError = error;
       
       // Don't retry on validation errors or business logic errors
-      if (error.code && ['DUPLICATE_VOTE', 'CATEGORY_LOCKED', 'INVALID_OPTION', 'INVALID_CATEGORY'].includes(error.code)) {
+      if (error.code && ['DUPLICATE_VOTE', 'CATEGORY_LOCKED', 'VOTING_CLOSED', 'INVALID_OPTION', 'INVALID_CATEGORY', 'CODE_REQUIRED', 'CHECK_IN_REQUIRED', 'SELF_VOTE'].includes(error.code)) {
         throw error;
       }
       
@@ -254,13 +226,14 @@ export async function hasUserVoted(categoryId, deviceId) {
 }
 
 /**
- * Get all votes submitted by a specific device
+ * Get all votes submitted by a specific device in an event
  * Returns array of vote records for the given device ID
  * Includes retry logic for connection errors
- * @param {string} deviceId - The device ID to fetch votes for
+ * @param {string} deviceId - The device ID to fetch votes for (the voter key of a claimed code in code events)
+ * @param {number} eventId - The ID of the event
  * @returns {Promise<Array>} Array of vote records
  */
-export async function getUserVotes(deviceId) {
+export async function getUserVotes(deviceId, eventId) {
   try {
     // Validate input
     if (!deviceId) {
@@ -273,6 +246,7 @@ export async function getUserVotes(deviceId) {
         .from('votes')
         .select('*')
         .eq('device_id', deviceId)
+        .eq('event_id', eventId)
         .order('timestamp', { ascending: false }),
       3
     );
@@ -294,22 +268,96 @@ export async function getUserVotes(deviceId) {
 }
 
 /**
- * Subscribe to real-time vote changes
- * Calls callback function whenever a new vote is inserted
+ * Work out how a realtime vote change affects the tally
+ * A new vote adds one; voiding a vote removes it and restoring adds it back;
+ * a changed vote moves from the old nominee to the new one
+ * @param {Object} payload - Supabase realtime payload from subscribeToVotes()
+ * @returns {Object|null} { key, categoryId, deltas: [{ option, delta }] }, or null if the
+ *   tally is unaffected. key identifies the change, so redelivered events can be skipped
+ */
+export function getTallyChange(payload) {
+  const { eventType, new: newVote } = payload;
+  if (!newVote?.id) return null;
+
+  if (eventType === 'INSERT') {
+    if (newVote.voided_at) return null;
+    return { key: newVote.id, categoryId: newVote.category_id, deltas: [{ option: newVote.option, delta: 1 }] };
+  }
+
+  if (eventType === 'UPDATE') {
+    // Realtime sends only the primary key of the old row (votes has RLS), so
+    // voids and restores are read from moderation_action on the new row, and
+    // changes from previous_option
+    const deltas = [];
+    if (newVote.voided_at) {
+      // Voided votes aren't updated otherwise, so this update voided it
+      deltas.push({ option: newVote.option, delta: -1 });
+    } else if (newVote.moderation_action === 'restore') {
+      deltas.push({ option: newVote.option, delta: 1 });
+    } else if (newVote.previous_option && newVote.previous_option !== newVote.option) {
+      deltas.push({ option: newVote.previous_option, delta: -1 }, { option: newVote.option, delta: 1 });
+    }
+    if (deltas.length === 0) return null;
+
+    return {
+      key: `${newVote.id}:${payload.commit_timestamp}`,
+      categoryId: newVote.category_id,
+      deltas
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a tally change from getTallyChange() to a category's vote counts
+ * Options that aren't nominees of the category are ignored
+ * @param {Object} category - Category with voteCounts and nominees
+ * @param {Object} change - Tally change
+ * @returns {boolean} True if the counts changed
+ */
+export function applyTallyChange(category, change) {
+  if (!category?.voteCounts) return false;
+
+  const deltas = change.deltas.filter(({ option }) => category.nominees?.hasOwnProperty(option));
+  deltas.forEach(({ option, delta }) => {
+    category.voteCounts[option] = Math.max(0, (category.voteCounts[option] || 0) + delta);
+    category.voteCounts.total = Math.max(0, category.voteCounts.total + delta);
+  });
+
+  return deltas.length > 0;
+}
+
+/**
+ * Subscribe to real-time vote changes of an event
+ * Calls callback function whenever a vote is inserted, changed, voided or restored
  * Includes automatic reconnection on channel errors
  * @param {Function} callback - Function to call when votes change
+ * @param {number} eventId - The ID of the event to follow
  * @returns {Object} Subscription object with unsubscribe method
  */
-export function subscribeToVotes(callback) {
+export function subscribeToVotes(callback, eventId) {
   let reconnectAttempts = 0;
   const maxReconnectAttempts = 5;
+  let channel = null; // Current channel; replaced on every reconnect
+  let reconnectTimer = null;
+  let closed = false;
+  
+  const scheduleReconnect = (delay) => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      supabase.removeChannel(channel);
+      createSubscription();
+    }, delay);
+  };
   
   const createSubscription = () => {
-    const channel = supabase
-      .channel('votes-channel')
+    const current = supabase
+      .channel(`votes-channel-${eventId}`)
       .on(
         'postgres_changes',
-        { event: 'INSERT', schema: 'public', table: 'votes' },
+        { event: '*', schema: 'public', table: 'votes', filter: `event_id=eq.${eventId}` },
         (payload) => {
           try {
             console.log('Vote update received:', payload);
@@ -318,45 +366,43 @@ export function subscribeToVotes(callback) {
             console.error('Error in vote subscription callback:', error);
           }
         }
-      )
-      .subscribe((status, err) => {
-        if (status === 'SUBSCRIBED') {
-          console.log('Connected to vote real-time updates');
-          reconnectAttempts = 0; // Reset counter on successful connection
-        } else if (status === 'CHANNEL_ERROR') {
-          console.error('Vote subscription error:', err);
-          
-          if (reconnectAttempts < maxReconnectAttempts) {
-            reconnectAttempts++;
-            const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
-            console.warn(`Reconnecting to vote updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
-            
-            setTimeout(() => {
-              supabase.removeChannel(channel);
-              createSubscription();
-            }, delay);
-          } else {
-            console.error('Max reconnection attempts reached for vote subscription');
-          }
-        } else if (status === 'CLOSED') {
-          console.log('Vote subscription closed');
-        } else if (status === 'TIMED_OUT') {
-          console.error('Vote subscription timed out, reconnecting...');
-          setTimeout(() => {
-            supabase.removeChannel(channel);
-            createSubscription();
-          }, 5000);
-        }
-      });
+      );
+    channel = current;
+    
+    current.subscribe((status, err) => {
+      // Statuses of a replaced or unsubscribed channel are stale
+      if (closed || current !== channel) return;
+    
+      if (status === 'SUBSCRIBED') {
+        console.log('Connected to vote real-time updates');
+        reconnectAttempts = 0; // Reset counter on successful connection
+      } else if (status === 'CHANNEL_ERROR') {
+        console.error('Vote subscription error:', err);
     
-    return channel;
+        if (reconnectAttempts < maxReconnectAttempts) {
+          reconnectAttempts++;
+          const delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+          console.warn(`Reconnecting to vote updates (attempt ${reconnectAttempts}/${maxReconnectAttempts}) in ${delay}ms...`);
+          scheduleReconnect(delay);
+        } else {
+          console.error('Max reconnection attempts reached for vote subscription');
+        }
+      } else if (status === 'CLOSED') {
+        console.log('Vote subscription closed');
+      } else if (status === 'TIMED_OUT') {
+        console.error('Vote subscription timed out, reconnecting...');
+        scheduleReconnect(5000);
+      }
+    });
   };
   
-  const channel = createSubscription();
+  createSubscription();
   
   return {
     unsubscribe: () => {
       console.log('Unsubscribing from vote updates');
+      closed = true;
+      clearTimeout(reconnectTimer);
       supabase.removeChannel(channel);
     }
   };
@@ -0,0 +1,167 @@
+// Voter codes panel for the admin panel
+// Turns the voter code requirement of the viewed event on or off, generates
+// batches of one-time codes and links to the printable QR sheet
+
+import { generateVoterCodes, getVoterCodeUsage } from './voterCodeService.js';
+import { setVoterCodesRequired } from './eventService.js';
+import { logger } from './logger.js';
+
+// Callbacks and state provided by the admin panel
+let panelOptions = null;
+
+// DOM elements
+const panelSection = document.getElementById('voter-codes-panel');
+const requireToggle = document.getElementById('require-codes-toggle');
+const usageSummary = document.getElementById('voter-code-usage');
+const generateForm = document.getElementById('generate-codes-form');
+const countInput = document.getElementById('generate-codes-count');
+const generateBtn = document.getElementById('generate-codes-btn');
+const printLink = document.getElementById('print-codes-link');
+
+/**
+ * Set up the voter codes panel
+ * @param {Object} options - Admin panel hooks
+ * @param {Function} options.getEvent - Returns the event being viewed
+ * @param {Function} options.onEventUpdated - Called with the event after its requirement changes
+ * @param {Function} options.showError - Shows an error toast
+ * @param {Function} options.showNotice - Shows a success toast
+ */
+export function setupVoterCodePanel(options) {
+  panelOptions = options;
+
+  document.getElementById('voter-codes-btn').addEventListener('click', toggleVoterCodePanel);
+  requireToggle.addEventListener('change', handleRequireToggle);
+  generateForm.addEventListener('submit', handleGenerate);
+}
+
+/**
+ * Re-render the panel for the viewed event if it is open
+ * Called by the admin panel when the viewed event changes or is updated
+ */
+export async function renderVoterCodePanel() {
+  if (!panelOptions || panelSection.style.display === 'none') return;
+
+  const event = panelOptions.getEvent();
+  requireToggle.checked = Boolean(event?.voter_codes_required);
+  // Voter codes and the roster exclude each other (events_single_voter_identity)
+  requireToggle.disabled = !event || (Boolean(event.roster_required) && !event.voter_codes_required);
+  requireToggle.title = event?.roster_required ? 'Stop requiring roster check-in first' : '';
+  generateBtn.disabled = !event;
+
+  if (event) {
+    printLink.href = `/codes.html?event=${event.id}`;
+    printLink.removeAttribute('aria-disabled');
+  } else {
+    printLink.setAttribute('aria-disabled', 'true');
+  }
+
+  await loadUsage();
+}
+
+/**
+ * Show or hide the panel, rendering it when it opens
+ */
+function toggleVoterCodePanel() {
+  const isHidden = panelSection.style.display === 'none';
+  panelSection.style.display = isHidden ? 'block' : 'none';
+
+  if (isHidden) {
+    renderVoterCodePanel();
+  }
+}
+
+/**
+ * Handle the "Require voter codes" checkbox
+ * Voters of the active event follow the change in real time
+ */
+async function handleRequireToggle() {
+  const event = panelOptions.getEvent();
+  if (!event) return;
+
+  const required = requireToggle.checked;
+  if (required && event.is_active) {
+    const confirmed = window.confirm(
+      `Require voter codes for "${event.name}"? Voters without a claimed code will be asked to scan one before they can vote.`
+    );
+    if (!confirmed) {
+      requireToggle.checked = false;
+      return;
+    }
+  }
+
+  requireToggle.disabled = true;
+
+  try {
+    const updated = await setVoterCodesRequired(event.id, required);
+    panelOptions.onEventUpdated(updated);
+    panelOptions.showNotice(required ? 'Voter codes are now required' : 'Voter codes are no longer required');
+  } catch (error) {
+    logger.error('Error updating voter code requirement:', error);
+    requireToggle.checked = !required;
+    if (error.code === 'IDENTITY_MODE_CONFLICT') {
+      panelOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      panelOptions.showError('You are not authorized to change voter codes. Please sign in again.');
+    } else {
+      panelOptions.showError('Failed to update voter codes. Please try again.');
+    }
+  } finally {
+    requireToggle.disabled = false;
+  }
+}
+
+/**
+ * Handle the generate form: create a batch of codes for the viewed event
+ * @param {Event} e - Form submit event
+ */
+async function handleGenerate(e) {
+  e.preventDefault();
+
+  const event = panelOptions.getEvent();
+  if (!event) return;
+
+  generateBtn.disabled = true;
+
+  try {
+    const codes = await generateVoterCodes(event.id, Number(countInput.value));
+    panelOptions.showNotice(codes.length === 1 ? '1 voter code generated' : `${codes.length} voter codes generated`);
+    await loadUsage();
+  } catch (error) {
+    logger.error('Error generating voter codes:', error);
+    if (error.code === 'INVALID_COUNT') {
+      panelOptions.showError(error.message);
+    } else if (error.code === 'NOT_AUTHORIZED') {
+      panelOptions.showError('You are not authorized to generate voter codes. Please sign in again.');
+    } else {
+      panelOptions.showError('Failed to generate voter codes. Please try again.');
+    }
+  } finally {
+    generateBtn.disabled = false;
+  }
+}
+
+/**
+ * Load and render how many codes exist, were claimed and have voted
+ */
+async function loadUsage() {
+  const event = panelOptions.getEvent();
+  usageSummary.innerHTML = '';
+  if (!event) return;
+
+  try {
+    const usage = await getVoterCodeUsage(event.id);
+    [
+      ['Codes', usage.codes],
+      ['Claimed', usage.claimed],
+      ['Voted', usage.voted]
+    ].forEach(([label, count]) => {
+      const item = document.createElement('span');
+      item.className = `integrity-flag${count === 0 ? ' none' : ''}`;
+      item.textContent = `${label}: ${count}`;
+      usageSummary.appendChild(item);
+    });
+  } catch (error) {
+    logger.error('Error loading voter code usage:', error);
+    usageSummary.textContent = 'Failed to load voter code usage.';
+  }
+}
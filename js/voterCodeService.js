@@ -0,0 +1,274 @@
+// Voter code service layer
+// One-time voter codes: generating and listing them (admin), and claiming one
+// on a voter's phone so its votes are unique per code rather than per device
+
+import { supabase } from './supabaseClient.js';
+import { getClaimToken } from './deviceId.js';
+
+/**
+ * Most codes generate_voter_codes() creates in one batch
+ */
+export const MAX_CODES_PER_BATCH = 500;
+
+// localStorage key of the claimed code
+const VOTER_CODE_KEY = 'oizom_voter_code';
+
+/**
+ * Build the join link encoded in a code's QR
+ * Opening it on a phone claims the code (see claimVoterCode)
+ * @param {string} code - Voter code
+ * @returns {string} e.g. "https://awards.example.com/?code=K7QM2XPA"
+ */
+export function getJoinLink(code) {
+  return `${window.location.origin}/?code=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Get the voter code this phone claimed for an event
+ * @param {number} eventId - The ID of the event
+ * @returns {Object|null} { eventId, code, voterKey, claimToken }, or null if none
+ */
+export function getStoredVoterCode(eventId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(VOTER_CODE_KEY));
+    return stored && stored.eventId === eventId ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Claim a voter code for this phone
+ * Binds the code to a random claim token kept in localStorage; claiming the
+ * same code again from this phone is allowed
+ * Includes retry logic for connection errors
+ * @param {string} code - Voter code (case and surrounding spaces are ignored)
+ * @returns {Promise<Object>} The stored code: { eventId, code, voterKey, claimToken }
+ * @throws {Error} INVALID_CODE, CODE_ALREADY_USED or connection errors
+ */
+export async function claimVoterCode(code) {
+  try {
+    const normalized = (code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9]{8}$/.test(normalized)) {
+      const error = new Error('Voter codes are 8 letters and numbers');
+      error.code = 'INVALID_CODE';
+      throw error;
+    }
+
+    const claimToken = getClaimToken();
+
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('claim_voter_code', { p_code: normalized, p_claim_token: claimToken }),
+      3
+    );
+
+    if (error) {
+      // claim_voter_code() raises its stable error codes as the error message
+      if (error.message === 'INVALID_CODE') {
+        const err = new Error('This voter code is not valid. Check it and try again.');
+        err.code = 'INVALID_CODE';
+        throw err;
+      }
+      if (error.message === 'CODE_ALREADY_USED') {
+        const err = new Error('This voter code is already in use on another phone.');
+        err.code = 'CODE_ALREADY_USED';
+        throw err;
+      }
+      console.error('Error claiming voter code:', error);
+      throw error;
+    }
+
+    const stored = {
+      eventId: data.event_id,
+      code: data.code,
+      voterKey: data.voter_key,
+      claimToken
+    };
+    localStorage.setItem(VOTER_CODE_KEY, JSON.stringify(stored));
+
+    console.log('Voter code claimed:', { eventId: stored.eventId, voterKey: stored.voterKey });
+    return stored;
+  } catch (error) {
+    console.error('Failed to claim voter code:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Generate a batch of voter codes for an event (admin only)
+ * Calls the generate_voter_codes() database function
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {number} count - Number of codes (1 to MAX_CODES_PER_BATCH)
+ * @returns {Promise<Array>} The new voter code rows
+ * @throws {Error} NOT_AUTHORIZED, INVALID_COUNT, EVENT_NOT_FOUND or connection errors
+ */
+export async function generateVoterCodes(eventId, count) {
+  try {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_BATCH) {
+      const error = new Error(`Generate between 1 and ${MAX_CODES_PER_BATCH} codes at a time`);
+      error.code = 'INVALID_COUNT';
+      throw error;
+    }
+
+    const { data, error } = await retryOperation(
+      () => supabase.rpc('generate_voter_codes', { p_event_id: eventId, p_count: count }),
+      3
+    );
+
+    if (error) {
+      // generate_voter_codes() raises its stable error codes as the error message
+      if (error.message === 'NOT_AUTHORIZED' || error.code === '42501') {
+        const err = new Error('You are not authorized to generate voter codes. Please sign in as an admin.');
+        err.code = 'NOT_AUTHORIZED';
+        throw err;
+      }
+      if (error.message === 'INVALID_COUNT') {
+        const err = new Error(`Generate between 1 and ${MAX_CODES_PER_BATCH} codes at a time`);
+        err.code = 'INVALID_COUNT';
+        throw err;
+      }
+      if (error.message === 'EVENT_NOT_FOUND') {
+        const err = new Error('Event not found');
+        err.code = 'EVENT_NOT_FOUND';
+        throw err;
+      }
+      console.error('Error generating voter codes:', error);
+      throw error;
+    }
+
+    console.log('Voter codes generated:', { eventId, count: data.length });
+    return data || [];
+  } catch (error) {
+    console.error('Failed to generate voter codes:', {
+      error: error.message,
+      code: error.code,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the voter codes of an event (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @param {Object} options - { unclaimedOnly }
+ * @returns {Promise<Array>} Voter codes in creation order: { id, code, claimed_at, created_at }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getVoterCodes(eventId, { unclaimedOnly = false } = {}) {
+  try {
+    const { data, error } = await retryOperation(
+      () => {
+        let query = supabase
+          .from('voter_codes')
+          .select('id, code, claimed_at, created_at')
+          .eq('event_id', eventId);
+        if (unclaimedOnly) {
+          query = query.is('claimed_at', null);
+        }
+        return query.order('id', { ascending: true });
+      },
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching voter codes:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Failed to fetch voter codes after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get how many of an event's voter codes exist, were claimed and have voted (admin only)
+ * Includes retry logic for connection errors
+ * @param {number} eventId - The ID of the event
+ * @returns {Promise<Object>} { codes, claimed, voted }
+ * @throws {Error} If connection fails after retries
+ */
+export async function getVoterCodeUsage(eventId) {
+  try {
+    const { data, error } = await retryOperation(
+      () => supabase
+        .from('voter_code_usage')
+        .select('codes, claimed, voted')
+        .eq('event_id', eventId)
+        .maybeSingle(),
+      3
+    );
+
+    if (error) {
+      console.error('Error fetching voter code usage:', error);
+      throw error;
+    }
+
+    return data || { codes: 0, claimed: 0, voted: 0 };
+  } catch (error) {
+    console.error('Failed to fetch voter code usage after retries:', {
+      error: error.message,
+      eventId,
+      timestamp: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Retry an async operation with exponential backoff
+ * Used for handling transient network errors
+ * @param {Function} operation - Async function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} baseDelay - Base delay in milliseconds (default 1000)
+ * @returns {Promise<any>} Result of the operation
+ */
+async function retryOperation(operation, maxRetries = 3, baseDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on validation errors or business logic errors
+      if (error.code && ['NOT_AUTHORIZED', 'INVALID_CODE', 'CODE_ALREADY_USED', 'INVALID_COUNT', 'EVENT_NOT_FOUND'].includes(error.code)) {
+        throw error;
+      }
+
+      // Don't retry on permission errors
+      if (error.code && ['42501'].includes(error.code)) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries) {
+        console.error(`Operation failed after ${maxRetries + 1} attempts:`, error);
+        throw error;
+      }
+
+      // Calculate exponential backoff delay
+      const delay = baseDelay * Math.pow(2, attempt);
+      console.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms...`, error.message);
+
+      // Wait before retrying
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+}
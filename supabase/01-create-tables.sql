@@ -14,7 +14,7 @@ CREATE TABLE categories (
 CREATE TABLE votes (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   category_id INTEGER REFERENCES categories(id),
-  option TEXT NOT NULL CHECK (option IN ('A', 'B', 'C', 'D')),
+  option TEXT NOT NULL CHECK (option IN ('A', 'B', 'C', 'D')), -- widened to A-H in 10-variable-nominees.sql
   device_id TEXT NOT NULL,
   browser_fingerprint TEXT,
   session_id TEXT,
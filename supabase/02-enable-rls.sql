@@ -14,13 +14,8 @@ CREATE POLICY "Anyone can view votes"
   ON votes FOR SELECT
   USING (true);
 
--- RLS Policy: Anyone can insert votes (duplicate prevention via UNIQUE constraint)
-CREATE POLICY "Anyone can insert votes"
-  ON votes FOR INSERT
-  WITH CHECK (true);
+-- Votes are inserted through the cast_vote() function
+-- See 05-cast-vote.sql (no direct INSERT policy)
 
--- RLS Policy: Anyone can update categories (for admin unlock)
--- In production, you'd add admin authentication here
-CREATE POLICY "Anyone can update categories"
-  ON categories FOR UPDATE
-  USING (true);
+-- Category updates (unlock/lock) are restricted to admins
+-- See 04-admin-auth.sql for the admins table and update policy
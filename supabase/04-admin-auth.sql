@@ -0,0 +1,46 @@
+-- Admin authentication and authorization
+-- Run this script in Supabase SQL Editor after enabling RLS
+--
+-- Admins sign in through Supabase Auth. To add an admin:
+--   1. Create the user in Authentication → Users (email + password)
+--   2. Run: INSERT INTO admins (user_id, email)
+--           SELECT id, email FROM auth.users WHERE email = 'admin@oizom.com';
+
+-- Create admins table (one row per Supabase Auth user allowed to run the event)
+CREATE TABLE admins (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Admins can see their own admin row
+CREATE POLICY "Admins can view own row"
+  ON admins FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Check whether the calling user is an admin
+-- SECURITY DEFINER so it can be used inside RLS policies of other tables
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (SELECT 1 FROM admins WHERE user_id = auth.uid());
+$$;
+
+GRANT EXECUTE ON FUNCTION is_admin() TO anon, authenticated;
+
+-- Replace the open update policy from earlier setups
+DROP POLICY IF EXISTS "Anyone can update categories" ON categories;
+
+-- RLS Policy: Only authenticated admins can update categories (unlock/lock)
+CREATE POLICY "Admins can update categories"
+  ON categories FOR UPDATE
+  TO authenticated
+  USING (is_admin())
+  WITH CHECK (is_admin());
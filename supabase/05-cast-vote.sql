@@ -0,0 +1,60 @@
+-- Atomic vote casting
+-- Run this script in Supabase SQL Editor after 04-admin-auth.sql
+--
+-- cast_vote() checks the category is open, validates the option against the
+-- category's nominees and inserts the vote in a single transaction.
+-- Errors are raised with the stable codes used by the client as the message:
+--   INVALID_CATEGORY, CATEGORY_LOCKED, INVALID_OPTION, DUPLICATE_VOTE
+
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT v_category.unlocked THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address)
+    VALUES (p_category_id, p_option, p_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Votes are now only inserted through cast_vote()
+DROP POLICY IF EXISTS "Anyone can insert votes" ON votes;
@@ -0,0 +1,53 @@
+-- Transactional category switching
+-- Run this script in Supabase SQL Editor after 05-cast-vote.sql
+--
+-- switch_category() closes the currently open category and opens the requested
+-- one in a single transaction, so there is never a moment with nothing open and
+-- subscribers receive both row changes in the same commit.
+-- Returns: { "opened": <category row>, "closed": <category row or null> }
+-- Errors are raised with the stable codes used by the client as the message:
+--   NOT_AUTHORIZED, CATEGORY_NOT_FOUND
+
+CREATE OR REPLACE FUNCTION switch_category(p_category_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_opened categories%ROWTYPE;
+  v_closed categories%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can switch categories';
+  END IF;
+
+  -- Serialize concurrent switches from multiple admin tabs
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  PERFORM 1 FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  -- Close the currently open category (at most one, see idx_single_unlocked)
+  UPDATE categories
+  SET unlocked = false
+  WHERE unlocked = true AND id <> p_category_id
+  RETURNING * INTO v_closed;
+
+  -- Open the requested category
+  UPDATE categories
+  SET unlocked = true
+  WHERE id = p_category_id
+  RETURNING * INTO v_opened;
+
+  RETURN jsonb_build_object(
+    'opened', to_jsonb(v_opened),
+    'closed', CASE WHEN v_closed.id IS NULL THEN NULL ELSE to_jsonb(v_closed) END
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION switch_category(INTEGER) TO authenticated;
@@ -0,0 +1,18 @@
+-- Aggregated vote tallies
+-- Run this script in Supabase SQL Editor after 06-switch-category.sql
+--
+-- vote_counts returns one row per (category, option) with its vote count, so the
+-- admin panel can load every tally in a single request instead of downloading
+-- each vote row.
+
+CREATE OR REPLACE VIEW vote_counts
+WITH (security_invoker = true)
+AS
+SELECT
+  category_id,
+  option,
+  COUNT(*)::INTEGER AS votes
+FROM votes
+GROUP BY category_id, option;
+
+GRANT SELECT ON vote_counts TO anon, authenticated;
@@ -0,0 +1,41 @@
+-- Projector results reveal
+-- Run this script in Supabase SQL Editor after 07-vote-counts-view.sql
+--
+-- revealed_at records when the admin revealed a category's winner on the
+-- projector (results.html). Storing it lets the projector restore its screen
+-- after a refresh mid-ceremony.
+
+ALTER TABLE categories ADD COLUMN revealed_at TIMESTAMP;
+
+CREATE INDEX idx_categories_revealed_at ON categories(revealed_at);
+
+-- Close voting (if still open) and mark the category as revealed
+-- Calling it again on a revealed category replays the reveal on the projector
+CREATE OR REPLACE FUNCTION reveal_category(p_category_id INTEGER)
+RETURNS categories
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can reveal results';
+  END IF;
+
+  UPDATE categories
+  SET unlocked = false,
+      revealed_at = NOW()
+  WHERE id = p_category_id
+  RETURNING * INTO v_category;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  RETURN v_category;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reveal_category(INTEGER) TO authenticated;
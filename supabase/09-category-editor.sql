@@ -0,0 +1,91 @@
+-- In-app category and nominee editor
+-- Run this script in Supabase SQL Editor after 08-results-reveal.sql
+--
+-- Lets admins create, edit, reorder and delete categories from the admin panel.
+-- A category that already has votes (or is open for voting) cannot have its
+-- title or nominees changed, and cannot be deleted.
+
+-- Running order of categories in the admin grid
+ALTER TABLE categories ADD COLUMN sort_order INTEGER;
+UPDATE categories SET sort_order = id;
+ALTER TABLE categories ALTER COLUMN sort_order SET NOT NULL;
+
+CREATE INDEX idx_categories_sort_order ON categories(sort_order);
+
+-- Auto-generate IDs for categories created in the editor
+CREATE SEQUENCE categories_id_seq OWNED BY categories.id;
+SELECT setval('categories_id_seq', COALESCE((SELECT MAX(id) FROM categories), 0) + 1, false);
+ALTER TABLE categories ALTER COLUMN id SET DEFAULT nextval('categories_id_seq');
+
+-- Basic shape validation
+ALTER TABLE categories
+  ADD CONSTRAINT categories_title_not_blank CHECK (length(trim(title)) > 0),
+  ADD CONSTRAINT categories_nominees_object CHECK (jsonb_typeof(nominees) = 'object');
+
+-- Guard: no edits to title/nominees and no deletes once votes exist
+CREATE OR REPLACE FUNCTION guard_category_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.title IS NOT DISTINCT FROM OLD.title
+     AND NEW.nominees IS NOT DISTINCT FROM OLD.nominees THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.unlocked THEN
+    RAISE EXCEPTION 'CATEGORY_OPEN' USING DETAIL = 'Lock the category before editing it';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM votes WHERE category_id = OLD.id) THEN
+    RAISE EXCEPTION 'CATEGORY_HAS_VOTES' USING DETAIL = 'This category already has votes';
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER categories_guard_changes
+  BEFORE UPDATE OR DELETE ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION guard_category_changes();
+
+-- RLS Policy: Only authenticated admins can create categories
+CREATE POLICY "Admins can insert categories"
+  ON categories FOR INSERT
+  TO authenticated
+  WITH CHECK (is_admin());
+
+-- RLS Policy: Only authenticated admins can delete categories
+CREATE POLICY "Admins can delete categories"
+  ON categories FOR DELETE
+  TO authenticated
+  USING (is_admin());
+
+GRANT USAGE ON SEQUENCE categories_id_seq TO authenticated;
+
+-- Apply a new running order in one transaction
+-- p_category_ids lists every category ID in the desired order
+CREATE OR REPLACE FUNCTION reorder_categories(p_category_ids INTEGER[])
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can reorder categories';
+  END IF;
+
+  UPDATE categories c
+  SET sort_order = o.position
+  FROM unnest(p_category_ids) WITH ORDINALITY AS o(id, position)
+  WHERE c.id = o.id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reorder_categories(INTEGER[]) TO authenticated;
@@ -0,0 +1,23 @@
+-- Variable number of nominees per category
+-- Run this script in Supabase SQL Editor after 09-category-editor.sql
+--
+-- Nominees stay a JSONB object keyed by option letter ({"A": ..., "B": ...}),
+-- but a category may now have between 2 and 8 of them. cast_vote() already
+-- validates the option against the category's own nominee keys.
+
+-- Count the nominees in a nominees object
+CREATE OR REPLACE FUNCTION nominee_count(p_nominees JSONB)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COUNT(*)::INTEGER FROM jsonb_object_keys(p_nominees);
+$$;
+
+-- Votes: any option letter (the per-category check lives in cast_vote)
+ALTER TABLE votes DROP CONSTRAINT IF EXISTS votes_option_check;
+ALTER TABLE votes ADD CONSTRAINT votes_option_check CHECK (option ~ '^[A-H]$');
+
+-- Categories: 2 to 8 nominees keyed A-H
+ALTER TABLE categories
+  ADD CONSTRAINT categories_nominee_count CHECK (nominee_count(nominees) BETWEEN 2 AND 8);
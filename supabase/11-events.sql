@@ -0,0 +1,200 @@
+-- Multi-event support
+-- Run this script in Supabase SQL Editor after 10-variable-nominees.sql
+--
+-- An event owns its categories and votes. Exactly one event is active at a
+-- time; voters only see the active event, and past events stay intact so the
+-- admin panel can browse them.
+
+CREATE TABLE events (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL CHECK (length(trim(name)) > 0),
+  event_date DATE,
+  is_active BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Ensure only one event can be active at a time
+CREATE UNIQUE INDEX idx_single_active_event ON events(is_active) WHERE is_active = true;
+
+-- Existing categories and votes belong to the original awards night
+INSERT INTO events (name, event_date, is_active) VALUES ('Oizom Awards Night', CURRENT_DATE, true);
+
+ALTER TABLE categories ADD COLUMN event_id INTEGER REFERENCES events(id);
+UPDATE categories SET event_id = (SELECT id FROM events WHERE is_active);
+ALTER TABLE categories ALTER COLUMN event_id SET NOT NULL;
+CREATE INDEX idx_categories_event ON categories(event_id);
+
+ALTER TABLE votes ADD COLUMN event_id INTEGER REFERENCES events(id);
+UPDATE votes v SET event_id = c.event_id FROM categories c WHERE c.id = v.category_id;
+ALTER TABLE votes ALTER COLUMN event_id SET NOT NULL;
+CREATE INDEX idx_votes_event_device ON votes(event_id, device_id);
+
+-- RLS for events
+ALTER TABLE events ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Anyone can view events
+CREATE POLICY "Anyone can view events"
+  ON events FOR SELECT
+  USING (true);
+
+-- RLS Policy: Only authenticated admins can create events
+CREATE POLICY "Admins can insert events"
+  ON events FOR INSERT
+  TO authenticated
+  WITH CHECK (is_admin());
+
+-- RLS Policy: Only authenticated admins can update events
+CREATE POLICY "Admins can update events"
+  ON events FOR UPDATE
+  TO authenticated
+  USING (is_admin())
+  WITH CHECK (is_admin());
+
+-- Voters follow active event changes in real time
+ALTER PUBLICATION supabase_realtime ADD TABLE events;
+
+-- Tallies are grouped per event as well
+DROP VIEW IF EXISTS vote_counts;
+CREATE VIEW vote_counts
+WITH (security_invoker = true)
+AS
+SELECT
+  event_id,
+  category_id,
+  option,
+  COUNT(*)::INTEGER AS votes
+FROM votes
+GROUP BY event_id, category_id, option;
+
+GRANT SELECT ON vote_counts TO anon, authenticated;
+
+-- Make an event the active one
+-- Closes any open category so voting never spans two events
+CREATE OR REPLACE FUNCTION set_active_event(p_event_id INTEGER)
+RETURNS events
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_event events%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can change the active event';
+  END IF;
+
+  PERFORM 1 FROM events WHERE id = p_event_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'EVENT_NOT_FOUND' USING DETAIL = 'Event not found';
+  END IF;
+
+  UPDATE categories SET unlocked = false WHERE unlocked = true;
+  UPDATE events SET is_active = false WHERE is_active = true AND id <> p_event_id;
+  UPDATE events SET is_active = true WHERE id = p_event_id RETURNING * INTO v_event;
+
+  RETURN v_event;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION set_active_event(INTEGER) TO authenticated;
+
+-- cast_vote: record the event and only accept votes for the active event
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT v_category.unlocked
+     OR NOT EXISTS (SELECT 1 FROM events WHERE id = v_category.event_id AND is_active) THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address)
+    VALUES (v_category.event_id, p_category_id, p_option, p_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+-- switch_category: only categories of the active event can be opened
+CREATE OR REPLACE FUNCTION switch_category(p_category_id INTEGER)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_opened categories%ROWTYPE;
+  v_closed categories%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can switch categories';
+  END IF;
+
+  -- Serialize concurrent switches from multiple admin tabs
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  PERFORM 1 FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM categories c JOIN events e ON e.id = c.event_id
+    WHERE c.id = p_category_id AND e.is_active
+  ) THEN
+    RAISE EXCEPTION 'EVENT_NOT_ACTIVE' USING DETAIL = 'This category belongs to an event that is not active';
+  END IF;
+
+  -- Close the currently open category (at most one, see idx_single_unlocked)
+  UPDATE categories
+  SET unlocked = false
+  WHERE unlocked = true AND id <> p_category_id
+  RETURNING * INTO v_closed;
+
+  -- Open the requested category
+  UPDATE categories
+  SET unlocked = true
+  WHERE id = p_category_id
+  RETURNING * INTO v_opened;
+
+  RETURN jsonb_build_object(
+    'opened', to_jsonb(v_opened),
+    'closed', CASE WHEN v_closed.id IS NULL THEN NULL ELSE to_jsonb(v_closed) END
+  );
+END;
+$$;
@@ -0,0 +1,133 @@
+-- Timed voting windows
+-- Run this script in Supabase SQL Editor after 11-events.sql
+--
+-- An unlock can carry an optional duration. The deadline is stored on the
+-- category as closes_at and cast_vote() rejects votes after it, so a category
+-- stops accepting votes on time even if nobody clicks Lock. The admin panel
+-- also locks the category when the countdown reaches zero.
+
+-- TIMESTAMPTZ so browsers parse the deadline in the right time zone
+ALTER TABLE categories ADD COLUMN closes_at TIMESTAMPTZ;
+
+-- Length of the current window, so the voter countdown ring can show progress
+ALTER TABLE categories ADD COLUMN voting_window_seconds INTEGER;
+
+-- switch_category: optional voting window in seconds (NULL = no time limit)
+DROP FUNCTION IF EXISTS switch_category(INTEGER);
+
+CREATE OR REPLACE FUNCTION switch_category(
+  p_category_id INTEGER,
+  p_duration_seconds INTEGER DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_opened categories%ROWTYPE;
+  v_closed categories%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can switch categories';
+  END IF;
+
+  IF p_duration_seconds IS NOT NULL AND (p_duration_seconds < 1 OR p_duration_seconds > 3600) THEN
+    RAISE EXCEPTION 'INVALID_DURATION' USING DETAIL = 'Voting window must be between 1 second and 1 hour';
+  END IF;
+
+  -- Serialize concurrent switches from multiple admin tabs
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  PERFORM 1 FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM categories c JOIN events e ON e.id = c.event_id
+    WHERE c.id = p_category_id AND e.is_active
+  ) THEN
+    RAISE EXCEPTION 'EVENT_NOT_ACTIVE' USING DETAIL = 'This category belongs to an event that is not active';
+  END IF;
+
+  -- Close the currently open category (at most one, see idx_single_unlocked)
+  UPDATE categories
+  SET unlocked = false
+  WHERE unlocked = true AND id <> p_category_id
+  RETURNING * INTO v_closed;
+
+  -- Open the requested category with its deadline (if any)
+  UPDATE categories
+  SET unlocked = true,
+      voting_window_seconds = p_duration_seconds,
+      closes_at = CASE
+        WHEN p_duration_seconds IS NULL THEN NULL
+        ELSE NOW() + make_interval(secs => p_duration_seconds)
+      END
+  WHERE id = p_category_id
+  RETURNING * INTO v_opened;
+
+  RETURN jsonb_build_object(
+    'opened', to_jsonb(v_opened),
+    'closed', CASE WHEN v_closed.id IS NULL THEN NULL ELSE to_jsonb(v_closed) END
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION switch_category(INTEGER, INTEGER) TO authenticated;
+
+-- cast_vote: reject votes once the voting window has passed
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT v_category.unlocked
+     OR NOT EXISTS (SELECT 1 FROM events WHERE id = v_category.event_id AND is_active) THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF v_category.closes_at IS NOT NULL AND v_category.closes_at <= NOW() THEN
+    RAISE EXCEPTION 'VOTING_CLOSED' USING DETAIL = 'Time is up for this category';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address)
+    VALUES (v_category.event_id, p_category_id, p_option, p_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
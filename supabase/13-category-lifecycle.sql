@@ -0,0 +1,137 @@
+-- Category lifecycle states
+-- Run this script in Supabase SQL Editor after 12-voting-windows.sql
+--
+-- `unlocked` can't tell a category that never opened apart from one that was
+-- voted on and closed. Categories now move through explicit states:
+--
+--   pending -> open -> closed -> revealed
+--
+-- with opened_at / closed_at timestamps. `unlocked` stays as the voting switch
+-- (cast_vote, RLS and realtime clients rely on it); a trigger keeps status and
+-- the timestamps in step with it. Reopening a closed or revealed category
+-- through switch_category() requires an explicit override.
+
+ALTER TABLE categories
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'open', 'closed', 'revealed')),
+  ADD COLUMN opened_at TIMESTAMPTZ,
+  ADD COLUMN closed_at TIMESTAMPTZ;
+
+-- Backfill from the current data; a locked category with votes has been run
+UPDATE categories c
+SET status = CASE
+      WHEN c.unlocked THEN 'open'
+      WHEN c.revealed_at IS NOT NULL THEN 'revealed'
+      WHEN EXISTS (SELECT 1 FROM votes v WHERE v.category_id = c.id) THEN 'closed'
+      ELSE 'pending'
+    END,
+    opened_at = CASE WHEN c.unlocked THEN NOW() END,
+    closed_at = CASE
+      WHEN c.unlocked THEN NULL
+      WHEN c.revealed_at IS NOT NULL THEN c.revealed_at
+      ELSE (SELECT MAX(v.timestamp) FROM votes v WHERE v.category_id = c.id)
+    END;
+
+CREATE INDEX idx_categories_event_status ON categories(event_id, status);
+
+-- Keep status and its timestamps in step with unlocked / revealed_at
+CREATE OR REPLACE FUNCTION track_category_status()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.unlocked AND NOT OLD.unlocked THEN
+    NEW.status := 'open';
+    NEW.opened_at := NOW();
+    NEW.closed_at := NULL;
+  ELSIF OLD.unlocked AND NOT NEW.unlocked THEN
+    NEW.status := 'closed';
+    NEW.closed_at := NOW();
+  END IF;
+
+  IF NEW.revealed_at IS NOT NULL AND NEW.revealed_at IS DISTINCT FROM OLD.revealed_at THEN
+    NEW.status := 'revealed';
+    NEW.closed_at := COALESCE(NEW.closed_at, NEW.revealed_at);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER track_category_status
+  BEFORE UPDATE OF unlocked, revealed_at ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION track_category_status();
+
+-- switch_category: refuse to reopen a closed or revealed category unless
+-- p_reopen is set
+DROP FUNCTION IF EXISTS switch_category(INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION switch_category(
+  p_category_id INTEGER,
+  p_duration_seconds INTEGER DEFAULT NULL,
+  p_reopen BOOLEAN DEFAULT false
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_status TEXT;
+  v_opened categories%ROWTYPE;
+  v_closed categories%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can switch categories';
+  END IF;
+
+  IF p_duration_seconds IS NOT NULL AND (p_duration_seconds < 1 OR p_duration_seconds > 3600) THEN
+    RAISE EXCEPTION 'INVALID_DURATION' USING DETAIL = 'Voting window must be between 1 second and 1 hour';
+  END IF;
+
+  -- Serialize concurrent switches from multiple admin tabs
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  SELECT status INTO v_status FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM categories c JOIN events e ON e.id = c.event_id
+    WHERE c.id = p_category_id AND e.is_active
+  ) THEN
+    RAISE EXCEPTION 'EVENT_NOT_ACTIVE' USING DETAIL = 'This category belongs to an event that is not active';
+  END IF;
+
+  IF v_status IN ('closed', 'revealed') AND NOT COALESCE(p_reopen, false) THEN
+    RAISE EXCEPTION 'CATEGORY_CLOSED' USING DETAIL = 'This category has already been closed; reopening needs an explicit override';
+  END IF;
+
+  -- Close the currently open category (at most one, see idx_single_unlocked)
+  UPDATE categories
+  SET unlocked = false
+  WHERE unlocked = true AND id <> p_category_id
+  RETURNING * INTO v_closed;
+
+  -- Open the requested category with its deadline (if any)
+  UPDATE categories
+  SET unlocked = true,
+      voting_window_seconds = p_duration_seconds,
+      closes_at = CASE
+        WHEN p_duration_seconds IS NULL THEN NULL
+        ELSE NOW() + make_interval(secs => p_duration_seconds)
+      END
+  WHERE id = p_category_id
+  RETURNING * INTO v_opened;
+
+  RETURN jsonb_build_object(
+    'opened', to_jsonb(v_opened),
+    'closed', CASE WHEN v_closed.id IS NULL THEN NULL ELSE to_jsonb(v_closed) END
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION switch_category(INTEGER, INTEGER, BOOLEAN) TO authenticated;
@@ -0,0 +1,19 @@
+-- Event turnout
+-- Run this script in Supabase SQL Editor after 13-category-lifecycle.sql
+--
+-- event_turnout returns one row per event with the number of distinct voting
+-- devices and the number of votes, so results exports can report turnout
+-- without downloading each vote row.
+
+CREATE OR REPLACE VIEW event_turnout
+WITH (security_invoker = true)
+AS
+SELECT
+  e.id AS event_id,
+  COUNT(DISTINCT v.device_id)::INTEGER AS voters,
+  COUNT(v.id)::INTEGER AS votes
+FROM events e
+LEFT JOIN votes v ON v.event_id = e.id
+GROUP BY e.id;
+
+GRANT SELECT ON event_turnout TO anon, authenticated;
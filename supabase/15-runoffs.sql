@@ -0,0 +1,99 @@
+-- Runoff rounds
+-- Run this script in Supabase SQL Editor after 14-event-turnout.sql
+--
+-- When a closed category has a tie for first place, an admin can start a
+-- runoff between only the tied nominees. A runoff is its own category row
+-- (so its votes are stored separately and every voter can vote again) that
+-- points at the category it breaks the tie of through parent_category_id.
+-- A tied runoff can get a runoff of its own; runoff_round counts the rounds.
+--
+-- Runoff nominees keep their option letters from the parent category
+-- (e.g. {"A": ..., "C": ...}) so results can be matched back to it.
+
+ALTER TABLE categories
+  ADD COLUMN parent_category_id INTEGER REFERENCES categories(id),
+  ADD COLUMN runoff_round INTEGER NOT NULL DEFAULT 0 CHECK (runoff_round >= 0);
+
+-- At most one runoff per category
+CREATE UNIQUE INDEX idx_single_runoff ON categories(parent_category_id)
+  WHERE parent_category_id IS NOT NULL;
+
+-- Start a runoff for a closed category with a tie for first place
+-- The runoff is created pending, right after its parent in the running order
+CREATE OR REPLACE FUNCTION create_runoff(p_category_id INTEGER)
+RETURNS categories
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_parent categories%ROWTYPE;
+  v_runoff categories%ROWTYPE;
+  v_tied_nominees JSONB;
+  v_base_title TEXT;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can start runoffs';
+  END IF;
+
+  -- Serialize with category switches so the parent can't reopen meanwhile
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  SELECT * INTO v_parent FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF v_parent.status NOT IN ('closed', 'revealed') THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_CLOSED' USING DETAIL = 'Close voting before starting a runoff';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM categories WHERE parent_category_id = p_category_id) THEN
+    RAISE EXCEPTION 'RUNOFF_EXISTS' USING DETAIL = 'This category already has a runoff';
+  END IF;
+
+  -- Nominees sharing the top vote count
+  WITH counts AS (
+    SELECT option, COUNT(*) AS votes
+    FROM votes
+    WHERE category_id = p_category_id
+    GROUP BY option
+  ),
+  tied AS (
+    SELECT option FROM counts
+    WHERE votes = (SELECT MAX(votes) FROM counts)
+  )
+  SELECT jsonb_object_agg(t.option, v_parent.nominees -> t.option)
+  INTO v_tied_nominees
+  FROM tied t
+  WHERE v_parent.nominees ? t.option;
+
+  IF v_tied_nominees IS NULL OR nominee_count(v_tied_nominees) < 2 THEN
+    RAISE EXCEPTION 'NO_TIE' USING DETAIL = 'There is no tie for first place in this category';
+  END IF;
+
+  -- "Best Team – Runoff", then "Best Team – Runoff 2", ...
+  v_base_title := regexp_replace(v_parent.title, ' – Runoff( [0-9]+)?$', '');
+
+  -- Make room right after the parent in the running order
+  UPDATE categories
+  SET sort_order = sort_order + 1
+  WHERE event_id = v_parent.event_id AND sort_order > v_parent.sort_order;
+
+  INSERT INTO categories (event_id, title, nominees, sort_order, parent_category_id, runoff_round)
+  VALUES (
+    v_parent.event_id,
+    v_base_title || ' – Runoff' || CASE WHEN v_parent.runoff_round > 0 THEN ' ' || (v_parent.runoff_round + 1) ELSE '' END,
+    v_tied_nominees,
+    v_parent.sort_order + 1,
+    p_category_id,
+    v_parent.runoff_round + 1
+  )
+  RETURNING * INTO v_runoff;
+
+  RETURN v_runoff;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_runoff(INTEGER) TO authenticated;
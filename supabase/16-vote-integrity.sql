@@ -0,0 +1,122 @@
+-- Vote integrity checks
+-- Run this script in Supabase SQL Editor after 15-runoffs.sql
+--
+-- get_vote_integrity() finds suspicious voting patterns in an event's votes
+-- for the admin integrity dashboard. Each row is one flagged cluster with the
+-- IDs of the votes behind it:
+--
+--   shared_fingerprint  one browser fingerprint used by several device IDs
+--   shared_session      one session ID used by several device IDs
+--   device_rotation     one browser fingerprint voting more than once in the
+--                       same category under different device IDs
+--   burst               identical votes (same category, nominee and user
+--                       agent) arriving within a few seconds of each other
+--
+-- Identical phones can share a fingerprint, so a flag is a lead to review,
+-- not proof of cheating.
+
+-- Burst detection walks votes per category in arrival order
+CREATE INDEX idx_votes_category_timestamp ON votes(category_id, timestamp);
+
+CREATE OR REPLACE FUNCTION get_vote_integrity(
+  p_event_id INTEGER,
+  p_burst_seconds INTEGER DEFAULT 10,
+  p_burst_min_votes INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+  flag TEXT,
+  cluster_key TEXT,
+  category_id INTEGER,
+  vote_count INTEGER,
+  device_count INTEGER,
+  first_vote_at TIMESTAMP,
+  last_vote_at TIMESTAMP,
+  vote_ids UUID[]
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can view vote integrity checks';
+  END IF;
+
+  IF p_burst_seconds < 1 OR p_burst_min_votes < 2 THEN
+    RAISE EXCEPTION 'INVALID_THRESHOLD' USING DETAIL = 'Burst window must be at least 1 second and 2 votes';
+  END IF;
+
+  RETURN QUERY
+  WITH event_votes AS (
+    SELECT v.* FROM votes v WHERE v.event_id = p_event_id
+  ),
+  fingerprints AS (
+    SELECT
+      'shared_fingerprint'::TEXT, ev.browser_fingerprint, NULL::INTEGER,
+      COUNT(*)::INTEGER, COUNT(DISTINCT ev.device_id)::INTEGER,
+      MIN(ev.timestamp), MAX(ev.timestamp), array_agg(ev.id ORDER BY ev.timestamp)
+    FROM event_votes ev
+    WHERE ev.browser_fingerprint IS NOT NULL AND ev.browser_fingerprint <> ''
+    GROUP BY ev.browser_fingerprint
+    HAVING COUNT(DISTINCT ev.device_id) > 1
+  ),
+  sessions AS (
+    SELECT
+      'shared_session'::TEXT, ev.session_id, NULL::INTEGER,
+      COUNT(*)::INTEGER, COUNT(DISTINCT ev.device_id)::INTEGER,
+      MIN(ev.timestamp), MAX(ev.timestamp), array_agg(ev.id ORDER BY ev.timestamp)
+    FROM event_votes ev
+    WHERE ev.session_id IS NOT NULL AND ev.session_id <> ''
+    GROUP BY ev.session_id
+    HAVING COUNT(DISTINCT ev.device_id) > 1
+  ),
+  rotations AS (
+    -- UNIQUE(category_id, device_id) means a second vote here needed a new device ID
+    SELECT
+      'device_rotation'::TEXT, ev.browser_fingerprint, ev.category_id,
+      COUNT(*)::INTEGER, COUNT(DISTINCT ev.device_id)::INTEGER,
+      MIN(ev.timestamp), MAX(ev.timestamp), array_agg(ev.id ORDER BY ev.timestamp)
+    FROM event_votes ev
+    WHERE ev.browser_fingerprint IS NOT NULL AND ev.browser_fingerprint <> ''
+    GROUP BY ev.browser_fingerprint, ev.category_id
+    HAVING COUNT(*) > 1
+  ),
+  ordered AS (
+    SELECT
+      ev.*,
+      CASE
+        WHEN LAG(ev.timestamp) OVER w IS NULL
+          OR ev.timestamp - LAG(ev.timestamp) OVER w > make_interval(secs => p_burst_seconds)
+        THEN 1 ELSE 0
+      END AS starts_burst
+    FROM event_votes ev
+    WINDOW w AS (PARTITION BY ev.category_id, ev.option, ev.user_agent ORDER BY ev.timestamp)
+  ),
+  numbered AS (
+    SELECT
+      o.*,
+      SUM(o.starts_burst) OVER (
+        PARTITION BY o.category_id, o.option, o.user_agent
+        ORDER BY o.timestamp
+      ) AS burst_number
+    FROM ordered o
+  ),
+  bursts AS (
+    SELECT
+      'burst'::TEXT, n.option || ' · ' || COALESCE(n.user_agent, 'unknown browser'), n.category_id,
+      COUNT(*)::INTEGER, COUNT(DISTINCT n.device_id)::INTEGER,
+      MIN(n.timestamp), MAX(n.timestamp), array_agg(n.id ORDER BY n.timestamp)
+    FROM numbered n
+    GROUP BY n.category_id, n.option, n.user_agent, n.burst_number
+    HAVING COUNT(*) >= p_burst_min_votes
+  )
+  SELECT * FROM fingerprints
+  UNION ALL SELECT * FROM sessions
+  UNION ALL SELECT * FROM rotations
+  UNION ALL SELECT * FROM bursts
+  ORDER BY 4 DESC, 6;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_vote_integrity(INTEGER, INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,233 @@
+-- Vote voiding and moderation
+-- Run this script in Supabase SQL Editor after 16-vote-integrity.sql
+--
+-- Admins can void individual votes or every vote of a device (e.g. after the
+-- integrity dashboard flags ballot stuffing) with a stated reason, and restore
+-- them later. Voided votes stay in the votes table, so the device still can't
+-- vote again in that category, but they no longer count in vote_counts,
+-- event_turnout or runoff tie checks. Every void and restore is recorded in
+-- vote_moderation_log with the admin who did it and when.
+
+ALTER TABLE votes
+  ADD COLUMN voided_at TIMESTAMPTZ,
+  ADD COLUMN voided_reason TEXT;
+
+-- Full replica identity was meant to send the previous row with realtime
+-- UPDATE events, but realtime leaves it out for tables with RLS; see
+-- 27-moderation-on-vote.sql for how live tallies tell a void from a restore
+ALTER TABLE votes REPLICA IDENTITY FULL;
+
+-- Audit trail of voids and restores
+CREATE TABLE vote_moderation_log (
+  id BIGSERIAL PRIMARY KEY,
+  event_id INTEGER REFERENCES events(id),
+  vote_id UUID REFERENCES votes(id),
+  category_id INTEGER,
+  device_id TEXT,
+  action TEXT NOT NULL CHECK (action IN ('void', 'restore')),
+  reason TEXT NOT NULL,
+  admin_id UUID,
+  admin_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_vote_moderation_log_event ON vote_moderation_log(event_id, created_at DESC);
+
+ALTER TABLE vote_moderation_log ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Only admins can read the moderation log
+-- (rows are written by the moderation functions below, never directly)
+CREATE POLICY "Admins can view moderation log"
+  ON vote_moderation_log FOR SELECT
+  TO authenticated
+  USING (is_admin());
+
+-- Tallies and turnout ignore voided votes
+DROP VIEW IF EXISTS vote_counts;
+CREATE VIEW vote_counts
+WITH (security_invoker = true)
+AS
+SELECT
+  event_id,
+  category_id,
+  option,
+  COUNT(*)::INTEGER AS votes
+FROM votes
+WHERE voided_at IS NULL
+GROUP BY event_id, category_id, option;
+
+GRANT SELECT ON vote_counts TO anon, authenticated;
+
+CREATE OR REPLACE VIEW event_turnout
+WITH (security_invoker = true)
+AS
+SELECT
+  e.id AS event_id,
+  COUNT(DISTINCT v.device_id)::INTEGER AS voters,
+  COUNT(v.id)::INTEGER AS votes
+FROM events e
+LEFT JOIN votes v ON v.event_id = e.id AND v.voided_at IS NULL
+GROUP BY e.id;
+
+GRANT SELECT ON event_turnout TO anon, authenticated;
+
+-- Shared by void_votes(), restore_votes() and void_device()
+-- Only changes votes that aren't already in the requested state and logs
+-- one row per changed vote. Not callable by clients.
+CREATE OR REPLACE FUNCTION moderate_votes(p_vote_ids UUID[], p_action TEXT, p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reason TEXT := trim(COALESCE(p_reason, ''));
+  v_email TEXT;
+  v_count INTEGER;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can moderate votes';
+  END IF;
+
+  IF length(v_reason) < 3 OR length(v_reason) > 500 THEN
+    RAISE EXCEPTION 'INVALID_REASON' USING DETAIL = 'Give a reason of 3 to 500 characters';
+  END IF;
+
+  SELECT email INTO v_email FROM admins WHERE user_id = auth.uid();
+
+  WITH changed AS (
+    UPDATE votes
+    SET voided_at = CASE WHEN p_action = 'void' THEN NOW() END,
+        voided_reason = CASE WHEN p_action = 'void' THEN v_reason END
+    WHERE id = ANY(p_vote_ids)
+      AND (voided_at IS NULL) = (p_action = 'void')
+    RETURNING id, event_id, category_id, device_id
+  ),
+  logged AS (
+    INSERT INTO vote_moderation_log (event_id, vote_id, category_id, device_id, action, reason, admin_id, admin_email)
+    SELECT event_id, id, category_id, device_id, p_action, v_reason, auth.uid(), v_email
+    FROM changed
+    RETURNING 1
+  )
+  SELECT COUNT(*)::INTEGER INTO v_count FROM logged;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION moderate_votes(UUID[], TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Void votes by ID; returns the number of votes voided
+CREATE OR REPLACE FUNCTION void_votes(p_vote_ids UUID[], p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT moderate_votes(p_vote_ids, 'void', p_reason);
+$$;
+
+-- Restore voided votes by ID; returns the number of votes restored
+CREATE OR REPLACE FUNCTION restore_votes(p_vote_ids UUID[], p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT moderate_votes(p_vote_ids, 'restore', p_reason);
+$$;
+
+-- Void every counted vote of a device in an event; returns the number voided
+CREATE OR REPLACE FUNCTION void_device(p_event_id INTEGER, p_device_id TEXT, p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT moderate_votes(
+    ARRAY(SELECT id FROM votes WHERE event_id = p_event_id AND device_id = p_device_id AND voided_at IS NULL),
+    'void',
+    p_reason
+  );
+$$;
+
+GRANT EXECUTE ON FUNCTION void_votes(UUID[], TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION restore_votes(UUID[], TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION void_device(INTEGER, TEXT, TEXT) TO authenticated;
+
+-- create_runoff: voided votes don't count towards a tie
+CREATE OR REPLACE FUNCTION create_runoff(p_category_id INTEGER)
+RETURNS categories
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_parent categories%ROWTYPE;
+  v_runoff categories%ROWTYPE;
+  v_tied_nominees JSONB;
+  v_base_title TEXT;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can start runoffs';
+  END IF;
+
+  -- Serialize with category switches so the parent can't reopen meanwhile
+  PERFORM pg_advisory_xact_lock(hashtext('switch_category'));
+
+  SELECT * INTO v_parent FROM categories WHERE id = p_category_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_FOUND' USING DETAIL = 'Category not found';
+  END IF;
+
+  IF v_parent.status NOT IN ('closed', 'revealed') THEN
+    RAISE EXCEPTION 'CATEGORY_NOT_CLOSED' USING DETAIL = 'Close voting before starting a runoff';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM categories WHERE parent_category_id = p_category_id) THEN
+    RAISE EXCEPTION 'RUNOFF_EXISTS' USING DETAIL = 'This category already has a runoff';
+  END IF;
+
+  -- Nominees sharing the top vote count
+  WITH counts AS (
+    SELECT option, COUNT(*) AS votes
+    FROM votes
+    WHERE category_id = p_category_id AND voided_at IS NULL
+    GROUP BY option
+  ),
+  tied AS (
+    SELECT option FROM counts
+    WHERE votes = (SELECT MAX(votes) FROM counts)
+  )
+  SELECT jsonb_object_agg(t.option, v_parent.nominees -> t.option)
+  INTO v_tied_nominees
+  FROM tied t
+  WHERE v_parent.nominees ? t.option;
+
+  IF v_tied_nominees IS NULL OR nominee_count(v_tied_nominees) < 2 THEN
+    RAISE EXCEPTION 'NO_TIE' USING DETAIL = 'There is no tie for first place in this category';
+  END IF;
+
+  -- "Best Team – Runoff", then "Best Team – Runoff 2", ...
+  v_base_title := regexp_replace(v_parent.title, ' – Runoff( [0-9]+)?$', '');
+
+  -- Make room right after the parent in the running order
+  UPDATE categories
+  SET sort_order = sort_order + 1
+  WHERE event_id = v_parent.event_id AND sort_order > v_parent.sort_order;
+
+  INSERT INTO categories (event_id, title, nominees, sort_order, parent_category_id, runoff_round)
+  VALUES (
+    v_parent.event_id,
+    v_base_title || ' – Runoff' || CASE WHEN v_parent.runoff_round > 0 THEN ' ' || (v_parent.runoff_round + 1) ELSE '' END,
+    v_tied_nominees,
+    v_parent.sort_order + 1,
+    p_category_id,
+    v_parent.runoff_round + 1
+  )
+  RETURNING * INTO v_runoff;
+
+  RETURN v_runoff;
+END;
+$$;
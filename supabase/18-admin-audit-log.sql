@@ -0,0 +1,177 @@
+-- Admin action audit log
+-- Run this script in Supabase SQL Editor after 17-vote-moderation.sql
+--
+-- Every admin state change is recorded in admin_audit_log with the admin who
+-- made it and when. Triggers on categories and events do the logging, so it
+-- covers every path: Unlock / Lock / Lock All, the run-of-show queue, timed
+-- auto-locks, reveals, runoffs, the category editor and set_active_event().
+--
+-- get_vote_arrivals() buckets vote arrival times so the admin timeline can
+-- line admin actions up against incoming votes.
+
+CREATE TABLE admin_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  event_id INTEGER REFERENCES events(id),
+  category_id INTEGER,
+  action TEXT NOT NULL CHECK (action IN (
+    'open', 'reopen', 'close', 'reveal',
+    'create_category', 'edit_category', 'delete_category',
+    'activate_event'
+  )),
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  actor_id UUID,
+  actor_email TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_admin_audit_log_event ON admin_audit_log(event_id, created_at);
+
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Only admins can read the audit log
+-- (rows are written by the triggers below, never directly)
+CREATE POLICY "Admins can view audit log"
+  ON admin_audit_log FOR SELECT
+  TO authenticated
+  USING (is_admin());
+
+-- Append an audit entry for the calling user
+-- actor_id is NULL for changes made outside the app (e.g. the SQL Editor)
+CREATE OR REPLACE FUNCTION write_audit_entry(
+  p_event_id INTEGER,
+  p_category_id INTEGER,
+  p_action TEXT,
+  p_details JSONB DEFAULT '{}'::jsonb
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO admin_audit_log (event_id, category_id, action, details, actor_id, actor_email)
+  VALUES (
+    p_event_id,
+    p_category_id,
+    p_action,
+    p_details,
+    auth.uid(),
+    (SELECT email FROM admins WHERE user_id = auth.uid())
+  );
+$$;
+
+REVOKE EXECUTE ON FUNCTION write_audit_entry(INTEGER, INTEGER, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Log category lifecycle changes and editor changes
+CREATE OR REPLACE FUNCTION audit_category_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM write_audit_entry(NEW.event_id, NEW.id, 'create_category', jsonb_build_object(
+      'title', NEW.title,
+      'parent_category_id', NEW.parent_category_id
+    ));
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    PERFORM write_audit_entry(OLD.event_id, OLD.id, 'delete_category', jsonb_build_object('title', OLD.title));
+    RETURN OLD;
+  END IF;
+
+  IF NEW.unlocked AND NOT OLD.unlocked THEN
+    PERFORM write_audit_entry(NEW.event_id, NEW.id,
+      CASE WHEN OLD.status IN ('closed', 'revealed') THEN 'reopen' ELSE 'open' END,
+      jsonb_build_object('closes_at', NEW.closes_at, 'voting_window_seconds', NEW.voting_window_seconds));
+  ELSIF OLD.unlocked AND NOT NEW.unlocked THEN
+    -- window_expired tells an automatic lock at the deadline from an early manual one
+    PERFORM write_audit_entry(NEW.event_id, NEW.id, 'close', jsonb_build_object(
+      'closes_at', OLD.closes_at,
+      'window_expired', OLD.closes_at IS NOT NULL AND OLD.closes_at <= NOW()
+    ));
+  END IF;
+
+  IF NEW.revealed_at IS NOT NULL AND NEW.revealed_at IS DISTINCT FROM OLD.revealed_at THEN
+    PERFORM write_audit_entry(NEW.event_id, NEW.id, 'reveal', '{}'::jsonb);
+  END IF;
+
+  IF NEW.title IS DISTINCT FROM OLD.title OR NEW.nominees IS DISTINCT FROM OLD.nominees THEN
+    PERFORM write_audit_entry(NEW.event_id, NEW.id, 'edit_category', jsonb_build_object(
+      'title', NEW.title,
+      'previous_title', OLD.title
+    ));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER audit_category_change
+  AFTER INSERT OR UPDATE OR DELETE ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_category_change();
+
+-- Log the active event switching
+CREATE OR REPLACE FUNCTION audit_event_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.is_active AND NOT OLD.is_active THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'activate_event', jsonb_build_object('name', NEW.name));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER audit_event_change
+  AFTER UPDATE OF is_active ON events
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_event_change();
+
+-- Vote arrivals of an event in fixed-size time buckets, per category
+-- Includes voided votes: they still arrived when they did
+CREATE OR REPLACE FUNCTION get_vote_arrivals(p_event_id INTEGER, p_bucket_seconds INTEGER DEFAULT 10)
+RETURNS TABLE (
+  bucket_start TIMESTAMPTZ,
+  category_id INTEGER,
+  votes INTEGER,
+  first_vote_at TIMESTAMPTZ,
+  last_vote_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can view the timeline';
+  END IF;
+
+  IF p_bucket_seconds < 1 OR p_bucket_seconds > 3600 THEN
+    RAISE EXCEPTION 'INVALID_THRESHOLD' USING DETAIL = 'Bucket size must be between 1 second and 1 hour';
+  END IF;
+
+  -- votes.timestamp is stored in UTC without a time zone
+  RETURN QUERY
+  SELECT
+    to_timestamp(floor(extract(epoch FROM v.timestamp AT TIME ZONE 'UTC') / p_bucket_seconds) * p_bucket_seconds),
+    v.category_id,
+    COUNT(*)::INTEGER,
+    MIN(v.timestamp AT TIME ZONE 'UTC'),
+    MAX(v.timestamp AT TIME ZONE 'UTC')
+  FROM votes v
+  WHERE v.event_id = p_event_id
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_vote_arrivals(INTEGER, INTEGER) TO authenticated;
@@ -0,0 +1,256 @@
+-- One-time voter codes
+-- Run this script in Supabase SQL Editor after 18-admin-audit-log.sql
+--
+-- An optional per-event alternative to device fingerprinting. The admin
+-- generates a batch of single-use codes and prints them as a QR sheet.
+-- Scanning a code (or typing it in) binds it to the phone through a random
+-- claim token kept in the phone's browser storage. While an event requires
+-- voter codes, cast_vote() only accepts votes with a claimed code and its
+-- token, and stores them under the code ("code:<id>") instead of the
+-- FingerprintJS device ID, so the existing UNIQUE(category_id, device_id)
+-- constraint makes votes unique per code: a second browser can't vote again
+-- without a new code, and identical phones no longer collide.
+--
+-- Turn the mode on before voting starts: votes cast earlier stay counted
+-- under their device IDs.
+
+ALTER TABLE events ADD COLUMN voter_codes_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE voter_codes (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES events(id),
+  code TEXT NOT NULL UNIQUE CHECK (code ~ '^[A-Z0-9]{8}$'),
+  claim_token TEXT,
+  claimed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX idx_voter_codes_event ON voter_codes(event_id);
+
+-- Votes cast with a voter code
+ALTER TABLE votes ADD COLUMN voter_code_id INTEGER REFERENCES voter_codes(id);
+
+ALTER TABLE voter_codes ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Only admins can read voter codes
+-- (codes are claimed through claim_voter_code() and created through
+-- generate_voter_codes(), never directly)
+CREATE POLICY "Admins can view voter codes"
+  ON voter_codes FOR SELECT
+  TO authenticated
+  USING (is_admin());
+
+-- Generate a batch of codes for an event; returns the new codes
+-- Codes avoid look-alike characters (0/O, 1/I/L) so they can be typed in
+CREATE OR REPLACE FUNCTION generate_voter_codes(p_event_id INTEGER, p_count INTEGER)
+RETURNS SETOF voter_codes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_alphabet CONSTANT TEXT := 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  v_code TEXT;
+  v_row voter_codes%ROWTYPE;
+  v_created INTEGER := 0;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can generate voter codes';
+  END IF;
+
+  IF p_count IS NULL OR p_count < 1 OR p_count > 500 THEN
+    RAISE EXCEPTION 'INVALID_COUNT' USING DETAIL = 'Generate between 1 and 500 codes at a time';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = p_event_id) THEN
+    RAISE EXCEPTION 'EVENT_NOT_FOUND' USING DETAIL = 'Event not found';
+  END IF;
+
+  WHILE v_created < p_count LOOP
+    SELECT string_agg(substr(v_alphabet, 1 + floor(random() * length(v_alphabet))::INTEGER, 1), '')
+    INTO v_code
+    FROM generate_series(1, 8);
+
+    -- A clash with an existing code is simply skipped and retried
+    INSERT INTO voter_codes (event_id, code)
+    VALUES (p_event_id, v_code)
+    ON CONFLICT (code) DO NOTHING
+    RETURNING * INTO v_row;
+
+    IF FOUND THEN
+      v_created := v_created + 1;
+      RETURN NEXT v_row;
+    END IF;
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION generate_voter_codes(INTEGER, INTEGER) TO authenticated;
+
+-- Bind a code to a phone's claim token
+-- Claiming again with the same token is allowed (e.g. scanning twice)
+-- Returns the code's event and the voter key its votes are stored under
+CREATE OR REPLACE FUNCTION claim_voter_code(p_code TEXT, p_claim_token TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_code voter_codes%ROWTYPE;
+BEGIN
+  IF p_claim_token IS NULL OR length(p_claim_token) < 16 THEN
+    RAISE EXCEPTION 'INVALID_CODE' USING DETAIL = 'Claim token is missing';
+  END IF;
+
+  SELECT * INTO v_code FROM voter_codes WHERE code = upper(trim(p_code)) FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CODE' USING DETAIL = 'This voter code does not exist';
+  END IF;
+
+  IF v_code.claim_token IS NOT NULL AND v_code.claim_token <> p_claim_token THEN
+    RAISE EXCEPTION 'CODE_ALREADY_USED' USING DETAIL = 'This voter code is already in use on another phone';
+  END IF;
+
+  IF v_code.claim_token IS NULL THEN
+    UPDATE voter_codes
+    SET claim_token = p_claim_token, claimed_at = NOW()
+    WHERE id = v_code.id;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'event_id', v_code.event_id,
+    'code', v_code.code,
+    'voter_key', 'code:' || v_code.id
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION claim_voter_code(TEXT, TEXT) TO anon, authenticated;
+
+-- cast_vote: votes of events that require voter codes are stored under the code
+DROP FUNCTION IF EXISTS cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL,
+  p_voter_code TEXT DEFAULT NULL,
+  p_claim_token TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_event events%ROWTYPE;
+  v_code voter_codes%ROWTYPE;
+  v_device_id TEXT := p_device_id;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  SELECT * INTO v_event FROM events WHERE id = v_category.event_id;
+
+  IF NOT v_category.unlocked OR NOT v_event.is_active THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF v_category.closes_at IS NOT NULL AND v_category.closes_at <= NOW() THEN
+    RAISE EXCEPTION 'VOTING_CLOSED' USING DETAIL = 'Time is up for this category';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  IF v_event.voter_codes_required THEN
+    SELECT * INTO v_code
+    FROM voter_codes
+    WHERE code = upper(trim(p_voter_code))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CODE_REQUIRED' USING DETAIL = 'Scan your voter code to vote';
+    END IF;
+
+    v_device_id := 'code:' || v_code.id;
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address, voter_code_id)
+    VALUES (v_category.event_id, p_category_id, p_option, v_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL, v_code.id)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Code usage per event for the admin panel
+CREATE OR REPLACE VIEW voter_code_usage
+WITH (security_invoker = true)
+AS
+SELECT
+  c.event_id,
+  COUNT(*)::INTEGER AS codes,
+  COUNT(c.claimed_at)::INTEGER AS claimed,
+  COUNT(*) FILTER (WHERE EXISTS (SELECT 1 FROM votes v WHERE v.voter_code_id = c.id))::INTEGER AS voted
+FROM voter_codes c
+GROUP BY c.event_id;
+
+GRANT SELECT ON voter_code_usage TO authenticated;
+
+-- Audit switching the voter code requirement on and off
+ALTER TABLE admin_audit_log DROP CONSTRAINT admin_audit_log_action_check;
+ALTER TABLE admin_audit_log ADD CONSTRAINT admin_audit_log_action_check CHECK (action IN (
+  'open', 'reopen', 'close', 'reveal',
+  'create_category', 'edit_category', 'delete_category',
+  'activate_event', 'require_voter_codes'
+));
+
+CREATE OR REPLACE FUNCTION audit_event_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.is_active AND NOT OLD.is_active THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'activate_event', jsonb_build_object('name', NEW.name));
+  END IF;
+
+  IF NEW.voter_codes_required IS DISTINCT FROM OLD.voter_codes_required THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'require_voter_codes', jsonb_build_object('required', NEW.voter_codes_required));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER audit_event_change ON events;
+
+CREATE TRIGGER audit_event_change
+  AFTER UPDATE OF is_active, voter_codes_required ON events
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_event_change();
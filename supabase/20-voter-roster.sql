@@ -0,0 +1,352 @@
+-- Eligible voter roster
+-- Run this script in Supabase SQL Editor after 19-voter-codes.sql
+--
+-- An optional per-event roster of eligible employees, imported by the admin
+-- from a CSV of employee IDs, names and PINs. While an event requires check-in,
+-- voters check in once with their employee ID and PIN, which binds the roster
+-- entry to the phone through the same kind of claim token voter codes use.
+-- cast_vote() then stores votes under the employee ("roster:<id>"), so each
+-- employee votes once per category, and roster_turnout reports how many of the
+-- eligible staff voted in each category.
+--
+-- PINs are stored as bcrypt hashes. After 5 wrong PINs an entry is locked
+-- until the admin resets its check-in or imports it again.
+--
+-- An event uses either voter codes or the roster, not both.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+ALTER TABLE events ADD COLUMN roster_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE events ADD CONSTRAINT events_single_voter_identity
+  CHECK (NOT (voter_codes_required AND roster_required));
+
+CREATE TABLE voter_roster (
+  id SERIAL PRIMARY KEY,
+  event_id INTEGER NOT NULL REFERENCES events(id),
+  employee_id TEXT NOT NULL CHECK (length(employee_id) BETWEEN 1 AND 50),
+  name TEXT,
+  pin_hash TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  claim_token TEXT,
+  checked_in_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(event_id, employee_id)
+);
+
+-- Votes cast by a checked-in employee
+ALTER TABLE votes ADD COLUMN roster_id INTEGER REFERENCES voter_roster(id);
+
+CREATE INDEX idx_votes_roster ON votes(roster_id) WHERE roster_id IS NOT NULL;
+
+ALTER TABLE voter_roster ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policy: Only admins can read the roster
+-- (rows are written by import_roster(), check_in_voter() and reset_check_in())
+CREATE POLICY "Admins can view voter roster"
+  ON voter_roster FOR SELECT
+  TO authenticated
+  USING (is_admin());
+
+-- Add or update roster entries from an imported CSV
+-- p_rows is a JSON array of { employee_id, name, pin }; existing employees get
+-- the new name and PIN and are unlocked. Returns the number of rows imported.
+CREATE OR REPLACE FUNCTION import_roster(p_event_id INTEGER, p_rows JSONB)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can import the roster';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM events WHERE id = p_event_id) THEN
+    RAISE EXCEPTION 'EVENT_NOT_FOUND' USING DETAIL = 'Event not found';
+  END IF;
+
+  IF jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 OR jsonb_array_length(p_rows) > 5000 THEN
+    RAISE EXCEPTION 'INVALID_ROSTER' USING DETAIL = 'Import between 1 and 5000 employees';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM jsonb_array_elements(p_rows) r
+    WHERE length(trim(COALESCE(r ->> 'employee_id', ''))) NOT BETWEEN 1 AND 50
+       OR length(trim(COALESCE(r ->> 'pin', ''))) NOT BETWEEN 4 AND 12
+  ) THEN
+    RAISE EXCEPTION 'INVALID_ROSTER' USING DETAIL = 'Every employee needs an ID and a PIN of 4 to 12 characters';
+  END IF;
+
+  INSERT INTO voter_roster (event_id, employee_id, name, pin_hash)
+  SELECT DISTINCT ON (upper(trim(r ->> 'employee_id')))
+    p_event_id,
+    upper(trim(r ->> 'employee_id')),
+    NULLIF(trim(r ->> 'name'), ''),
+    crypt(trim(r ->> 'pin'), gen_salt('bf'))
+  FROM jsonb_array_elements(p_rows) r
+  ON CONFLICT (event_id, employee_id) DO UPDATE
+  SET name = EXCLUDED.name,
+      pin_hash = EXCLUDED.pin_hash,
+      failed_attempts = 0;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_roster(INTEGER, JSONB) TO authenticated;
+
+-- Check in with employee ID and PIN, binding the entry to the phone's claim token
+-- Checking in again from the same phone is allowed. A wrong ID or PIN is
+-- returned as { "error": "INVALID_CREDENTIALS" } rather than raised, so the
+-- failed attempt counter isn't rolled back.
+CREATE OR REPLACE FUNCTION check_in_voter(
+  p_event_id INTEGER,
+  p_employee_id TEXT,
+  p_pin TEXT,
+  p_claim_token TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_entry voter_roster%ROWTYPE;
+BEGIN
+  IF p_claim_token IS NULL OR length(p_claim_token) < 16 THEN
+    RAISE EXCEPTION 'INVALID_CREDENTIALS' USING DETAIL = 'Claim token is missing';
+  END IF;
+
+  SELECT * INTO v_entry
+  FROM voter_roster
+  WHERE event_id = p_event_id AND employee_id = upper(trim(p_employee_id))
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'INVALID_CREDENTIALS');
+  END IF;
+
+  IF v_entry.failed_attempts >= 5 THEN
+    RAISE EXCEPTION 'CHECK_IN_LOCKED' USING DETAIL = 'Too many wrong PINs. Ask an organizer to reset your check-in';
+  END IF;
+
+  IF v_entry.pin_hash <> crypt(trim(COALESCE(p_pin, '')), v_entry.pin_hash) THEN
+    UPDATE voter_roster SET failed_attempts = failed_attempts + 1 WHERE id = v_entry.id;
+    RETURN jsonb_build_object('error', 'INVALID_CREDENTIALS');
+  END IF;
+
+  IF v_entry.claim_token IS NOT NULL AND v_entry.claim_token <> p_claim_token THEN
+    RAISE EXCEPTION 'ALREADY_CHECKED_IN' USING DETAIL = 'This employee already checked in on another phone';
+  END IF;
+
+  UPDATE voter_roster
+  SET claim_token = p_claim_token,
+      checked_in_at = COALESCE(checked_in_at, NOW()),
+      failed_attempts = 0
+  WHERE id = v_entry.id;
+
+  RETURN jsonb_build_object(
+    'event_id', v_entry.event_id,
+    'employee_id', v_entry.employee_id,
+    'name', v_entry.name,
+    'voter_key', 'roster:' || v_entry.id
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION check_in_voter(INTEGER, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Release an employee's check-in (e.g. a lost phone) and clear wrong PIN attempts
+-- Their votes stay counted; the new phone continues under the same employee
+CREATE OR REPLACE FUNCTION reset_check_in(p_event_id INTEGER, p_employee_id TEXT)
+RETURNS voter_roster
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry voter_roster%ROWTYPE;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can reset check-ins';
+  END IF;
+
+  UPDATE voter_roster
+  SET claim_token = NULL, checked_in_at = NULL, failed_attempts = 0
+  WHERE event_id = p_event_id AND employee_id = upper(trim(p_employee_id))
+  RETURNING * INTO v_entry;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'EMPLOYEE_NOT_FOUND' USING DETAIL = 'This employee is not on the roster';
+  END IF;
+
+  RETURN v_entry;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reset_check_in(INTEGER, TEXT) TO authenticated;
+
+-- cast_vote: votes of events that require check-in are stored under the employee
+DROP FUNCTION IF EXISTS cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL,
+  p_voter_code TEXT DEFAULT NULL,
+  p_claim_token TEXT DEFAULT NULL,
+  p_employee_id TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_event events%ROWTYPE;
+  v_code voter_codes%ROWTYPE;
+  v_entry voter_roster%ROWTYPE;
+  v_device_id TEXT := p_device_id;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  SELECT * INTO v_event FROM events WHERE id = v_category.event_id;
+
+  IF NOT v_category.unlocked OR NOT v_event.is_active THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF v_category.closes_at IS NOT NULL AND v_category.closes_at <= NOW() THEN
+    RAISE EXCEPTION 'VOTING_CLOSED' USING DETAIL = 'Time is up for this category';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  IF v_event.voter_codes_required THEN
+    SELECT * INTO v_code
+    FROM voter_codes
+    WHERE code = upper(trim(p_voter_code))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CODE_REQUIRED' USING DETAIL = 'Scan your voter code to vote';
+    END IF;
+
+    v_device_id := 'code:' || v_code.id;
+  END IF;
+
+  IF v_event.roster_required THEN
+    SELECT * INTO v_entry
+    FROM voter_roster
+    WHERE employee_id = upper(trim(p_employee_id))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CHECK_IN_REQUIRED' USING DETAIL = 'Check in with your employee ID to vote';
+    END IF;
+
+    v_device_id := 'roster:' || v_entry.id;
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address, voter_code_id, roster_id)
+    VALUES (v_category.event_id, p_category_id, p_option, v_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL, v_code.id, v_entry.id)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- Roster size and check-ins per event for the admin panel
+CREATE OR REPLACE VIEW roster_usage
+WITH (security_invoker = true)
+AS
+SELECT
+  event_id,
+  COUNT(*)::INTEGER AS eligible,
+  COUNT(checked_in_at)::INTEGER AS checked_in
+FROM voter_roster
+GROUP BY event_id;
+
+GRANT SELECT ON roster_usage TO authenticated;
+
+-- How many of the eligible employees voted in each category
+-- Counts voters, not votes; voided votes don't count
+CREATE OR REPLACE VIEW roster_turnout
+WITH (security_invoker = true)
+AS
+SELECT
+  c.event_id,
+  c.id AS category_id,
+  (SELECT COUNT(*) FROM voter_roster r WHERE r.event_id = c.event_id)::INTEGER AS eligible,
+  COUNT(DISTINCT v.roster_id)::INTEGER AS voted
+FROM categories c
+LEFT JOIN votes v ON v.category_id = c.id AND v.roster_id IS NOT NULL AND v.voided_at IS NULL
+GROUP BY c.event_id, c.id;
+
+GRANT SELECT ON roster_turnout TO authenticated;
+
+-- Audit switching check-in on and off
+ALTER TABLE admin_audit_log DROP CONSTRAINT admin_audit_log_action_check;
+ALTER TABLE admin_audit_log ADD CONSTRAINT admin_audit_log_action_check CHECK (action IN (
+  'open', 'reopen', 'close', 'reveal',
+  'create_category', 'edit_category', 'delete_category',
+  'activate_event', 'require_voter_codes', 'require_roster'
+));
+
+CREATE OR REPLACE FUNCTION audit_event_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.is_active AND NOT OLD.is_active THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'activate_event', jsonb_build_object('name', NEW.name));
+  END IF;
+
+  IF NEW.voter_codes_required IS DISTINCT FROM OLD.voter_codes_required THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'require_voter_codes', jsonb_build_object('required', NEW.voter_codes_required));
+  END IF;
+
+  IF NEW.roster_required IS DISTINCT FROM OLD.roster_required THEN
+    PERFORM write_audit_entry(NEW.id, NULL, 'require_roster', jsonb_build_object('required', NEW.roster_required));
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER audit_event_change ON events;
+
+CREATE TRIGGER audit_event_change
+  AFTER UPDATE OF is_active, voter_codes_required, roster_required ON events
+  FOR EACH ROW
+  EXECUTE FUNCTION audit_event_change();
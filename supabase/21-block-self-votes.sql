@@ -0,0 +1,113 @@
+-- Block self-votes
+-- Run this script in Supabase SQL Editor after 20-voter-roster.sql
+--
+-- Nominee names are free strings, so a voter can only be matched to a nominee
+-- when their identity is known: in events that require roster check-in, the
+-- checked-in employee's roster name. cast_vote() now rejects a vote for the
+-- nominee whose name matches it with SELF_VOTE. Names are compared ignoring
+-- case and extra spaces ("Kruti  Davda" matches "KRUTI DAVDA").
+
+-- Comparison key of a person's name: trimmed, single-spaced, upper case
+CREATE OR REPLACE FUNCTION person_name_key(p_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT upper(regexp_replace(trim(COALESCE(p_name, '')), '\s+', ' ', 'g'));
+$$;
+
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL,
+  p_voter_code TEXT DEFAULT NULL,
+  p_claim_token TEXT DEFAULT NULL,
+  p_employee_id TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_event events%ROWTYPE;
+  v_code voter_codes%ROWTYPE;
+  v_entry voter_roster%ROWTYPE;
+  v_device_id TEXT := p_device_id;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  SELECT * INTO v_event FROM events WHERE id = v_category.event_id;
+
+  IF NOT v_category.unlocked OR NOT v_event.is_active THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF v_category.closes_at IS NOT NULL AND v_category.closes_at <= NOW() THEN
+    RAISE EXCEPTION 'VOTING_CLOSED' USING DETAIL = 'Time is up for this category';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  IF v_event.voter_codes_required THEN
+    SELECT * INTO v_code
+    FROM voter_codes
+    WHERE code = upper(trim(p_voter_code))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CODE_REQUIRED' USING DETAIL = 'Scan your voter code to vote';
+    END IF;
+
+    v_device_id := 'code:' || v_code.id;
+  END IF;
+
+  IF v_event.roster_required THEN
+    SELECT * INTO v_entry
+    FROM voter_roster
+    WHERE employee_id = upper(trim(p_employee_id))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CHECK_IN_REQUIRED' USING DETAIL = 'Check in with your employee ID to vote';
+    END IF;
+
+    v_device_id := 'roster:' || v_entry.id;
+
+    IF person_name_key(v_entry.name) <> ''
+       AND person_name_key(v_category.nominees ->> p_option) = person_name_key(v_entry.name) THEN
+      RAISE EXCEPTION 'SELF_VOTE' USING DETAIL = 'You cannot vote for yourself';
+    END IF;
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address, voter_code_id, roster_id)
+    VALUES (v_category.event_id, p_category_id, p_option, v_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL, v_code.id, v_entry.id)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
@@ -0,0 +1,48 @@
+-- Category delete guards
+-- Run this script in Supabase SQL Editor after 22-vote-changes.sql
+--
+-- A category that votes or a runoff point at can't be deleted. Until now the
+-- runoff case (15-runoffs.sql) surfaced as a raw foreign key violation; the
+-- guard now refuses it with CATEGORY_HAS_RUNOFF, and both foreign keys state
+-- their RESTRICT behaviour instead of relying on the default.
+
+ALTER TABLE votes
+  DROP CONSTRAINT IF EXISTS votes_category_id_fkey,
+  ADD CONSTRAINT votes_category_id_fkey
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT;
+
+ALTER TABLE categories
+  DROP CONSTRAINT IF EXISTS categories_parent_category_id_fkey,
+  ADD CONSTRAINT categories_parent_category_id_fkey
+    FOREIGN KEY (parent_category_id) REFERENCES categories(id) ON DELETE RESTRICT;
+
+-- Guard: no edits to title/nominees and no deletes once votes exist,
+-- and no deletes of a category that has a runoff
+CREATE OR REPLACE FUNCTION guard_category_changes()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND NEW.title IS NOT DISTINCT FROM OLD.title
+     AND NEW.nominees IS NOT DISTINCT FROM OLD.nominees THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.unlocked THEN
+    RAISE EXCEPTION 'CATEGORY_OPEN' USING DETAIL = 'Lock the category before editing it';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM votes WHERE category_id = OLD.id) THEN
+    RAISE EXCEPTION 'CATEGORY_HAS_VOTES' USING DETAIL = 'This category already has votes';
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    IF EXISTS (SELECT 1 FROM categories WHERE parent_category_id = OLD.id) THEN
+      RAISE EXCEPTION 'CATEGORY_HAS_RUNOFF' USING DETAIL = 'Delete the runoff of this category first';
+    END IF;
+    RETURN OLD;
+  END IF;
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,29 @@
+-- Clear voting windows of closed categories
+-- Run this script in Supabase SQL Editor after 23-category-delete-guards.sql
+--
+-- closes_at (12-voting-windows.sql) was left behind when a category was
+-- locked early, so countdowns and the admin auto-lock kept showing a window
+-- for a closed category. Every way of closing a category (a manual lock,
+-- switch_category(), reveal_category(), switching the active event) now clears
+-- it. The audit trigger still logs the old deadline with the close, since it
+-- reads OLD.closes_at.
+
+CREATE OR REPLACE FUNCTION clear_closed_deadline()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.unlocked AND NOT NEW.unlocked THEN
+    NEW.closes_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER categories_clear_closed_deadline
+  BEFORE UPDATE OF unlocked ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION clear_closed_deadline();
+
+-- Categories closed before this script ran
+UPDATE categories SET closes_at = NULL WHERE NOT unlocked AND closes_at IS NOT NULL;
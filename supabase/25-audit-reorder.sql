@@ -0,0 +1,61 @@
+-- Audit running order changes
+-- Run this script in Supabase SQL Editor after 24-clear-closed-deadlines.sql
+--
+-- Reordering categories in the editor was the one admin change missing from
+-- admin_audit_log (18-admin-audit-log.sql). reorder_categories() now writes a
+-- reorder_categories entry with the new order whenever the order changes. It
+-- logs once per reorder rather than through the per-row category trigger, so a
+-- reorder is one timeline entry instead of one per moved category.
+
+ALTER TABLE admin_audit_log DROP CONSTRAINT admin_audit_log_action_check;
+ALTER TABLE admin_audit_log ADD CONSTRAINT admin_audit_log_action_check CHECK (action IN (
+  'open', 'reopen', 'close', 'reveal',
+  'create_category', 'edit_category', 'delete_category', 'reorder_categories',
+  'activate_event', 'require_voter_codes', 'require_roster', 'allow_vote_changes'
+));
+
+-- Apply a new running order in one transaction
+-- p_category_ids lists every category ID in the desired order
+CREATE OR REPLACE FUNCTION reorder_categories(p_category_ids INTEGER[])
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_moved INTEGER;
+  v_event_id INTEGER;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can reorder categories';
+  END IF;
+
+  UPDATE categories c
+  SET sort_order = o.position
+  FROM unnest(p_category_ids) WITH ORDINALITY AS o(id, position)
+  WHERE c.id = o.id
+    AND c.sort_order IS DISTINCT FROM o.position;
+
+  GET DIAGNOSTICS v_moved = ROW_COUNT;
+  IF v_moved = 0 THEN
+    RETURN;
+  END IF;
+
+  -- The editor reorders the categories of one event
+  FOR v_event_id IN
+    SELECT DISTINCT event_id FROM categories WHERE id = ANY(p_category_ids)
+  LOOP
+    PERFORM write_audit_entry(v_event_id, NULL, 'reorder_categories', jsonb_build_object(
+      'category_ids', (
+        SELECT jsonb_agg(o.id ORDER BY o.position)
+        FROM unnest(p_category_ids) WITH ORDINALITY AS o(id, position)
+        JOIN categories c ON c.id = o.id
+        WHERE c.event_id = v_event_id
+      ),
+      'moved', v_moved
+    ));
+  END LOOP;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION reorder_categories(INTEGER[]) TO authenticated;
@@ -0,0 +1,87 @@
+-- Check-in backoff
+-- Run this script in Supabase SQL Editor after 25-audit-reorder.sql
+--
+-- check_in_voter() (20-voter-roster.sql) locked a roster entry for good after
+-- 5 wrong PINs, so anyone who knew an employee ID could lock that employee out
+-- of voting until an organizer stepped in. Wrong PINs now start a backoff
+-- instead: from the 5th wrong PIN on, the entry waits 1, 2, 4, 8 and at most
+-- 15 minutes before the next try, and the count starts over once no wrong PIN
+-- has been entered for 30 minutes. The phone an entry is already checked in on
+-- proves itself with its claim token, so the backoff never applies to it.
+--
+-- Resetting or re-importing an entry still clears the count straight away.
+
+ALTER TABLE voter_roster ADD COLUMN last_failed_at TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION check_in_voter(
+  p_event_id INTEGER,
+  p_employee_id TEXT,
+  p_pin TEXT,
+  p_claim_token TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+DECLARE
+  v_entry voter_roster%ROWTYPE;
+  v_failed_attempts INTEGER;
+  v_wait INTERVAL;
+BEGIN
+  IF p_claim_token IS NULL OR length(p_claim_token) < 16 THEN
+    RAISE EXCEPTION 'INVALID_CREDENTIALS' USING DETAIL = 'Claim token is missing';
+  END IF;
+
+  SELECT * INTO v_entry
+  FROM voter_roster
+  WHERE event_id = p_event_id AND employee_id = upper(trim(p_employee_id))
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'INVALID_CREDENTIALS');
+  END IF;
+
+  -- Wrong PINs are forgotten after 30 quiet minutes
+  v_failed_attempts := CASE
+    WHEN v_entry.last_failed_at IS NULL OR v_entry.last_failed_at < NOW() - INTERVAL '30 minutes' THEN 0
+    ELSE v_entry.failed_attempts
+  END;
+
+  IF v_failed_attempts >= 5 AND v_entry.claim_token IS DISTINCT FROM p_claim_token THEN
+    v_wait := LEAST(power(2, v_failed_attempts - 5), 15) * INTERVAL '1 minute';
+    IF v_entry.last_failed_at + v_wait > NOW() THEN
+      RAISE EXCEPTION 'CHECK_IN_LOCKED'
+        USING DETAIL = 'Too many wrong PINs. Try again in ' || ceil(extract(epoch FROM v_entry.last_failed_at + v_wait - NOW()) / 60) || ' minute(s)';
+    END IF;
+  END IF;
+
+  IF v_entry.pin_hash <> crypt(trim(COALESCE(p_pin, '')), v_entry.pin_hash) THEN
+    UPDATE voter_roster
+    SET failed_attempts = v_failed_attempts + 1,
+        last_failed_at = NOW()
+    WHERE id = v_entry.id;
+    RETURN jsonb_build_object('error', 'INVALID_CREDENTIALS');
+  END IF;
+
+  IF v_entry.claim_token IS NOT NULL AND v_entry.claim_token <> p_claim_token THEN
+    RAISE EXCEPTION 'ALREADY_CHECKED_IN' USING DETAIL = 'This employee already checked in on another phone';
+  END IF;
+
+  UPDATE voter_roster
+  SET claim_token = p_claim_token,
+      checked_in_at = COALESCE(checked_in_at, NOW()),
+      failed_attempts = 0,
+      last_failed_at = NULL
+  WHERE id = v_entry.id;
+
+  RETURN jsonb_build_object(
+    'event_id', v_entry.event_id,
+    'employee_id', v_entry.employee_id,
+    'name', v_entry.name,
+    'voter_key', 'roster:' || v_entry.id
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION check_in_voter(INTEGER, TEXT, TEXT, TEXT) TO anon, authenticated;
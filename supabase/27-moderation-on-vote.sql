@@ -0,0 +1,60 @@
+-- Moderation on the vote row
+-- Run this script in Supabase SQL Editor after 26-check-in-backoff.sql
+--
+-- votes has row level security, and Supabase Realtime only sends the primary
+-- key of the old row for tables with RLS, so live tallies couldn't tell from a
+-- realtime UPDATE whether a vote was just voided or just restored. The last
+-- moderation action is now kept on the row itself: moderate_votes() sets
+-- moderation_action to 'void' or 'restore', and clients work out the change to
+-- the tally from the new row alone.
+
+ALTER TABLE votes ADD COLUMN moderation_action TEXT CHECK (moderation_action IN ('void', 'restore'));
+
+-- The old row isn't sent anyway, so the full replica identity set by
+-- 17-vote-moderation.sql only makes updates heavier
+ALTER TABLE votes REPLICA IDENTITY DEFAULT;
+
+-- Same as 17-vote-moderation.sql, and records the action on the vote
+CREATE OR REPLACE FUNCTION moderate_votes(p_vote_ids UUID[], p_action TEXT, p_reason TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_reason TEXT := trim(COALESCE(p_reason, ''));
+  v_email TEXT;
+  v_count INTEGER;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'NOT_AUTHORIZED' USING DETAIL = 'Only admins can moderate votes';
+  END IF;
+
+  IF length(v_reason) < 3 OR length(v_reason) > 500 THEN
+    RAISE EXCEPTION 'INVALID_REASON' USING DETAIL = 'Give a reason of 3 to 500 characters';
+  END IF;
+
+  SELECT email INTO v_email FROM admins WHERE user_id = auth.uid();
+
+  WITH changed AS (
+    UPDATE votes
+    SET voided_at = CASE WHEN p_action = 'void' THEN NOW() END,
+        voided_reason = CASE WHEN p_action = 'void' THEN v_reason END,
+        moderation_action = p_action
+    WHERE id = ANY(p_vote_ids)
+      AND (voided_at IS NULL) = (p_action = 'void')
+    RETURNING id, event_id, category_id, device_id
+  ),
+  logged AS (
+    INSERT INTO vote_moderation_log (event_id, vote_id, category_id, device_id, action, reason, admin_id, admin_email)
+    SELECT event_id, id, category_id, device_id, p_action, v_reason, auth.uid(), v_email
+    FROM changed
+    RETURNING 1
+  )
+  SELECT COUNT(*)::INTEGER INTO v_count FROM logged;
+
+  RETURN v_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION moderate_votes(UUID[], TEXT, TEXT) FROM PUBLIC, anon, authenticated;
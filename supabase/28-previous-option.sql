@@ -0,0 +1,136 @@
+-- Previous option on changed votes
+-- Run this script in Supabase SQL Editor after 27-moderation-on-vote.sql
+--
+-- Realtime only sends the primary key of the old row for tables with RLS, so
+-- live tallies couldn't see which nominee a changed vote (22-vote-changes.sql)
+-- moved away from. cast_vote() now keeps the nominee it replaced in
+-- previous_option, and clears moderation_action, so a realtime UPDATE of a
+-- changed vote reads as a move from previous_option to option rather than as
+-- the vote's last restore.
+
+ALTER TABLE votes ADD COLUMN previous_option TEXT;
+
+-- Same as 22-vote-changes.sql, and records the replaced nominee on a change
+CREATE OR REPLACE FUNCTION cast_vote(
+  p_category_id INTEGER,
+  p_option TEXT,
+  p_device_id TEXT,
+  p_browser_fingerprint TEXT DEFAULT NULL,
+  p_session_id TEXT DEFAULT NULL,
+  p_user_agent TEXT DEFAULT NULL,
+  p_voter_code TEXT DEFAULT NULL,
+  p_claim_token TEXT DEFAULT NULL,
+  p_employee_id TEXT DEFAULT NULL
+)
+RETURNS votes
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_category categories%ROWTYPE;
+  v_event events%ROWTYPE;
+  v_code voter_codes%ROWTYPE;
+  v_entry voter_roster%ROWTYPE;
+  v_device_id TEXT := p_device_id;
+  v_vote votes%ROWTYPE;
+BEGIN
+  IF p_device_id IS NULL OR p_device_id = '' THEN
+    RAISE EXCEPTION 'DEVICE_ID_ERROR' USING DETAIL = 'Device ID is required';
+  END IF;
+
+  -- Lock the category row so an admin lock waits for this vote (or vice versa)
+  SELECT * INTO v_category FROM categories WHERE id = p_category_id FOR SHARE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'INVALID_CATEGORY' USING DETAIL = 'Category not found';
+  END IF;
+
+  SELECT * INTO v_event FROM events WHERE id = v_category.event_id;
+
+  IF NOT v_category.unlocked OR NOT v_event.is_active THEN
+    RAISE EXCEPTION 'CATEGORY_LOCKED' USING DETAIL = 'This category is not currently accepting votes';
+  END IF;
+
+  IF v_category.closes_at IS NOT NULL AND v_category.closes_at <= NOW() THEN
+    RAISE EXCEPTION 'VOTING_CLOSED' USING DETAIL = 'Time is up for this category';
+  END IF;
+
+  IF p_option IS NULL OR NOT (v_category.nominees ? p_option) THEN
+    RAISE EXCEPTION 'INVALID_OPTION' USING DETAIL = 'Option is not a nominee of this category';
+  END IF;
+
+  IF v_event.voter_codes_required THEN
+    SELECT * INTO v_code
+    FROM voter_codes
+    WHERE code = upper(trim(p_voter_code))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CODE_REQUIRED' USING DETAIL = 'Scan your voter code to vote';
+    END IF;
+
+    v_device_id := 'code:' || v_code.id;
+  END IF;
+
+  IF v_event.roster_required THEN
+    SELECT * INTO v_entry
+    FROM voter_roster
+    WHERE employee_id = upper(trim(p_employee_id))
+      AND event_id = v_event.id
+      AND claim_token = p_claim_token;
+
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'CHECK_IN_REQUIRED' USING DETAIL = 'Check in with your employee ID to vote';
+    END IF;
+
+    v_device_id := 'roster:' || v_entry.id;
+
+    IF person_name_key(v_entry.name) <> ''
+       AND person_name_key(v_category.nominees ->> p_option) = person_name_key(v_entry.name) THEN
+      RAISE EXCEPTION 'SELF_VOTE' USING DETAIL = 'You cannot vote for yourself';
+    END IF;
+  END IF;
+
+  BEGIN
+    INSERT INTO votes (event_id, category_id, option, device_id, browser_fingerprint, session_id, user_agent, ip_address, voter_code_id, roster_id)
+    VALUES (v_category.event_id, p_category_id, p_option, v_device_id, p_browser_fingerprint, p_session_id, p_user_agent, NULL, v_code.id, v_entry.id)
+    RETURNING * INTO v_vote;
+  EXCEPTION WHEN unique_violation THEN
+    IF NOT v_event.allow_vote_changes THEN
+      RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+    END IF;
+
+    -- Change the existing vote in place; voided votes stay as they are
+    UPDATE votes
+    SET previous_option = option,
+        moderation_action = NULL,
+        option = p_option,
+        changed_at = NOW(),
+        change_count = change_count + 1
+    WHERE category_id = p_category_id
+      AND device_id = v_device_id
+      AND voided_at IS NULL
+      AND option <> p_option
+    RETURNING * INTO v_vote;
+
+    IF NOT FOUND THEN
+      -- Same nominee again: nothing to change
+      SELECT * INTO v_vote
+      FROM votes
+      WHERE category_id = p_category_id
+        AND device_id = v_device_id
+        AND voided_at IS NULL;
+
+      IF NOT FOUND THEN
+        RAISE EXCEPTION 'DUPLICATE_VOTE' USING DETAIL = 'You have already voted for this category';
+      END IF;
+    END IF;
+  END;
+
+  RETURN v_vote;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION cast_vote(INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT) TO anon, authenticated;
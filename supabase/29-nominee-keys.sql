@@ -0,0 +1,27 @@
+-- Nominee keys
+-- Run this script in Supabase SQL Editor after 28-previous-option.sql
+--
+-- categories_nominee_count (10-variable-nominees.sql) only limits how many
+-- nominees a category has, so a category keyed "1" or "I" could be saved and
+-- votes_option_check would then refuse every vote for it. Nominee keys must
+-- now be option letters A-H, contiguous from A ({"A", "B", "C"}, not
+-- {"A", "C"}). Runoffs keep the letters of the tied nominees of their parent
+-- category (15-runoffs.sql), so they only need valid letters.
+
+-- Whether every key of a nominees object is an option letter A-H and, unless
+-- p_allow_gaps, the keys run from A without gaps
+CREATE OR REPLACE FUNCTION nominee_keys_valid(p_nominees JSONB, p_allow_gaps BOOLEAN DEFAULT FALSE)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(
+    bool_and(k ~ '^[A-H]$')
+      AND (p_allow_gaps OR string_agg(k, '' ORDER BY k COLLATE "C") = left('ABCDEFGH', COUNT(*)::INTEGER)),
+    FALSE
+  )
+  FROM jsonb_object_keys(p_nominees) k;
+$$;
+
+ALTER TABLE categories
+  ADD CONSTRAINT categories_nominee_keys CHECK (nominee_keys_valid(nominees, parent_category_id IS NOT NULL));
@@ -1,12 +1,72 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+// Files of the voter app shell that are not part of the Rollup bundle (copied from public/)
+const SHELL_STATIC_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/icons/icon.svg',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/apple-touch-icon.png',
+];
+
+/**
+ * Build js/serviceWorker.js into dist/sw.js
+ * Fills in the voter page's built scripts, styles and assets as the files to
+ * cache, and a version that changes whenever any of them does, so every
+ * deploy installs a new service worker
+ */
+function serviceWorker() {
+    return {
+        name: 'oizom-service-worker',
+        apply: 'build',
+        enforce: 'post',
+        generateBundle(_options, bundle) {
+            const main = Object.values(bundle).find(file => file.type === 'chunk' && file.isEntry && file.name === 'main');
+            const files = new Set();
+
+            // Walk the voter entry's static imports with their CSS and assets
+            const visit = (fileName) => {
+                const file = bundle[fileName];
+                if (!file || files.has(fileName)) return;
+                files.add(fileName);
+                if (file.type !== 'chunk') return;
+                file.imports.forEach(visit);
+                file.viteMetadata?.importedCss.forEach(visit);
+                file.viteMetadata?.importedAssets.forEach(visit);
+            };
+            if (main) visit(main.fileName);
+
+            const precacheUrls = [...SHELL_STATIC_FILES, ...[...files].sort().map(fileName => `/${fileName}`)];
+            const version = createHash('sha256')
+                .update(precacheUrls.join('\n'))
+                .update(bundle['index.html']?.source ?? '')
+                .digest('hex')
+                .slice(0, 12);
+
+            const source = readFileSync(resolve(__dirname, 'js/serviceWorker.js'), 'utf8')
+                .replace('__CACHE_VERSION__', version)
+                .replace('__PRECACHE_URLS__', JSON.stringify(precacheUrls, null, 2));
+
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+        },
+    };
+}
 
 export default defineConfig({
+    plugins: [serviceWorker()],
     build: {
         rollupOptions: {
             input: {
                 main: resolve(__dirname, 'index.html'),
                 admin: resolve(__dirname, 'admin.html'),
+                results: resolve(__dirname, 'results.html'),
+                report: resolve(__dirname, 'report.html'),
+                codes: resolve(__dirname, 'codes.html'),
             },
         },
     },